@@ -1,60 +1,38 @@
 // bigramSpawnSystem.js - Intelligent bigram-based letter spawning with distribution tracking
 
+const v = globalThis.__BUILD || Date.now();
+const { ALPHABET } = await import(`./config.js?v=${v}`);
+const { default: ENGLISH } = await import(`./languages/en.js?v=${v}`);
+
 // ========== Target Distribution ==========
-// Ideal letter percentages based on English letter frequency
+// Ideal letter percentages for the active language (English until languages.js applies another pack)
 // These represent what % of the board each letter should occupy
-export const TARGET_DISTRIBUTION_PCT = {
-  'E': 12.7, 'T': 9.1, 'A': 8.2, 'O': 7.5, 'I': 7.0, 'N': 6.7, 'S': 6.3, 'H': 6.1, 'R': 6.0,
-  'D': 4.3, 'L': 4.0, 'C': 2.8, 'U': 2.8, 'M': 2.4, 'W': 2.4, 'F': 2.2, 'G': 2.0, 'Y': 2.0,
-  'P': 1.9, 'B': 1.5, 'V': 1.0, 'K': 0.8, 'X': 0.15, 'J': 0.15, 'Q': 0.10, 'Z': 0.07
-};
+export const TARGET_DISTRIBUTION_PCT = { ...ENGLISH.TARGET_DISTRIBUTION_PCT };
 
 // Legacy export for compatibility
 export const TARGET_DISTRIBUTION = TARGET_DISTRIBUTION_PCT;
 
 // ========== Vowel Configuration ==========
-const VOWELS = new Set(['A', 'E', 'I', 'O', 'U']);
 const VOWEL_TARGET = 0.45; // Aim for 45% vowels
-const Y_VOWEL_WEIGHT = 0.2; // Treat Y as 0.2 vowel
+
+// Vowel weight of a letter (1 for vowels, partial for semi-vowels like English Y)
+function getVowelWeight(letter) {
+  if (ALPHABET.VOWELS.includes(letter)) return 1;
+  return ALPHABET.SEMI_VOWELS[letter] || 0;
+}
 
 // ========== Bigram Weights ==========
-// Ranked list of common bigrams with base weights
-export const BIGRAM_WEIGHTS = {
-  // Top tier (weight: 10)
-  'th': 10, 'he': 10, 'in': 10, 'er': 10, 'an': 10,
-  're': 10, 'on': 10, 'at': 10, 'en': 10, 'nd': 10,
-
-  // High tier (weight: 8)
-  'ti': 8, 'es': 8, 'or': 8, 'te': 8, 'of': 8,
-  'ed': 8, 'is': 8, 'it': 8, 'al': 8, 'ar': 8,
-
-  // Mid-high tier (weight: 6)
-  'st': 6, 'to': 6, 'nt': 6, 'ng': 6, 'se': 6,
-  'ha': 6, 'as': 6, 'ou': 6, 'io': 6, 'le': 6,
-
-  // Mid tier (weight: 4)
-  've': 4, 'co': 4, 'me': 4, 'de': 4, 'hi': 4,
-  'ri': 4, 'ro': 4, 'li': 4, 'ni': 4, 'di': 4,
-  'ne': 4, 'ra': 4, 'ce': 4, 'si': 4, 'ch': 4,
-
-  // Common word starters (weight: 5)
-  'pr': 5, 'tr': 5, 'br': 5, 'cr': 5, 'fr': 5,
-  'gr': 5, 'sh': 5, 'wh': 5, 'th': 5,
-
-  // Common endings (weight: 5)
-  'ly': 5, 'er': 5, 'ed': 5, 'ing': 5, 'ion': 5,
-
-  // Less common but useful (weight: 3)
-  'ad': 3, 'ag': 3, 'am': 3, 'ap': 3, 'ay': 3,
-  'ea': 3, 'ee': 3, 'el': 3, 'ic': 3, 'id': 3,
-  'if': 3, 'ig': 3, 'il': 3, 'im': 3, 'om': 3,
-  'op': 3, 'ow': 3, 'oy': 3, 'pe': 3, 'po': 3,
-  'rs': 3, 'rt': 3, 'ss': 3, 'ta': 3, 'ts': 3,
-  'ur': 3, 'us': 3, 'ut': 3, 'wa': 3, 'we': 3
-};
+// Ranked list of common bigrams with base weights (active language)
+export const BIGRAM_WEIGHTS = { ...ENGLISH.BIGRAM_WEIGHTS };
+
+// Common extensions for popular bigrams (active language)
+export const BIGRAM_EXTENSIONS = { ...ENGLISH.BIGRAM_EXTENSIONS };
 
 // Common double letters (for safety penalty reduction)
-const COMMON_DOUBLES = new Set(['ee', 'll', 'ss', 'oo', 'tt', 'ff', 'mm', 'nn']);
+export const COMMON_DOUBLES = new Set(ENGLISH.COMMON_DOUBLES);
+
+// Letters penalized unless the board needs them
+export const RARE_LETTERS = new Set(ENGLISH.RARE_LETTERS);
 
 // ========== Histogram Tracking ==========
 
@@ -80,18 +58,14 @@ export function calculateHistogram(balls) {
 }
 
 /**
- * Calculate vowel ratio on board (treating Y as 0.2 vowel)
+ * Calculate vowel ratio on board (semi-vowels such as English Y count partly)
  */
 export function calculateVowelRatio(balls) {
   if (balls.length === 0) return 0;
 
   let vowelCount = 0;
   balls.forEach(ball => {
-    if (VOWELS.has(ball.letter)) {
-      vowelCount += 1;
-    } else if (ball.letter === 'Y') {
-      vowelCount += Y_VOWEL_WEIGHT;
-    }
+    vowelCount += getVowelWeight(ball.letter);
   });
 
   return vowelCount / balls.length;
@@ -101,9 +75,9 @@ export function calculateVowelRatio(balls) {
 
 /**
  * Calculate how much a pair reduces the distance between current % and target %
- * Compares board composition percentages to ideal English frequency
+ * Compares board composition percentages to the language's ideal frequency
  */
-function calculateDistributionGain(histogram, targetsPct, letter1, letter2, currentBoardSize) {
+export function calculateDistributionGain(histogram, targetsPct, letter1, letter2, currentBoardSize) {
   if (currentBoardSize === 0) return 2; // Empty board, any pair is fine
 
   // Calculate current percentage distance
@@ -136,7 +110,7 @@ function calculateDistributionGain(histogram, targetsPct, letter1, letter2, curr
 /**
  * Calculate base bigram weight plus bonuses for board extensions
  */
-function calculateBigramGoodness(bigram, balls) {
+export function calculateBigramGoodness(bigram, balls) {
   const baseWeight = BIGRAM_WEIGHTS[bigram.toLowerCase()] || 0;
 
   // Bonus for potential board extensions
@@ -150,16 +124,7 @@ function calculateBigramGoodness(bigram, balls) {
   // Check if board has letters that commonly follow or precede this bigram
   const boardLetters = new Set(balls.map(b => b.letter));
 
-  // Common extensions for popular bigrams
-  const extensions = {
-    'th': ['e', 'a', 'i', 'o'],  // the, that, this, tho
-    'er': ['s', 'a', 'e'],        // ers, era, ere
-    'in': ['g', 'e', 's', 't'],   // ing, ine, ins, int
-    'an': ['d', 't', 's', 'g'],   // and, ant, ans, ang
-    're': ['s', 'd', 'a', 'e']    // res, red, rea, ree
-  };
-
-  const potentialExtensions = extensions[bigram.toLowerCase()] || [];
+  const potentialExtensions = BIGRAM_EXTENSIONS[bigram.toLowerCase()] || [];
   potentialExtensions.forEach(ext => {
     if (boardLetters.has(ext.toUpperCase())) {
       extensionBonus += 0.5;
@@ -174,18 +139,8 @@ function calculateBigramGoodness(bigram, balls) {
 /**
  * Calculate bonus/penalty based on vowel balance needs
  */
-function calculateVowelBalance(letter1, letter2, currentRatio) {
-  const isVowel1 = VOWELS.has(letter1);
-  const isVowel2 = VOWELS.has(letter2);
-  const isY1 = letter1 === 'Y';
-  const isY2 = letter2 === 'Y';
-
-  let vowelChange = 0;
-  if (isVowel1) vowelChange += 1;
-  else if (isY1) vowelChange += Y_VOWEL_WEIGHT;
-
-  if (isVowel2) vowelChange += 1;
-  else if (isY2) vowelChange += Y_VOWEL_WEIGHT;
+export function calculateVowelBalance(letter1, letter2, currentRatio) {
+  const vowelChange = getVowelWeight(letter1) + getVowelWeight(letter2);
 
   // Calculate how this pair affects vowel ratio
   // Positive score if we need vowels and this adds them, or vice versa
@@ -210,7 +165,7 @@ function calculateVowelBalance(letter1, letter2, currentRatio) {
  * Calculate penalty based on how over-represented letters are on the board
  * Compares current board % to ideal % for each letter
  */
-function calculateOverrepresentationPenalty(letter1, letter2, histogram, boardSize) {
+export function calculateOverrepresentationPenalty(letter1, letter2, histogram, boardSize) {
   if (boardSize === 0) return 0;
 
   let penalty = 0;
@@ -242,11 +197,10 @@ function calculateOverrepresentationPenalty(letter1, letter2, histogram, boardSi
   }
 
   // Additional penalty for rare letters (unless we really need them)
-  const rareLetters = new Set(['Q', 'X', 'Z', 'J']);
-  if (rareLetters.has(letter1) && letter1Deviation >= 0) {
+  if (RARE_LETTERS.has(letter1) && letter1Deviation >= 0) {
     penalty += 10;
   }
-  if (rareLetters.has(letter2) && letter2Deviation >= 0) {
+  if (RARE_LETTERS.has(letter2) && letter2Deviation >= 0) {
     penalty += 10;
   }
 
@@ -274,8 +228,9 @@ function calculateOverrepresentationPenalty(letter1, letter2, histogram, boardSi
 
 /**
  * Generate candidate bigrams from the weighted list
+ * @param random - Random source returning [0, 1) (seeded per game session)
  */
-function generateCandidateBigrams(count = 10) {
+export function generateCandidateBigrams(count = 10, random = Math.random) {
   const bigrams = Object.keys(BIGRAM_WEIGHTS);
 
   // Weighted random selection
@@ -285,12 +240,12 @@ function generateCandidateBigrams(count = 10) {
   while (candidates.length < Math.min(count, bigrams.length) && candidates.length < 20) {
     // Weighted random selection
     const totalWeight = Object.values(BIGRAM_WEIGHTS).reduce((a, b) => a + b, 0);
-    let random = Math.random() * totalWeight;
+    let remaining = random() * totalWeight;
 
     for (const bigram of bigrams) {
       if (used.has(bigram)) continue;
-      random -= BIGRAM_WEIGHTS[bigram];
-      if (random <= 0) {
+      remaining -= BIGRAM_WEIGHTS[bigram];
+      if (remaining <= 0) {
         candidates.push(bigram.toUpperCase());
         used.add(bigram);
         break;
@@ -304,7 +259,7 @@ function generateCandidateBigrams(count = 10) {
 /**
  * Score a bigram candidate
  */
-function scoreBigram(bigram, histogram, targets, balls, currentVowelRatio) {
+export function scoreBigram(bigram, histogram, targets, balls, currentVowelRatio) {
   const letter1 = bigram[0];
   const letter2 = bigram[1];
   const boardSize = balls.length;
@@ -336,13 +291,14 @@ function scoreBigram(bigram, histogram, targets, balls, currentVowelRatio) {
 
 /**
  * Select the best bigram pair to spawn
+ * @param random - Random source returning [0, 1) (seeded per game session)
  */
-export function selectBigramPair(balls) {
+export function selectBigramPair(balls, random = Math.random) {
   const histogram = calculateHistogram(balls);
   const currentVowelRatio = calculateVowelRatio(balls);
 
   // Generate candidates
-  const candidates = generateCandidateBigrams(15);
+  const candidates = generateCandidateBigrams(15, random);
 
   // Score each candidate
   const scoredCandidates = candidates.map(bigram =>
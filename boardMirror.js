@@ -0,0 +1,141 @@
+// boardMirror.js - Off-screen description of the canvas board for screen readers
+
+const v = globalThis.__BUILD || Date.now();
+const { ACCESSIBILITY } = await import(`./config.js?v=${v}`);
+const { canConnect } = await import(`./selection.js?v=${v}`);
+const { WILDCARD } = await import(`./specialBalls.js?v=${v}`);
+
+// Kept in the accessibility tree but not drawn
+const VISUALLY_HIDDEN = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  margin: '-1px',
+  padding: '0',
+  border: '0',
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap',
+};
+
+const SPECIAL_NAMES = {
+  DOUBLE_LETTER: 'double letter',
+  TRIPLE_WORD: 'triple word',
+  BOMB: 'bomb'
+};
+
+const LOG_LENGTH = 5; // Announcements kept in the log
+
+const ROWS = ['top', 'middle', 'bottom'];
+const COLUMNS = ['left', 'center', 'right'];
+
+// Rough place on the board, e.g. "bottom left"
+function describePosition(ball, width, height) {
+  const row = ROWS[Math.min(2, Math.max(0, Math.floor(ball.y / height * 3)))];
+  const column = COLUMNS[Math.min(2, Math.max(0, Math.floor(ball.x / width * 3)))];
+  return row === 'middle' && column === 'center' ? 'center' : `${row} ${column}`;
+}
+
+function describeLetter(ball) {
+  const name = ball.letter === WILDCARD ? 'wildcard' : ball.letter;
+  const extras = [SPECIAL_NAMES[ball.special], ball.isStatic ? 'pinned' : null].filter(Boolean);
+  return extras.length > 0 ? `${name} (${extras.join(', ')})` : name;
+}
+
+// One list entry: letter, where it is and which balls a word can go to next from it
+function describeBall(ball, balls, width, height) {
+  const neighbors = balls.filter(other => other !== ball && canConnect(ball, other, balls));
+  const links = neighbors.length > 0 ? neighbors.map(describeLetter).join(', ') : 'none';
+  return `${describeLetter(ball)}, ${describePosition(ball, width, height)}, connects to ${links}`;
+}
+
+/**
+ * Create the screen reader mirror (appended to the page, invisible)
+ * update(state, now) is called every frame with
+ * { balls, width, height, word, score, words, danger: { active, secondsLeft } | null }
+ * and only touches the DOM when a description changes; the ball list is rebuilt at most
+ * every ACCESSIBILITY.MIRROR_INTERVAL ms of `now`
+ * announce(message) reads out an event (words played, game over)
+ * Returns { update, announce }
+ */
+export function createBoardMirror() {
+  const root = document.createElement('section');
+  root.setAttribute('aria-label', 'Game board');
+  Object.assign(root.style, VISUALLY_HIDDEN);
+
+  function addElement(tag, attributes = {}) {
+    const el = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+    root.appendChild(el);
+    return el;
+  }
+
+  const summaryEl = addElement('p');
+  const wordEl = addElement('p', { 'aria-live': 'polite', 'aria-atomic': 'true' });
+  const dangerEl = addElement('p', { 'aria-live': 'assertive', 'aria-atomic': 'true' });
+  const logEl = addElement('div', { role: 'log', 'aria-live': 'polite' });
+  const listEl = addElement('ul', { 'aria-label': 'Balls, top to bottom' });
+
+  let lastListTime = -Infinity;
+  let lastList = '';
+  let wasInDanger = false;
+
+  // Set text only when it changed (live regions speak on every change)
+  function setText(el, text) {
+    if (el.textContent !== text) {
+      el.textContent = text;
+    }
+  }
+
+  function updateList(balls, width, height) {
+    // Balls still above the screen can't be played yet
+    const playable = balls.filter(ball => ball.y > 0)
+      .sort((a, b) => Math.round(a.y / 40) - Math.round(b.y / 40) || a.x - b.x); // Rough rows, left to right
+    const items = playable.map(ball => describeBall(ball, playable, width, height));
+
+    const text = items.join('\n');
+    if (text === lastList) return;
+    lastList = text;
+
+    listEl.innerHTML = '';
+    items.forEach(item => {
+      const li = document.createElement('li');
+      li.textContent = item;
+      listEl.appendChild(li);
+    });
+  }
+
+  function update({ balls, width, height, word, score, words, danger }, now) {
+    const isInDanger = Boolean(danger && danger.active);
+    const dangerNote = isInDanger ? `, danger: ${danger.secondsLeft} seconds left` : '';
+    setText(summaryEl, `Score ${score}, ${words} words, ${balls.length} balls${dangerNote}`);
+    setText(wordEl, word ? `Word: ${[...word].join(' ')}` : ''); // Spelled out, letter by letter
+
+    // Spoken on the change only - the countdown itself stays in the summary
+    // (emptied without a word when there is no countdown: game over, Zen)
+    if (!danger) {
+      setText(dangerEl, '');
+    } else if (isInDanger !== wasInDanger) {
+      setText(dangerEl, isInDanger ? 'Danger! Balls are over the line' : 'Danger cleared');
+    }
+    wasInDanger = isInDanger;
+
+    if (now - lastListTime >= ACCESSIBILITY.MIRROR_INTERVAL) {
+      lastListTime = now;
+      updateList(balls, width, height);
+    }
+  }
+
+  // Logs speak additions, so every message is a new line (the oldest ones are dropped)
+  function announce(message) {
+    const line = document.createElement('p');
+    line.textContent = message;
+    logEl.appendChild(line);
+    if (logEl.children.length > LOG_LENGTH) {
+      logEl.removeChild(logEl.children[0]);
+    }
+  }
+
+  document.body.appendChild(root);
+  return { update, announce };
+}
@@ -0,0 +1,42 @@
+// buildDictionary.js - Precompile word lists into the binary DAWGs the game loads
+//
+// Reads newline-separated word lists and writes the compact edge arrays (see dawg.js),
+// so the browser skips downloading and parsing the full text lists.
+//
+// Usage (Node 20.10+, the flag is default from Node 22.7):
+//   node --experimental-detect-module buildDictionary.js                 (every list in dictionaries.js)
+//   node --experimental-detect-module buildDictionary.js input.txt out.dawg
+//
+// Re-run after editing or adding a word list.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { buildDawg, Dawg } from './dawg.js';
+import { DICTIONARIES, parseWordList } from './dictionaries.js';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+
+function build(input, output) {
+  const words = parseWordList(fs.readFileSync(input, 'utf8'));
+  const dawg = buildDawg(words);
+  const buffer = Buffer.from(dawg.toBuffer());
+
+  // Check the round trip before replacing the asset
+  const check = Dawg.fromBuffer(new Uint8Array(buffer).buffer);
+  const missing = words.find(word => !check.has(word.toUpperCase()) && /^\p{L}+$/u.test(word));
+  if (missing) {
+    console.error(`DAWG is missing "${missing}" - ${path.basename(output)} not written`);
+    process.exitCode = 1;
+    return;
+  }
+
+  fs.writeFileSync(output, buffer);
+  console.log(`${path.basename(input)}: ${dawg.size} words, ${dawg.alphabet.length} letters -> ${path.basename(output)}: ${dawg.edges.length} edges, ${(buffer.length / 1024).toFixed(0)} KB`);
+}
+
+if (process.argv[2]) {
+  build(path.resolve(process.argv[2]), path.resolve(process.argv[3] || process.argv[2].replace(/\.txt$/i, '') + '.dawg'));
+} else {
+  DICTIONARIES.forEach(entry => build(path.join(ROOT, entry.source), path.join(ROOT, entry.file)));
+}
@@ -1,5 +1,8 @@
 // config.js - All game configuration constants
 
+const v = globalThis.__BUILD || Date.now();
+const { default: ENGLISH } = await import(`./languages/en.js?v=${v}`);
+
 // ========== Physics Constants ==========
 export const PHYSICS = {
   GRAVITY: 1.0,
@@ -8,7 +11,9 @@ export const PHYSICS = {
   AIR_FRICTION: 0.02,   // Air resistance
   BASE_DENSITY: 0.001,  // Base density for mass calculation
   SLOP: 0.05,           // Collision tolerance (reduces jitter)
-  SLEEP_THRESHOLD: 60   // Speed threshold for sleeping
+  SLEEP_THRESHOLD: 60,  // Speed threshold for sleeping
+  TIMESTEP: 1000 / 60,  // Fixed physics step (ms) - same simulation at any frame rate
+  MAX_STEPS_PER_FRAME: 5 // Cap catch-up steps after a stall (e.g. tab in background)
 };
 
 // ========== Ball Properties ==========
@@ -32,10 +37,19 @@ export const SPAWN = {
 // ========== Selection ==========
 export const SELECTION = {
   MAX_DISTANCE: 300,      // Max distance between balls (2.5 × avg diameter, adjusted for smaller balls)
+  HIT_SLOP: 6,            // Extra px around each ball that still counts for a touch-down (swipes use
+                          // near misses instead, so they don't clip balls beside their path)
+  SAMPLE_SPACING: 8,      // Max px between hit tests along a swipe (fast swipes can't skip a ball)
+  NEAR_MISS_SLOP: 20,     // A swipe passing this close to a ball's edge...
+  AIM_ANGLE: 25,          // ...while heading within this many degrees of its center still picks it
+  AIM_TRAIL: 30,          // Px of swipe the heading is measured over (smooths out finger wobble)
   HIGHLIGHT_COLOR: '#FFD700', // Gold color for selected balls
   LINE_COLOR: '#FFD700',  // Color for connecting lines
   LINE_WIDTH: 3,          // Width of connecting lines
-  STROKE_WIDTH: 4         // Width of highlight stroke
+  STROKE_WIDTH: 4,        // Width of highlight stroke
+  WORD_COLOR: '#4CAF50',  // Selected word box: a valid word
+  PREFIX_COLOR: '#FFD700', // Selected word box: some word starts with it
+  DEAD_END_COLOR: '#F44336' // Selected word box: no word starts with it
 };
 
 // ========== Score Display ==========
@@ -50,6 +64,39 @@ export const SCORE = {
   ANIMATION_FONT_WEIGHT: 'bold'
 };
 
+// ========== Word Scoring ==========
+export const SCORING = {
+  MODE: 'length',         // 'length' = 100 × 2^(n-2), 'letters' = letter values × length multiplier
+                          // (each mode keeps its own high score)
+  LETTER_SCALE: 10,       // Points per letter value (keeps scores in the same range as length mode)
+  LENGTH_MULTIPLIERS: { 2: 1, 3: 1, 4: 1.5, 5: 2, 6: 3, 7: 4 }, // By word length
+  MAX_LENGTH_MULTIPLIER: 5 // 8+ letters
+};
+
+// Combo multiplier for words played in quick succession
+export const COMBO = {
+  WINDOW: 4000,          // ms without a word before the combo drops one level
+  STEP: 0.5,             // Multiplier gained per chained word (×1, ×1.5, ×2, ...)
+  MAX_MULTIPLIER: 4,
+  COLOR: '#FF9800',      // Combo label and decay bar
+  FONT_SIZE: 16
+};
+
+// Tile values for the active language (English until languages.js applies another pack)
+export const LETTER_VALUES = { ...ENGLISH.LETTER_VALUES };
+
+// ========== Special Balls ==========
+export const SPECIAL_BALLS = {
+  ENABLED: true,
+  TYPES: {
+    DOUBLE_LETTER: { RATE: 0.05, COLOR: '#4FC3F7', LABEL: '2L' }, // Letter value ×2
+    TRIPLE_WORD: { RATE: 0.02, COLOR: '#E57373', LABEL: '3W' },   // Word score ×3
+    WILDCARD: { RATE: 0.02, COLOR: '#FFD54F', LABEL: '' },        // "?" matches any letter (worth 0)
+    BOMB: { RATE: 0.02, COLOR: '#424242', LABEL: '💣' }           // Clears nearby balls when used
+  },
+  BOMB_RADIUS: 120 // Blast radius in pixels (measured from the bomb ball's center)
+};
+
 // ========== Danger Zone ==========
 export const DANGER = {
   LINE_Y_OFFSET: 60,      // Pixels below score UI
@@ -60,14 +107,72 @@ export const DANGER = {
   THRESHOLD_TIME: 5000,   // 5 seconds before game over
   WARNING_COLOR: '#F44336',
   WARNING_FLASH_SPEED: 500, // ms for warning pulse
+  LINE_WIDTH_DANGER: 6,     // In danger the line also turns solid and thick (not just red)
+  BALL_MARK_COLOR: '#FFFFFF', // Dashed ring around each ball over the line
   VELOCITY_THRESHOLD: 1.0   // Ignore balls moving faster than this (truly settled only)
 };
 
+// ========== Blitz Mode ==========
+export const BLITZ = {
+  DURATIONS: [120000, 180000], // Selectable game lengths (2 and 3 minutes)
+  TARGET_BALLS: 30,            // Board is refilled up to this many balls
+  REFILL_INTERVAL: 500,        // ms between refill checks (one pair per check)
+  WARNING_TIME: 10000          // Countdown turns red in the last 10 seconds
+};
+
+// ========== Zen Mode ==========
+export const ZEN = {
+  MIN_INTERVAL: 1500,      // ms between pair spawns on an empty board
+  MAX_INTERVAL: 12000,     // ms between pair spawns on a full board
+  FULL_BALLS: 40,          // Ball count treated as a full board
+  DISSOLVE_INTERVAL: 400,  // ms between dissolves while balls sit over the danger line
+  DISSOLVE_DURATION: 600,  // Fade-out animation length (ms)
+  AGE_WEIGHT: 2            // Dissolve priority bonus for the oldest ball (in letters of excess)
+};
+
+// ========== Hints ==========
+export const HINT = {
+  FREE_PER_GAME: 3,      // Free hints each game
+  COST: 100,             // Points per hint once the free ones are used
+  MAX_PER_GAME: 10,      // Hard limit per game
+  DURATION: 4000,        // ms the hinted chain stays highlighted
+  COLOR: '#FFEB3B',      // Highlight ring and order numbers
+  CHECK_INTERVAL: 1000   // ms between "no words possible" checks
+};
+
+// ========== Undo ==========
+export const UNDO = {
+  FREE_PER_GAME: 1,   // Undos available from the start of each game (not in puzzles)
+  WORDS_PER_UNDO: 5   // One more undo for every this many words scored
+};
+
+// ========== Saved Game ==========
+export const SAVED_GAME = {
+  AUTOSAVE_INTERVAL: 5000 // ms of game time between saves of the game in progress
+};
+
 // ========== Double Tap Delete Feature ==========
 export const DOUBLE_TAP = {
   DELAY: 300   // ms between taps to detect double-tap
 };
 
+// ========== Accessible Play ==========
+// Options the player turns on in the settings panel (settings.js)
+export const ACCESSIBILITY = {
+  SLOW_MOTION_SPEED: 0.5, // Game time per real time with slow motion on
+  LARGE_TOUCH_SLOP: 16,   // Extra px around each ball that still counts as touching it (larger touch targets)
+  MIRROR_INTERVAL: 1000   // ms between refreshes of the screen reader's ball list (boardMirror.js)
+};
+
+// High-contrast theme (settings panel): plain balls are drawn with these instead
+export const HIGH_CONTRAST = {
+  BALL_COLOR: '#FFFFFF',
+  LETTER_COLOR: '#000000',
+  OUTLINE_COLOR: '#000000', // Separates touching balls
+  OUTLINE_WIDTH: 2,
+  SELECTED_COLOR: '#FFD700' // Selected balls are filled, not just ringed
+};
+
 // ========== Finger Tracking Collider ==========
 export const FINGER_COLLIDER = {
   RADIUS: 40,              // Same as static invisible bubble
@@ -76,18 +181,17 @@ export const FINGER_COLLIDER = {
   STROKE_WIDTH: 2          // Width of outline
 };
 
-// ========== Letter Bag Distribution (Optimized for word formation, 100 total) ==========
-export const LETTER_BAG_DISTRIBUTION = {
-  // Vowels - 32 total (32%) - reduced from Scrabble's 42% for better word variety
-  'A': 7, 'E': 9, 'I': 7, 'O': 6, 'U': 3,
-  // Common consonants - 44 total (increased for better word formation)
-  'N': 7, 'R': 7, 'T': 7, 'L': 5, 'S': 5, 'D': 5, 'G': 4, 'H': 2, 'Y': 2,
-  // Moderate consonants - 21 total
-  'B': 3, 'C': 3, 'M': 3, 'P': 3, 'F': 2, 'W': 2, 'V': 2, 'K': 1, 'J': 1, 'X': 1,
-  // Rare consonants - 3 total
-  'Q': 1, 'Z': 2
+// ========== Language ==========
+// Letter classes for the active language pack (languages/*.js, switched by languages.js)
+export const ALPHABET = {
+  LANGUAGE: ENGLISH.ID,
+  VOWELS: [...ENGLISH.VOWELS],
+  SEMI_VOWELS: { ...ENGLISH.SEMI_VOWELS } // Letters counted as part of a vowel (bigram vowel ratio)
 };
 
+// ========== Letter Bag Distribution (active language, 100 total) ==========
+export const LETTER_BAG_DISTRIBUTION = { ...ENGLISH.LETTER_BAG_DISTRIBUTION };
+
 // ========== Utilities ==========
 
 // Get consistent color for a letter
@@ -97,7 +201,7 @@ export function getColorForLetter(letter) {
 
 // Calculate ball radius based on letter bag count (more in bag = bigger ball)
 export function getRadiusForLetter(letter) {
-  const bagCount = LETTER_BAG_DISTRIBUTION[letter];
+  const bagCount = LETTER_BAG_DISTRIBUTION[letter] || 1; // Letters without balls (wildcard stand-ins) count as rare
   const minCount = 1;  // Minimum bag count (Q, K, J, X)
   const maxCount = 12; // Maximum bag count (E)
   const normalizedCount = (bagCount - minCount) / (maxCount - minCount);
@@ -0,0 +1,266 @@
+// dailyChallenge.js - Daily challenge mode: date-derived seed, one scored attempt per day, streaks
+
+const STORAGE_KEY = 'letterball_daily';
+const HISTORY_DAYS_SHOWN = 14;
+
+// Format a Date as a local calendar key (YYYY-MM-DD)
+function toDateKey(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+}
+
+// Get the calendar key for the day before a given key
+function previousDateKey(dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return toDateKey(new Date(y, m - 1, d - 1));
+}
+
+class DailyChallenge {
+  constructor() {
+    this.days = this.loadHistory(); // { 'YYYY-MM-DD': { score, best, words, attempts, finished } }
+  }
+
+  // Today's calendar key (local time - everyone on the same date gets the same board)
+  getTodayKey() {
+    return toDateKey(new Date());
+  }
+
+  // Seed for a given day (defaults to today)
+  getSeed(dateKey = this.getTodayKey()) {
+    return `DAILY-${dateKey}`;
+  }
+
+  // Get stored result for a day (null if never played)
+  getDay(dateKey = this.getTodayKey()) {
+    return this.days[dateKey] || null;
+  }
+
+  // Check if today's scored attempt has been used
+  hasPlayedToday() {
+    return this.getDay() !== null;
+  }
+
+  // Start an attempt - returns true if this attempt counts (first of the day)
+  // The attempt is consumed on start so restarting or reloading can't reroll a bad run
+  beginAttempt() {
+    const todayKey = this.getTodayKey();
+    const day = this.days[todayKey];
+
+    if (day) {
+      day.attempts++;
+      this.saveHistory();
+      return false;
+    }
+
+    this.days[todayKey] = { score: 0, best: 0, words: 0, attempts: 1, finished: false };
+    this.saveHistory();
+    return true;
+  }
+
+  // Record a finished attempt (scored or practice) for a day
+  recordResult(dateKey, score, wordCount, isScored) {
+    const day = this.days[dateKey];
+    if (!day) return;
+
+    if (isScored) {
+      day.score = score;
+      day.words = wordCount;
+      day.finished = true;
+    }
+    day.best = Math.max(day.best, score);
+    this.saveHistory();
+  }
+
+  // Count consecutive days with a scored attempt, ending today (or yesterday if today is still open)
+  getStreak() {
+    let dateKey = this.getTodayKey();
+    if (!this.days[dateKey]) {
+      dateKey = previousDateKey(dateKey);
+    }
+
+    let streak = 0;
+    while (this.days[dateKey]) {
+      streak++;
+      dateKey = previousDateKey(dateKey);
+    }
+    return streak;
+  }
+
+  // Longest streak ever recorded
+  getBestStreak() {
+    const keys = Object.keys(this.days).sort();
+    let best = 0;
+    let current = 0;
+    let previous = null;
+
+    keys.forEach(key => {
+      current = previous !== null && previousDateKey(key) === previous ? current + 1 : 1;
+      best = Math.max(best, current);
+      previous = key;
+    });
+
+    return best;
+  }
+
+  // Most recent days first (including days without a result, so gaps are visible)
+  getHistory(dayCount = HISTORY_DAYS_SHOWN) {
+    const history = [];
+    let dateKey = this.getTodayKey();
+
+    for (let i = 0; i < dayCount; i++) {
+      history.push({ date: dateKey, result: this.days[dateKey] || null });
+      dateKey = previousDateKey(dateKey);
+    }
+
+    return history;
+  }
+
+  // Load history from localStorage
+  loadHistory() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return saved ? JSON.parse(saved) : {};
+    } catch (e) {
+      console.warn('Failed to load daily history:', e);
+      return {};
+    }
+  }
+
+  // Save history to localStorage
+  saveHistory() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.days));
+    } catch (e) {
+      console.warn('Failed to save daily history:', e);
+    }
+  }
+}
+
+// Create singleton instance
+export const dailyChallenge = new DailyChallenge();
+
+// Daily challenge panel (streak, today's status and per-day history)
+export function createDailyPanel({ onPlay }) {
+  const overlay = document.createElement('div');
+  Object.assign(overlay.style, {
+    position: 'fixed',
+    inset: '0',
+    background: 'rgba(0, 0, 0, 0.85)',
+    display: 'none',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: '2000',
+    fontFamily: 'system-ui, -apple-system, sans-serif',
+  });
+
+  const panel = document.createElement('div');
+  Object.assign(panel.style, {
+    width: 'min(90vw, 360px)',
+    maxHeight: '80vh',
+    overflowY: 'auto',
+    background: '#1a1a1a',
+    color: '#fff',
+    borderRadius: '12px',
+    padding: '20px',
+    boxSizing: 'border-box',
+  });
+  overlay.appendChild(panel);
+
+  function createButton(label, background) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    Object.assign(button.style, {
+      padding: '10px 16px',
+      background,
+      color: '#fff',
+      border: 'none',
+      borderRadius: '6px',
+      cursor: 'pointer',
+      fontSize: '16px',
+      fontWeight: 'bold',
+    });
+    return button;
+  }
+
+  function render() {
+    panel.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.textContent = `📅 Daily Challenge — ${dailyChallenge.getTodayKey()}`;
+    Object.assign(title.style, { fontSize: '18px', fontWeight: 'bold', marginBottom: '12px' });
+    panel.appendChild(title);
+
+    const streak = document.createElement('div');
+    streak.textContent = `🔥 Streak: ${dailyChallenge.getStreak()} · Best streak: ${dailyChallenge.getBestStreak()}`;
+    Object.assign(streak.style, { color: '#aaa', marginBottom: '12px' });
+    panel.appendChild(streak);
+
+    const today = dailyChallenge.getDay();
+    const status = document.createElement('div');
+    status.textContent = today
+      ? `Today's score: ${today.score}${today.finished ? '' : ' (unfinished)'} — further plays are practice`
+      : 'One scored attempt per day. Same board for everyone.';
+    Object.assign(status.style, { marginBottom: '16px' });
+    panel.appendChild(status);
+
+    const buttons = document.createElement('div');
+    Object.assign(buttons.style, { display: 'flex', gap: '8px', marginBottom: '16px' });
+
+    const playBtn = createButton(today ? 'Practice' : 'Play', '#4CAF50');
+    playBtn.addEventListener('click', () => {
+      hide();
+      onPlay();
+    });
+    const closeBtn = createButton('Close', '#333');
+    closeBtn.addEventListener('click', hide);
+
+    buttons.appendChild(playBtn);
+    buttons.appendChild(closeBtn);
+    panel.appendChild(buttons);
+
+    const historyTitle = document.createElement('div');
+    historyTitle.textContent = 'History';
+    Object.assign(historyTitle.style, { fontWeight: 'bold', marginBottom: '6px' });
+    panel.appendChild(historyTitle);
+
+    dailyChallenge.getHistory().forEach(({ date, result }) => {
+      const row = document.createElement('div');
+      Object.assign(row.style, {
+        display: 'flex',
+        justifyContent: 'space-between',
+        padding: '4px 0',
+        borderBottom: '1px solid #333',
+        color: result ? '#fff' : '#666',
+      });
+
+      const dateEl = document.createElement('span');
+      dateEl.textContent = date;
+      const scoreEl = document.createElement('span');
+      scoreEl.textContent = result
+        ? `${result.score}${result.best > result.score ? ` (best ${result.best})` : ''}`
+        : '—';
+
+      row.appendChild(dateEl);
+      row.appendChild(scoreEl);
+      panel.appendChild(row);
+    });
+  }
+
+  function show() {
+    render();
+    overlay.style.display = 'flex';
+  }
+
+  function hide() {
+    overlay.style.display = 'none';
+  }
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) hide();
+  });
+
+  document.body.appendChild(overlay);
+  return { show, hide };
+}
@@ -0,0 +1,72 @@
+// dangerZone.js - Danger line tracking and game-over timing
+
+const v = globalThis.__BUILD || Date.now();
+const { DANGER } = await import(`./config.js?v=${v}`);
+
+/**
+ * Check if a ball counts as "in danger". Only balls that are:
+ * 1. Top edge touching the danger line
+ * 2. Moving slowly (settled or near-settled - not freshly spawned balls falling down)
+ * 3. In the visible area (not in spawn zone above screen)
+ */
+export function isBallInDanger(ball, lineY, velocityThreshold = DANGER.VELOCITY_THRESHOLD) {
+  const ballTopEdge = ball.y - ball.radius;
+  const speed = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
+  return ballTopEdge <= lineY && speed < velocityThreshold && ball.y > 0;
+}
+
+// Tracks balls over the danger line and how long the line has been crossed
+export class DangerZone {
+  constructor(lineY, thresholdTime = DANGER.THRESHOLD_TIME) {
+    this.lineY = lineY;
+    this.thresholdTime = thresholdTime;
+    this.startTime = null;        // When first ball entered danger zone (game time)
+    this.ballsInDanger = new Set(); // Balls currently in danger
+  }
+
+  // Update with the current board at game time `now`
+  // Returns true once the line has been crossed for the full threshold time
+  update(balls, now) {
+    this.ballsInDanger.clear();
+
+    balls.forEach(ball => {
+      if (isBallInDanger(ball, this.lineY)) {
+        this.ballsInDanger.add(ball);
+      }
+    });
+
+    if (this.ballsInDanger.size === 0) {
+      if (this.startTime !== null) {
+        console.log('✓ Danger cleared');
+      }
+      this.startTime = null;
+      return false;
+    }
+
+    if (this.startTime === null) {
+      this.startTime = now;
+      console.log('⚠️ Ball entered danger zone!');
+    }
+
+    return this.getTimeInDanger(now) >= this.thresholdTime;
+  }
+
+  isActive() {
+    return this.ballsInDanger.size > 0;
+  }
+
+  // How long the danger line has been crossed (0 when safe)
+  getTimeInDanger(now) {
+    return this.startTime === null ? 0 : now - this.startTime;
+  }
+
+  // Time left before game over
+  getTimeRemaining(now) {
+    return Math.max(0, this.thresholdTime - this.getTimeInDanger(now));
+  }
+
+  reset() {
+    this.startTime = null;
+    this.ballsInDanger.clear();
+  }
+}
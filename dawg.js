@@ -0,0 +1,266 @@
+// dawg.js - Compact word graph (DAWG) for exact, prefix and wildcard dictionary queries
+//
+// Built once from a sorted word list (buildDictionary.js writes one .dawg per bundled list)
+// and shared as a flat array of 32-bit edges, so loading is a single buffer copy.
+
+const MAGIC = 0x47574144; // 'DAWG' (little-endian)
+const FORMAT_VERSION = 2;
+const HEADER_WORDS = 4;   // magic, format version, word count, alphabet size
+const MAX_ALPHABET = 64;
+
+// Buffer layout: header, the alphabet (one UTF-16 code unit per uint32), then the edges
+// Edge layout: bits 0-5 letter (index into the alphabet), bit 6 ends a word, bit 7 last edge
+// of its node, bits 8-31 offset of the child node's edge list (0 = no children, the root is
+// never a child)
+const LETTER_MASK = 0x3f;
+const FINAL_BIT = 0x40;
+const LAST_BIT = 0x80;
+const CHILD_SHIFT = 8;
+const ROOT = 0;
+const NONE = -1;
+
+const WILDCARD = '?';
+const LETTER_PATTERN = /^\p{L}+$/u;
+
+function childOf(edge) {
+  const child = edge >>> CHILD_SHIFT;
+  return child === 0 ? NONE : child;
+}
+
+/**
+ * Build the edge array from a word list in any alphabet (up to 64 letters)
+ * Words are uppercased; entries with digits, spaces or punctuation are skipped
+ * Uses incremental minimization on the sorted list, so shared suffixes are stored once
+ */
+export function buildDawg(words) {
+  const sorted = [...new Set(words.map(word => word.toUpperCase()))]
+    .filter(word => LETTER_PATTERN.test(word))
+    .sort();
+
+  const alphabet = [...new Set(sorted.join(''))].sort();
+  if (alphabet.length > MAX_ALPHABET) {
+    throw new Error(`Word list uses ${alphabet.length} letters (max ${MAX_ALPHABET})`);
+  }
+  if (alphabet.some(letter => letter.length !== 1)) {
+    throw new Error('Word list uses letters outside the Basic Multilingual Plane');
+  }
+  const letterIndex = new Map(alphabet.map((letter, index) => [letter, index]));
+
+  let nextId = 0;
+  const createNode = () => ({ id: nextId++, final: false, edges: new Map() });
+  const root = createNode();
+  const register = new Map();
+  const unchecked = []; // [parent, letter, child] along the last inserted word
+
+  const signature = (node) => {
+    let key = node.final ? '1' : '0';
+    node.edges.forEach((child, letter) => {
+      key += letter + child.id;
+    });
+    return key;
+  };
+
+  const minimize = (downTo) => {
+    while (unchecked.length > downTo) {
+      const [parent, letter, child] = unchecked.pop();
+      const key = signature(child);
+      const existing = register.get(key);
+      if (existing) {
+        parent.edges.set(letter, existing);
+      } else {
+        register.set(key, child);
+      }
+    }
+  };
+
+  let previous = '';
+  sorted.forEach(word => {
+    let common = 0;
+    while (common < word.length && common < previous.length && word[common] === previous[common]) {
+      common++;
+    }
+    minimize(common);
+
+    let node = unchecked.length > 0 ? unchecked[unchecked.length - 1][2] : root;
+    for (let i = common; i < word.length; i++) {
+      const child = createNode();
+      node.edges.set(word[i], child);
+      unchecked.push([node, word[i], child]);
+      node = child;
+    }
+    node.final = true;
+    previous = word;
+  });
+  minimize(0);
+
+  // Lay out each node's edge list once (root first, children found depth-first)
+  const offsets = new Map();
+  const order = [];
+  let size = 0;
+  const place = (node) => {
+    if (node.edges.size === 0 || offsets.has(node)) return;
+    offsets.set(node, size);
+    order.push(node);
+    size += node.edges.size;
+    node.edges.forEach(child => place(child));
+  };
+  place(root);
+
+  if (size >= 2 ** (32 - CHILD_SHIFT)) {
+    throw new Error(`Word list too large (${size} edges)`);
+  }
+
+  const edges = new Uint32Array(size);
+  order.forEach(node => {
+    let index = offsets.get(node);
+    const entries = [...node.edges.entries()].sort(([a], [b]) => letterIndex.get(a) - letterIndex.get(b));
+    entries.forEach(([letter, child], i) => {
+      let edge = letterIndex.get(letter);
+      if (child.final) edge |= FINAL_BIT;
+      if (i === entries.length - 1) edge |= LAST_BIT;
+      edge |= (offsets.get(child) || 0) << CHILD_SHIFT;
+      edges[index++] = edge >>> 0;
+    });
+  });
+
+  return new Dawg(edges, sorted.length, alphabet);
+}
+
+export class Dawg {
+  constructor(edges, wordCount, alphabet) {
+    this.edges = edges;
+    this.size = wordCount;
+    this.alphabet = alphabet; // Uppercase letters in edge order
+    this.letterIndex = new Map(alphabet.map((letter, index) => [letter, index]));
+  }
+
+  // Read a buffer written by toBuffer()
+  static fromBuffer(buffer) {
+    const header = new Uint32Array(buffer, 0, HEADER_WORDS);
+    if (header[0] !== MAGIC) {
+      throw new Error('Not a DAWG dictionary file');
+    }
+    if (header[1] !== FORMAT_VERSION) {
+      throw new Error(`Unsupported DAWG format version ${header[1]} (rebuild with buildDictionary.js)`);
+    }
+
+    const alphabetSize = header[3];
+    const codes = new Uint32Array(buffer, HEADER_WORDS * 4, alphabetSize);
+    const alphabet = Array.from(codes, code => String.fromCharCode(code));
+    const edges = new Uint32Array(buffer, (HEADER_WORDS + alphabetSize) * 4);
+    return new Dawg(edges, header[2], alphabet);
+  }
+
+  // Serialize to an ArrayBuffer (header + alphabet + edges)
+  toBuffer() {
+    const alphabetSize = this.alphabet.length;
+    const data = new Uint32Array(HEADER_WORDS + alphabetSize + this.edges.length);
+    data[0] = MAGIC;
+    data[1] = FORMAT_VERSION;
+    data[2] = this.size;
+    data[3] = alphabetSize;
+    this.alphabet.forEach((letter, index) => {
+      data[HEADER_WORDS + index] = letter.charCodeAt(0);
+    });
+    data.set(this.edges, HEADER_WORDS + alphabetSize);
+    return data.buffer;
+  }
+
+  // Find the edge for a letter in a node's list (NONE if absent)
+  findEdge(offset, letter) {
+    if (offset === NONE) return NONE;
+
+    const code = this.letterIndex.get(letter);
+    if (code === undefined) return NONE;
+    for (let i = offset; ; i++) {
+      const edge = this.edges[i];
+      const edgeCode = edge & LETTER_MASK;
+      if (edgeCode === code) return i;
+      if (edgeCode > code || edge & LAST_BIT) return NONE;
+    }
+  }
+
+  // Follow an uppercase word from the root - returns the last edge index, or NONE
+  walk(word) {
+    let offset = ROOT;
+    let index = NONE;
+    for (let i = 0; i < word.length; i++) {
+      index = this.findEdge(offset, word[i]);
+      if (index === NONE) return NONE;
+      offset = childOf(this.edges[index]);
+    }
+    return index;
+  }
+
+  /**
+   * Find the first (alphabetical) match for a pattern where "?" stands for any letter
+   * wholeWord: the match must be a word; otherwise any word may merely start with it
+   * Returns the resolved uppercase string, or null
+   */
+  match(pattern, wholeWord = true) {
+    if (pattern.length === 0) return wholeWord ? null : '';
+
+    const search = (offset, pos, prefix) => {
+      if (offset === NONE) return null;
+
+      const letter = pattern[pos];
+      const isLast = pos === pattern.length - 1;
+      for (let i = offset; ; i++) {
+        const edge = this.edges[i];
+        const edgeLetter = this.alphabet[edge & LETTER_MASK];
+
+        if (letter === WILDCARD || letter === edgeLetter) {
+          if (isLast) {
+            if (!wholeWord || edge & FINAL_BIT) return prefix + edgeLetter;
+          } else {
+            const result = search(childOf(edge), pos + 1, prefix + edgeLetter);
+            if (result) return result;
+          }
+        }
+
+        if (edge & LAST_BIT) return null;
+      }
+    };
+
+    return search(ROOT, 0, '');
+  }
+
+  // Exact word lookup (uppercase)
+  has(word) {
+    if (word.length === 0) return false;
+    const index = this.walk(word);
+    return index !== NONE && (this.edges[index] & FINAL_BIT) !== 0;
+  }
+
+  // True if at least one word starts with this prefix (the prefix itself may be a word)
+  isPrefix(prefix) {
+    return prefix.length === 0 || this.walk(prefix) !== NONE;
+  }
+
+  // Words starting with a prefix, alphabetical, at most limit of them
+  completions(prefix, limit = Infinity) {
+    const results = [];
+    let offset = ROOT;
+
+    if (prefix.length > 0) {
+      const index = this.walk(prefix);
+      if (index === NONE) return results;
+      if (this.edges[index] & FINAL_BIT) results.push(prefix);
+      offset = childOf(this.edges[index]);
+    }
+
+    const collect = (listOffset, word) => {
+      if (listOffset === NONE) return;
+      for (let i = listOffset; results.length < limit; i++) {
+        const edge = this.edges[i];
+        const next = word + this.alphabet[edge & LETTER_MASK];
+        if (edge & FINAL_BIT) results.push(next);
+        collect(childOf(edge), next);
+        if (edge & LAST_BIT) return;
+      }
+    };
+
+    collect(offset, prefix);
+    return results.slice(0, limit);
+  }
+}
@@ -0,0 +1,325 @@
+// dictionaries.js - Word list registry: bundled lists, an uploaded custom list and the player's choice
+
+const v = globalThis.__BUILD || Date.now();
+const { buildDawg, Dawg } = await import(`./dawg.js?v=${v}`);
+
+const STORAGE_KEY = 'letterball_dictionary';
+const CACHE_PREFIX = 'letterball-dictionary-'; // One Cache Storage cache per list
+const CUSTOM_CACHE_KEY = './custom.dawg';
+
+export const DEFAULT_DICTIONARY_ID = 'sowpods';
+export const CUSTOM_DICTIONARY_ID = 'custom';
+
+/*
+ * Bundled word lists
+ * file: precompiled DAWG loaded by the game, source: text list it is built from
+ * (run buildDictionary.js after adding or editing one; the text list is the fallback)
+ * language: code of the letter set the list is spelled in
+ * kids: SCOWL's common words (size 35 and below, no proper nouns) that are in SOWPODS, with profanity,
+ * adult words, violence, weapons and drugs (the naughty-words English list and the kids filter in
+ * WORDLISTS.md, with their plurals and verb forms) taken out
+ * pt-br: the pythonprobr/palavras list (from LibreOffice's MPL-2.0 pt_BR spelling dictionary), accents kept
+ * Sources and licenses of every list are in WORDLISTS.md
+ */
+export const DICTIONARIES = [
+  { id: 'sowpods', name: 'SOWPODS (Collins Scrabble Words)', language: 'en', file: 'sowpods.dawg', source: 'sowpods.txt' },
+  { id: 'kids', name: 'Kid-friendly (common words)', language: 'en', file: 'kids.dawg', source: 'kids.txt' },
+  { id: 'pt-br', name: 'Português do Brasil (LibreOffice pt_BR)', language: 'pt', file: 'pt-br.dawg', source: 'pt-br.txt' }
+];
+
+// Selected list and the uploaded list's details, saved locally
+class DictionarySettings {
+  constructor() {
+    const saved = this.load();
+    this.selectedId = saved.selectedId || DEFAULT_DICTIONARY_ID;
+    this.custom = saved.custom || null; // { name, language, words }
+  }
+
+  select(id) {
+    this.selectedId = id;
+    this.save();
+  }
+
+  setCustom(custom) {
+    this.custom = custom;
+    this.save();
+  }
+
+  load() {
+    if (typeof localStorage === 'undefined') return {}; // Headless (Node)
+
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return saved ? JSON.parse(saved) : {};
+    } catch (e) {
+      console.warn('Failed to load dictionary settings:', e);
+      return {};
+    }
+  }
+
+  save() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ selectedId: this.selectedId, custom: this.custom }));
+    } catch (e) {
+      console.warn('Failed to save dictionary settings:', e);
+    }
+  }
+}
+
+// Create singleton instance
+export const dictionarySettings = new DictionarySettings();
+
+// Registry entry for an id (the uploaded list included), or null
+export function getDictionary(id) {
+  if (id === CUSTOM_DICTIONARY_ID) {
+    return dictionarySettings.custom ? { id, ...dictionarySettings.custom } : null;
+  }
+  return DICTIONARIES.find(entry => entry.id === id) || null;
+}
+
+// Every list the player can pick (only those spelled in a language, when given)
+export function getDictionaries(language = null) {
+  const custom = getDictionary(CUSTOM_DICTIONARY_ID);
+  const all = custom ? [...DICTIONARIES, custom] : DICTIONARIES;
+  return language ? all.filter(entry => entry.language === language) : all;
+}
+
+// Word list to use for a language without a bundled one: the upload, if it is spelled in it
+export function findDictionaryForLanguage(language) {
+  const custom = getDictionary(CUSTOM_DICTIONARY_ID);
+  return custom && custom.language === language ? CUSTOM_DICTIONARY_ID : null;
+}
+
+// Open a list's cache (null where Cache Storage is unavailable, e.g. headless or insecure origins)
+async function openCache(id) {
+  if (typeof caches === 'undefined') return null;
+
+  try {
+    return await caches.open(`${CACHE_PREFIX}${id}`);
+  } catch (error) {
+    console.warn('Failed to open dictionary cache:', error);
+    return null;
+  }
+}
+
+// Store a built list, replacing whatever that list's cache held before (e.g. an older build)
+async function storeInCache(id, key, buffer) {
+  const cache = await openCache(id);
+  if (!cache) return false;
+
+  try {
+    const keys = await cache.keys();
+    await Promise.all(keys.map(request => cache.delete(request)));
+    await cache.put(key, new Response(buffer, { headers: { 'Content-Type': 'application/octet-stream' } }));
+    return true;
+  } catch (error) {
+    console.warn('Failed to cache dictionary:', error);
+    return false;
+  }
+}
+
+async function readFromCache(id, key) {
+  const cache = await openCache(id);
+  if (!cache) return null;
+
+  const response = await cache.match(key);
+  return response ? Dawg.fromBuffer(await response.arrayBuffer()) : null;
+}
+
+/**
+ * Load a registered list as a Dawg
+ * Bundled lists come from their cache for this build, then the precompiled file,
+ * then the text source; the uploaded list only lives in its cache
+ */
+export async function loadDictionary(entry) {
+  if (entry.id === CUSTOM_DICTIONARY_ID) {
+    const dawg = await readFromCache(entry.id, CUSTOM_CACHE_KEY);
+    if (!dawg) {
+      throw new Error('Uploaded word list is no longer stored - upload it again');
+    }
+    return dawg;
+  }
+
+  const key = `./${entry.file}?v=${v}`;
+  const cached = await readFromCache(entry.id, key);
+  if (cached) return cached;
+
+  const response = await fetch(key);
+  if (response.ok) {
+    const buffer = await response.arrayBuffer();
+    const dawg = Dawg.fromBuffer(buffer);
+    await storeInCache(entry.id, key, buffer);
+    return dawg;
+  }
+
+  // Precompiled list missing (run buildDictionary.js) - fall back to the text list
+  console.warn(`Failed to load ${entry.file} (${response.status}), parsing ${entry.source} instead`);
+  const textResponse = await fetch(`./${entry.source}`);
+  if (!textResponse.ok) {
+    throw new Error(`Failed to load word list: ${textResponse.status}`);
+  }
+  return buildDawg(parseWordList(await textResponse.text()));
+}
+
+// Split a newline-separated word list
+export function parseWordList(text) {
+  return text.split('\n').map(word => word.trim()).filter(word => word.length > 0);
+}
+
+/**
+ * Build and store an uploaded word list as the custom dictionary
+ * Throws an Error if the list has no usable words or too many letters
+ */
+export async function saveCustomDictionary(name, text, language = 'en') {
+  const dawg = buildDawg(parseWordList(text));
+  if (dawg.size === 0) {
+    throw new Error('No words found (one word per line, letters only)');
+  }
+
+  if (!await storeInCache(CUSTOM_DICTIONARY_ID, CUSTOM_CACHE_KEY, dawg.toBuffer())) {
+    console.warn('Uploaded word list could not be stored - it will only last this session');
+  }
+  dictionarySettings.setCustom({ name, language, words: dawg.size });
+  return dawg;
+}
+
+/**
+ * Create the word list picker overlay
+ * onChange(id, dawg) is called after the player picks or uploads a list
+ * (dawg is the freshly built list for uploads, otherwise null)
+ * Returns { show, hide } - show({ language, message }) lists that language's word lists
+ * (uploads are tagged with it) and shows an optional note
+ */
+export function createDictionaryPanel({ onChange }) {
+  const overlay = document.createElement('div');
+  Object.assign(overlay.style, {
+    position: 'fixed',
+    inset: '0',
+    background: 'rgba(0, 0, 0, 0.85)',
+    display: 'none',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: '2100', // Above the mode picker it is opened from
+    fontFamily: 'system-ui, -apple-system, sans-serif',
+  });
+
+  const panel = document.createElement('div');
+  Object.assign(panel.style, {
+    width: 'min(90vw, 360px)',
+    maxHeight: '80vh',
+    overflowY: 'auto',
+    background: '#1a1a1a',
+    color: '#fff',
+    borderRadius: '12px',
+    padding: '20px',
+    boxSizing: 'border-box',
+  });
+  overlay.appendChild(panel);
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.txt,text/plain';
+  fileInput.style.display = 'none';
+  overlay.appendChild(fileInput);
+
+  let shownLanguage = null;
+  let note = '';
+
+  function addText(text, style = {}) {
+    const el = document.createElement('div');
+    el.textContent = text;
+    Object.assign(el.style, { color: '#aaa', fontSize: '13px', marginBottom: '12px' }, style);
+    panel.appendChild(el);
+    return el;
+  }
+
+  function createButton(label, background) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    Object.assign(button.style, {
+      display: 'block',
+      width: '100%',
+      padding: '12px 16px',
+      marginBottom: '8px',
+      background,
+      color: '#fff',
+      border: 'none',
+      borderRadius: '6px',
+      cursor: 'pointer',
+      fontSize: '16px',
+      fontWeight: 'bold',
+      textAlign: 'left',
+    });
+    panel.appendChild(button);
+    return button;
+  }
+
+  function render(status = '') {
+    panel.innerHTML = '';
+    addText('📖 Word list', { color: '#fff', fontSize: '18px', fontWeight: 'bold' });
+
+    if (note) {
+      addText(note, { color: '#FFD54F' });
+    }
+
+    getDictionaries(shownLanguage).forEach(entry => {
+      const isSelected = entry.id === dictionarySettings.selectedId;
+      const label = `${isSelected ? '✓ ' : ''}${entry.name}`;
+      const button = createButton(label, isSelected ? '#2E7D32' : '#333');
+      button.addEventListener('click', () => {
+        dictionarySettings.select(entry.id);
+        hide();
+        onChange(entry.id, null);
+      });
+    });
+
+    const uploadBtn = createButton('⬆ Upload word list (.txt)', '#2196F3');
+    uploadBtn.addEventListener('click', () => fileInput.click());
+    addText('One word per line. Replaces any earlier upload.');
+
+    if (status) {
+      addText(status, { color: '#FFD54F' });
+    }
+
+    const closeBtn = createButton('Close', '#555');
+    closeBtn.style.textAlign = 'center';
+    closeBtn.addEventListener('click', hide);
+  }
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    render(`Building ${file.name}...`);
+    try {
+      const dawg = await saveCustomDictionary(file.name.replace(/\.txt$/i, ''), await file.text(), shownLanguage || 'en');
+      dictionarySettings.select(CUSTOM_DICTIONARY_ID);
+      hide();
+      onChange(CUSTOM_DICTIONARY_ID, dawg);
+    } catch (error) {
+      console.error('Failed to load uploaded word list:', error);
+      render(`Could not use ${file.name}: ${error.message}`);
+    }
+  });
+
+  function show({ language = null, message = '' } = {}) {
+    shownLanguage = language;
+    note = message;
+    render();
+    overlay.style.display = 'flex';
+  }
+
+  function hide() {
+    overlay.style.display = 'none';
+  }
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) hide();
+  });
+
+  document.body.appendChild(overlay);
+  return { show, hide };
+}
@@ -11,12 +11,30 @@ const wordValidatorModule = await import(`./wordValidator.js?v=${v}`);
 const scoringModule = await import(`./scoring.js?v=${v}`);
 const wordSpawnModule = await import(`./wordSpawnSystem.js?v=${v}`);
 const bigramSpawnModule = await import(`./bigramSpawnSystem.js?v=${v}`);
+const randomModule = await import(`./random.js?v=${v}`);
+const dailyChallengeModule = await import(`./dailyChallenge.js?v=${v}`);
+const replayModule = await import(`./replay.js?v=${v}`);
+const gameClockModule = await import(`./gameClock.js?v=${v}`);
+const dangerZoneModule = await import(`./dangerZone.js?v=${v}`);
+const specialBallsModule = await import(`./specialBalls.js?v=${v}`);
+const gameHistoryModule = await import(`./gameHistory.js?v=${v}`);
+const highScoresModule = await import(`./highScores.js?v=${v}`);
+const modePickerModule = await import(`./modePicker.js?v=${v}`);
+const zenModeModule = await import(`./zenMode.js?v=${v}`);
+const puzzleModeModule = await import(`./puzzleMode.js?v=${v}`);
+const wordFinderModule = await import(`./wordFinder.js?v=${v}`);
+const dictionariesModule = await import(`./dictionaries.js?v=${v}`);
+const languagesModule = await import(`./languages.js?v=${v}`);
+const offlineModule = await import(`./offline.js?v=${v}`);
+const savedGameModule = await import(`./savedGame.js?v=${v}`);
+const settingsModule = await import(`./settings.js?v=${v}`);
+const boardMirrorModule = await import(`./boardMirror.js?v=${v}`);
 
 const { initDebugConsole } = debugConsoleModule;
 const { letterBag } = letterBagModule;
-const { PHYSICS, BALL, SPAWN, SELECTION, SCORE, DANGER, DOUBLE_TAP, FINGER_COLLIDER, getColorForLetter, getRadiusForLetter } = configModule;
+const { PHYSICS, BALL, SPAWN, SELECTION, SCORE, SCORING, COMBO, DANGER, BLITZ, ZEN, HINT, UNDO, SAVED_GAME, ACCESSIBILITY, HIGH_CONTRAST, DOUBLE_TAP, FINGER_COLLIDER, ALPHABET, getColorForLetter, getRadiusForLetter } = configModule;
 const { engine, createWalls, createBallBody, createPhysicsInterface, updatePhysics, addToWorld, removeFromWorld, createInvisibleBubble, createFingerCollider, updateFingerColliderPosition, initGyroscope, disableGyroscope, getGyroscopeStatus } = physicsModule;
-const { initSelection, handleTouchStart, handleTouchMove, handleTouchEnd, getSelection, getTouchPosition, isSelectionActive, getSelectedWord } = selectionModule;
+const { initSelection, handleTouchStart, handleTouchMove, handleTouchEnd, handleKeyLetter, handleTapBall, removeLastSelected, clearSelection, getSelection, getSelections, getSelectedWord, findBallAtPosition, setLargeTouch, PRIMARY_POINTER, BUILD_POINTER } = selectionModule;
 const { wordValidator } = wordValidatorModule;
 const { scoring } = scoringModule;
 const {
@@ -33,6 +51,24 @@ const {
   selectBigramPair,
   getSpawnStats
 } = bigramSpawnModule;
+const { createSessionRandom, randomSeed, normalizeSeed, getSessionRandomState, restoreSessionRandom } = randomModule;
+const { dailyChallenge, createDailyPanel } = dailyChallengeModule;
+const { replayRecorder, ReplayPlayer, readReplayFile, downloadReplay, createReplayControls } = replayModule;
+const { createGameClock } = gameClockModule;
+const { DangerZone } = dangerZoneModule;
+const { assignSpecial, applySpecial, getBagLetter, getSpecialLabel, getBombVictims } = specialBallsModule;
+const { gameHistory, createGameRecord, createStatsPanel } = gameHistoryModule;
+const { highScores } = highScoresModule;
+const { createModePicker, getBlitzTableId, ZEN_TABLE_ID } = modePickerModule;
+const { getZenSpawnInterval, selectBallToDissolve } = zenModeModule;
+const { findBestWord, hasPlayableWord } = wordFinderModule;
+const { createDictionaryPanel, getDictionary, dictionarySettings, findDictionaryForLanguage } = dictionariesModule;
+const { createLanguagePanel, applyLanguage, getLanguage, languageSettings } = languagesModule;
+const { initOffline, createUpdatePrompt } = offlineModule;
+const { savedGame, createPausePanel } = savedGameModule;
+const { playerSettings, createSettingsPanel } = settingsModule;
+const { createBoardMirror } = boardMirrorModule;
+const { evaluateGoal, describeGoal, calculateStars, formatStars, puzzleProgress, createLevelSelect } = puzzleModeModule;
 
 // Initialize debug console first
 initDebugConsole();
@@ -173,22 +209,100 @@ try {
 
   // Game state
   let isGameOver = false;
+  let isPaused = false; // Simulation, timers and animations frozen behind the pause screen
+  let gameMode = 'survival'; // 'survival' | 'daily' | 'blitz' | 'zen' | 'puzzle'
+
+  // Blitz state (selected game length, and the finished game's table rank)
+  let blitzDuration = BLITZ.DURATIONS[0];
+  let blitzRank = null;
+
+  // Zen state (balls fading back into the bag, and when the last one started)
+  let dissolvingBalls = [];
+  let lastDissolveTime = -Infinity;
+
+  // Puzzle state (current level, moves used, target words found, stars earned)
+  let puzzleLevel = null;
+  let puzzleMoves = 0;
+  let puzzleFoundWords = new Set();
+  let puzzleStars = 0;
+
+  // Hint state (hints used this game, the highlighted chain, and whether the board is stuck)
+  let hintsUsed = 0;
+  let activeHint = null; // { word, balls, expiresAt }
+  let noWordsPossible = false;
+
+  // Undo state (undos used this game, and what the last word changed - null once it can't be undone)
+  let undosUsed = 0;
+  let lastWordUndo = null; // { removed: [{ ball, index }], spawned, bag, scoring }
+
+  // Daily challenge state (date of the board being played, and whether it counts)
+  let dailyDateKey = null;
+  let isDailyScored = false;
+
+  // Seeded randomness - same seed gives the same letters and spawn positions
+  // A seed can be shared via ?seed=XXXX in the URL, ?mode=daily starts today's challenge,
+  // ?mode=survival, ?mode=zen or ?mode=blitz&minutes=3 skip the mode picker
+  const urlParams = new URLSearchParams(window.location.search);
+  const urlSeed = normalizeSeed(urlParams.get('seed'));
+  const urlMode = urlParams.get('mode');
+  let initialSeed = urlSeed || randomSeed();
+  if (urlMode === 'daily') {
+    gameMode = 'daily';
+    dailyDateKey = dailyChallenge.getTodayKey();
+    isDailyScored = dailyChallenge.beginAttempt();
+    initialSeed = dailyChallenge.getSeed(dailyDateKey);
+  } else if (urlMode === 'blitz') {
+    gameMode = 'blitz';
+    const urlDuration = Number(urlParams.get('minutes')) * 60000;
+    if (BLITZ.DURATIONS.includes(urlDuration)) {
+      blitzDuration = urlDuration;
+    }
+  } else if (urlMode === 'zen') {
+    gameMode = 'zen';
+  }
+
+  // Blitz and Zen keep their own high score tables
+  scoring.setHighScoreTracking(gameMode === 'survival' || gameMode === 'daily');
+
+  // Without a mode in the URL, nothing spawns until one is picked
+  let isAwaitingMode = !['survival', 'daily', 'blitz', 'zen'].includes(urlMode);
+
+  let rng = createSessionRandom(initialSeed);
+  letterBag.init(rng.bag);
+  console.log(`🎲 Game seed: ${rng.seed}${urlSeed ? ' (from URL)' : ''} | Mode: ${gameMode}`);
+
+  // Game clock - the one time source for gameplay: the main loop turns real frame time into
+  // fixed physics steps, and spawning, danger countdown, double-tap and animations all read
+  // its simulated time, so they run at the same speed on any display and replay identically
+  const clock = createGameClock(PHYSICS.TIMESTEP);
+
+  // Replay state (null while playing live)
+  let replayPlayer = null;
+  let savedConfig = null; // Live config restored when a replay stops
+  let savedLanguage = null; // Live language restored when a replay stops
+  let lastRecordedGravity = null;
 
   // Danger zone tracking
   const dangerZoneY = safeAreaTop + SCORE.PADDING + SCORE.FONT_SIZE + SCORE.FONT_SIZE_HIGH + DANGER.LINE_Y_OFFSET;
-  let dangerStartTime = null; // When first ball entered danger zone
-  let ballsInDanger = new Set(); // Track which balls are currently in danger
+  const dangerZone = new DangerZone(dangerZoneY);
+  const ballsInDanger = dangerZone.ballsInDanger; // Track which balls are currently in danger
 
   // Double-tap delete tracking
   let lastTapTime = 0;
   let lastTappedBall = null;
 
-  // Finger tracking collider state
-  let fingerCollider = null;
+  // Finger tracking colliders, one per pointer holding back the pile (pointerId -> body)
+  const fingerColliders = new Map();
+
+  // Pointers currently down on the canvas
+  const activePointers = new Set();
 
   // Gyroscope state
   let isGyroscopeActive = false;
 
+  // Tap-to-build in effect (the player's setting live, the recorded one in replays)
+  let isTapToBuild = false;
+
   // Expose physics interface to debug console
   createPhysicsInterface(balls, walls);
 
@@ -239,6 +353,172 @@ try {
     }
   });
 
+  // Create daily challenge button (next to gyroscope toggle)
+  const dailyButton = document.createElement('button');
+  dailyButton.textContent = '📅';
+  dailyButton.style.cssText = gyroButton.style.cssText;
+  dailyButton.style.left = '80px';
+  document.body.appendChild(dailyButton);
+
+  const dailyPanel = createDailyPanel({
+    onPlay: () => startDailyChallenge()
+  });
+  dailyButton.addEventListener('click', () => dailyPanel.show());
+
+  // Statistics screen (opened from the game-over overlay)
+  const statsPanel = createStatsPanel();
+
+  // Create mode picker button (next to replay button)
+  const modeButton = document.createElement('button');
+  modeButton.textContent = '🎮';
+  modeButton.style.cssText = gyroButton.style.cssText;
+  modeButton.style.left = '200px';
+  document.body.appendChild(modeButton);
+
+  // A seed entered in the picker replays that board (a ?seed= link fills it in at startup)
+  const modePicker = createModePicker({
+    onSelect: (mode, options) => {
+      const seed = options.seed || null;
+      if (mode === 'daily') {
+        startDailyChallenge();
+      } else if (mode === 'puzzle') {
+        levelSelect.show();
+      } else {
+        restartGame(seed, mode, options);
+      }
+    },
+    onLanguage: () => languagePanel.show(),
+    onDictionary: () => dictionaryPanel.show({ language: ALPHABET.LANGUAGE }),
+    onSettings: () => settingsPanel.show()
+  });
+
+  // Settings (from the mode picker) - accessible play options apply straight away
+  const settingsPanel = createSettingsPanel({
+    onChange: (key) => onSettingChange(key)
+  });
+
+  // Screen reader description of the board (kept in step by the draw loop)
+  const boardMirror = createBoardMirror();
+
+  // Language picker (from the mode picker) - switches to the language's word list,
+  // or asks for an upload when none is available; letters change when the next game starts
+  // (restartGame), so a game carries on with its own even if the picker is then closed
+  const languagePanel = createLanguagePanel({
+    onChange: (pack) => {
+      modePicker.show();
+
+      const dictionaryId = pack.DICTIONARY || findDictionaryForLanguage(pack.ID);
+      if (!dictionaryId) {
+        dictionaryPanel.show({ language: pack.ID, message: `No ${pack.NAME} word list is bundled yet - upload one to play.` });
+        return;
+      }
+
+      dictionarySettings.select(dictionaryId);
+      wordValidator.load(dictionaryId).catch(error => {
+        alert(`Could not load word list: ${error.message}`);
+      });
+    }
+  });
+
+  // Word list picker (from the mode picker) - reopens the picker with the new list shown
+  const dictionaryPanel = createDictionaryPanel({
+    onChange: (id, dawg) => {
+      if (dawg) {
+        wordValidator.use(id, dawg);
+      } else {
+        wordValidator.load(id).catch(error => {
+          alert(`Could not load word list: ${error.message}`);
+        });
+      }
+      modePicker.show();
+    }
+  });
+
+  // Puzzle level select (from the mode picker, or "Levels" after finishing a level)
+  const levelSelect = createLevelSelect({
+    onSelect: (level) => restartGame(null, 'puzzle', { level })
+  });
+  modeButton.addEventListener('click', () => modePicker.show({ cancellable: !isAwaitingMode }));
+
+  // Offline play: cache this build, offer a reload once a newer one has downloaded
+  const updatePrompt = createUpdatePrompt();
+  initOffline({ onUpdate: (reload) => updatePrompt.show(reload) });
+
+  // Create hint button (next to mode picker button)
+  const hintButton = document.createElement('button');
+  hintButton.textContent = '💡';
+  hintButton.style.cssText = gyroButton.style.cssText;
+  hintButton.style.left = '260px';
+  document.body.appendChild(hintButton);
+  hintButton.addEventListener('click', () => {
+    if (!replayPlayer) {
+      requestHint();
+    }
+  });
+
+  // Create tap-to-build buttons (above the bottom-left row, only while tap-to-build is on):
+  // play the built word or clear it
+  const submitWordButton = document.createElement('button');
+  submitWordButton.textContent = '✔';
+  submitWordButton.style.cssText = gyroButton.style.cssText;
+  submitWordButton.style.bottom = '80px';
+  document.body.appendChild(submitWordButton);
+
+  const clearWordButton = document.createElement('button');
+  clearWordButton.textContent = '✖';
+  clearWordButton.style.cssText = gyroButton.style.cssText;
+  clearWordButton.style.bottom = '80px';
+  clearWordButton.style.left = '80px';
+  document.body.appendChild(clearWordButton);
+
+  // Sent as the keys they stand for, so they are recorded like keyboard play
+  submitWordButton.addEventListener('click', () => {
+    if (!replayPlayer && !isPaused && !isAwaitingMode) {
+      onKey('Enter');
+    }
+  });
+  clearWordButton.addEventListener('click', () => {
+    if (!replayPlayer && !isPaused && !isAwaitingMode) {
+      onKey('Escape');
+    }
+  });
+
+  // Start with the player's accessible play settings and scoring
+  applyInputSettings(getInputSettings());
+  applySlowMotion();
+  applyScoringMode();
+
+  // Create undo button (bottom right, above the pause button so it clears the bottom-left row
+  // on narrow phones) - dimmed while there is nothing to undo
+  const undoButton = document.createElement('button');
+  undoButton.textContent = '↩';
+  undoButton.style.cssText = gyroButton.style.cssText;
+  undoButton.style.left = 'auto';
+  undoButton.style.right = '20px';
+  undoButton.style.bottom = '80px';
+  document.body.appendChild(undoButton);
+  undoButton.addEventListener('click', () => {
+    if (!replayPlayer) {
+      undoLastWord();
+    }
+  });
+  updateUndoButton();
+
+  // Create pause button (bottom right, away from the row of toggles)
+  const pauseButton = document.createElement('button');
+  pauseButton.textContent = '⏸';
+  pauseButton.style.cssText = gyroButton.style.cssText;
+  pauseButton.style.left = 'auto';
+  pauseButton.style.right = '20px';
+  document.body.appendChild(pauseButton);
+  pauseButton.addEventListener('click', () => pauseGame());
+
+  // Pause screen - a new game goes through the mode picker (no way back to the paused one)
+  const pausePanel = createPausePanel({
+    onResume: () => resumeGame(),
+    onNewGame: () => modePicker.show({ cancellable: false })
+  });
+
   // Expose gyroscope status to window for debugging
   window.gameGyroscope = {
     get status() {
@@ -255,6 +535,7 @@ try {
     }
 
     console.log(`[DELETE] 🗑️ Deleting ball: ${ball.letter} at (${Math.round(ball.x)}, ${Math.round(ball.y)})`);
+    clearUndo(); // The board has moved on from the last word
 
     // Remove from Matter.js world
     if (ball.body) {
@@ -262,7 +543,7 @@ try {
     }
 
     // Return letter to bag
-    letterBag.return(ball.letter);
+    letterBag.return(getBagLetter(ball));
 
     // Remove from balls array
     const index = balls.indexOf(ball);
@@ -274,15 +555,18 @@ try {
 
     // Spawn two new balls
     spawnTwoBalls();
+    recordPuzzleMove();
   }
 
   // Spawn two new balls (called after word creation or ball deletion)
   // Now spawns a single bigram pair (which is 2 balls)
   function spawnTwoBalls() {
+    if (gameMode === 'puzzle' && !puzzleLevel.spawning) return; // Fixed puzzle board
+
     spawnedLettersThisBatch = [];
     spawnBigramPair();
     // Log after a short delay to ensure ball is added
-    setTimeout(() => logSpawnSummary(), 50);
+    clock.setTimeout(() => logSpawnSummary(), 50);
   }
 
   // Prepare all ball data to spawn (using new bigram spawn system)
@@ -295,7 +579,7 @@ try {
     // For initial spawn, use a simple balanced approach
     // We'll build up the histogram as we go
     const tempBalls = ballsToSpawn.map(data => ({ letter: data.letter }));
-    const pair = selectBigramPair(tempBalls);
+    const pair = selectBigramPair(tempBalls, rng.letters);
 
     // Add both letters from the pair
     [pair.letter1, pair.letter2].forEach(letter => {
@@ -355,7 +639,7 @@ try {
   // Spawn a bigram pair (used for continuous spawning)
   function spawnBigramPair() {
     // Select the best bigram based on current board state
-    const pair = selectBigramPair(balls);
+    const pair = selectBigramPair(balls, rng.letters);
 
     // Spawn both letters close together
     const letter1 = pair.letter1;
@@ -367,18 +651,18 @@ try {
     const color2 = getColorForLetter(letter2);
 
     // Pick a random x position for the pair
-    const centerX = radius1 + Math.random() * (logicalWidth - radius1 - radius2);
+    const centerX = radius1 + rng.spawn() * (logicalWidth - radius1 - radius2);
 
     // Try to spawn both letters close together
     const maxAttempts = 10;
     const pairSpacing = 60; // Distance between the two letters
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      const jitter = (Math.random() - 0.5) * 50;
+      const jitter = (rng.spawn() - 0.5) * 50;
       const x1 = Math.max(radius1, Math.min(logicalWidth - radius1, centerX - pairSpacing/2 + jitter));
       const x2 = Math.max(radius2, Math.min(logicalWidth - radius2, centerX + pairSpacing/2 + jitter));
-      const y1 = -SPAWN.ZONE_HEIGHT + Math.random() * SPAWN.ZONE_HEIGHT;
-      const y2 = y1 + (Math.random() - 0.5) * 30; // Slight vertical offset
+      const y1 = -SPAWN.ZONE_HEIGHT + rng.spawn() * SPAWN.ZONE_HEIGHT;
+      const y2 = y1 + (rng.spawn() - 0.5) * 30; // Slight vertical offset
 
       // Check if both positions are valid
       const collision1 = wouldCollide(x1, y1, radius1);
@@ -395,6 +679,7 @@ try {
           color: color1,
           letter: letter1,
         };
+        assignSpecial(ball1, rng.specials);
         ball1.body = createBallBody(ball1.x, ball1.y, ball1.radius);
         Matter.Body.setVelocity(ball1.body, { x: 0, y: SPAWN.INITIAL_VELOCITY });
         ball1.body.ballData = ball1;
@@ -411,6 +696,7 @@ try {
           color: color2,
           letter: letter2,
         };
+        assignSpecial(ball2, rng.specials);
         ball2.body = createBallBody(ball2.x, ball2.y, ball2.radius);
         Matter.Body.setVelocity(ball2.body, { x: 0, y: SPAWN.INITIAL_VELOCITY });
         ball2.body.ballData = ball2;
@@ -432,6 +718,41 @@ try {
     return spawnBigramPair();
   }
 
+  // Blitz refills the board and Zen paces its own spawns (see startModeTimers)
+  // Puzzles without spawning keep their fixed board
+  function hasContinuousSpawn() {
+    return !(gameMode === 'blitz' || gameMode === 'zen' || (gameMode === 'puzzle' && !puzzleLevel.spawning));
+  }
+
+  // Start continuous spawning once the initial balls are in (or when resuming a saved game)
+  function startContinuousSpawn() {
+    // Batch of BATCH_SIZE / 2 pairs (rounded up) every interval
+    const numPairsPerBatch = Math.ceil(SPAWN.BATCH_SIZE / 2);
+    console.log(`Starting continuous spawn: ${numPairsPerBatch} bigram pairs (${numPairsPerBatch * 2} balls) every ${SPAWN.INTERVAL}ms`);
+    continuousSpawnInterval = clock.setInterval(() => {
+      if (!isGameOver) {
+        // Clear batch tracking
+        spawnedLettersThisBatch = [];
+
+        // Spawn pairs with staggered delays to avoid collisions
+        for (let i = 0; i < numPairsPerBatch; i++) {
+          clock.setTimeout(() => {
+            if (!isGameOver) {
+              spawnBigramPair();
+            }
+          }, i * 200); // 200ms delay between each pair
+        }
+
+        // Log consolidated spawn info after all pairs spawn
+        clock.setTimeout(() => {
+          if (!isGameOver) {
+            logSpawnSummary();
+          }
+        }, numPairsPerBatch * 200 + 100);
+      }
+    }, SPAWN.INTERVAL);
+  }
+
   // Spawn the next ball
   function spawnNextBall() {
     if (spawnIndex >= ballsToSpawn.length) {
@@ -445,36 +766,13 @@ try {
         balls.forEach(ball => {
           letterCounts[ball.letter] = (letterCounts[ball.letter] || 0) + 1;
         });
-        const vowelCount = balls.filter(b => 'AEIOU'.includes(b.letter)).length;
+        const vowelCount = balls.filter(b => ALPHABET.VOWELS.includes(b.letter)).length;
         console.log('Letter distribution:', Object.entries(letterCounts).sort().map(([l, c]) => `${l}:${c}`).join(' '));
         console.log(`Vowels: ${vowelCount}/${balls.length} (${Math.round(vowelCount/balls.length*100)}%)`);
 
-        // Start continuous spawning (batch of pairs every interval)
-        // BATCH_SIZE / 2 pairs (rounded up)
-        const numPairsPerBatch = Math.ceil(SPAWN.BATCH_SIZE / 2);
-        console.log(`Starting continuous spawn: ${numPairsPerBatch} bigram pairs (${numPairsPerBatch * 2} balls) every ${SPAWN.INTERVAL}ms`);
-        continuousSpawnInterval = setInterval(() => {
-          if (!isGameOver) {
-            // Clear batch tracking
-            spawnedLettersThisBatch = [];
-
-            // Spawn pairs with staggered delays to avoid collisions
-            for (let i = 0; i < numPairsPerBatch; i++) {
-              setTimeout(() => {
-                if (!isGameOver) {
-                  spawnBigramPair();
-                }
-              }, i * 200); // 200ms delay between each pair
-            }
-
-            // Log consolidated spawn info after all pairs spawn
-            setTimeout(() => {
-              if (!isGameOver) {
-                logSpawnSummary();
-              }
-            }, numPairsPerBatch * 200 + 100);
-          }
-        }, SPAWN.INTERVAL);
+        if (hasContinuousSpawn()) {
+          startContinuousSpawn();
+        }
 
         spawnIndex++; // Prevent logging multiple times
       }
@@ -484,8 +782,8 @@ try {
     const data = ballsToSpawn[spawnIndex];
 
     // Spawn position: random x, above screen
-    const spawnX = data.radius + Math.random() * (logicalWidth - 2 * data.radius);
-    const spawnY = -SPAWN.ZONE_HEIGHT + Math.random() * SPAWN.ZONE_HEIGHT;
+    const spawnX = data.radius + rng.spawn() * (logicalWidth - 2 * data.radius);
+    const spawnY = -SPAWN.ZONE_HEIGHT + rng.spawn() * SPAWN.ZONE_HEIGHT;
 
     // Check for collision
     if (wouldCollide(spawnX, spawnY, data.radius)) {
@@ -493,7 +791,7 @@ try {
       if (!isRetrying) {
         isRetrying = true;
       }
-      setTimeout(() => {
+      clock.setTimeout(() => {
         isRetrying = false;
         spawnNextBall();
       }, SPAWN.RETRY_DELAY);
@@ -511,6 +809,9 @@ try {
       letter: data.letter,
     };
 
+    // Roll a modifier (2× letter, 3× word, wildcard, bomb)
+    assignSpecial(newBall, rng.specials);
+
     // Create Matter.js body
     newBall.body = createBallBody(newBall.x, newBall.y, newBall.radius);
 
@@ -524,36 +825,251 @@ try {
     spawnIndex++;
 
     // Schedule next spawn
-    setTimeout(spawnNextBall, SPAWN.DELAY);
+    clock.setTimeout(spawnNextBall, SPAWN.DELAY);
+  }
+
+  // ========== Blitz Mode ==========
+
+  // Top up the board to BLITZ.TARGET_BALLS, one pair per check (after the initial spawn)
+  function refillBoard() {
+    if (isGameOver || spawnIndex <= ballsToSpawn.length) return;
+    if (balls.length < BLITZ.TARGET_BALLS) {
+      spawnBigramPair();
+    }
+  }
+
+  // Start mode-specific timers (called whenever a game starts or resumes)
+  // Every mode watches for a stuck board and autosaves; Blitz ends on time and keeps the board full
+  // instead of piling up balls; Zen spawns at a pace that slows as the board fills
+  function startModeTimers() {
+    clock.setInterval(checkForPlayableWords, HINT.CHECK_INTERVAL);
+    clock.setInterval(saveGame, SAVED_GAME.AUTOSAVE_INTERVAL);
+
+    if (gameMode === 'blitz') {
+      clock.setTimeout(() => triggerGameOver('time'), getBlitzTimeRemaining()); // Full length unless resumed
+      clock.setInterval(refillBoard, BLITZ.REFILL_INTERVAL);
+      console.log(`⏱ Blitz: ${blitzDuration / 60000} minutes`);
+    } else if (gameMode === 'zen') {
+      scheduleZenSpawn();
+      console.log('🧘 Zen: endless mode');
+    }
+  }
+
+  // Blitz time left in ms
+  function getBlitzTimeRemaining() {
+    return Math.max(0, blitzDuration - clock.time);
+  }
+
+  // ========== Zen Mode ==========
+
+  // Spawn a pair after a delay based on the current ball count, then schedule the next
+  function scheduleZenSpawn() {
+    clock.setTimeout(() => {
+      if (spawnIndex > ballsToSpawn.length) {
+        spawnBigramPair();
+      }
+      scheduleZenSpawn();
+    }, getZenSpawnInterval(balls.length));
+  }
+
+  // Dissolve the least useful ball while the board is over the danger line or too full
+  function regulateZenBoard() {
+    dangerZone.update(balls, clock.time); // Only tracks balls over the line - Zen never ends
+
+    if (!dangerZone.isActive() && balls.length <= ZEN.FULL_BALLS) return;
+    if (clock.time - lastDissolveTime < ZEN.DISSOLVE_INTERVAL) return;
+
+    const ball = selectBallToDissolve(balls, getSelection());
+    if (ball) {
+      dissolveBall(ball);
+    }
+  }
+
+  // Remove a ball and return its letter to the bag, leaving a fading ghost behind
+  function dissolveBall(ball) {
+    console.log(`🧘 Dissolving ${ball.letter} at (${Math.round(ball.x)}, ${Math.round(ball.y)}) | ${balls.length - 1} balls remaining`);
+    clearUndo();
+
+    removeFromWorld(ball.body);
+    letterBag.return(getBagLetter(ball));
+
+    const index = balls.indexOf(ball);
+    if (index > -1) {
+      balls.splice(index, 1);
+    }
+
+    dissolvingBalls.push({ x: ball.x, y: ball.y, radius: ball.radius, color: ball.color, letter: ball.letter, startTime: clock.time });
+    lastDissolveTime = clock.time;
+  }
+
+  // Record a Zen session when the player leaves it (Zen has no game over)
+  function finishZenSession() {
+    if (gameMode !== 'zen' || replayPlayer || scoring.getWords().length === 0) return;
+
+    const finalScore = scoring.getScore();
+    highScores.addScore(ZEN_TABLE_ID, finalScore, scoring.getWords().length);
+    gameHistory.saveGame(createGameRecord({
+      mode: gameMode,
+      seed: rng.seed,
+      durationMs: clock.time,
+      score: finalScore,
+      words: scoring.getWords(),
+      cause: 'ended'
+    }));
+    console.log(`🧘 Zen session ended: ${finalScore}`);
+  }
+
+  // ========== Puzzle Mode ==========
+
+  // Place a puzzle level's hand-authored balls (positions are fractions of the board)
+  function placePuzzleBoard() {
+    puzzleLevel.balls.forEach(spec => {
+      const radius = getRadiusForLetter(spec.letter) || BALL.BASE_RADIUS; // Wildcards aren't in the bag
+      const ball = {
+        x: Math.max(radius, Math.min(logicalWidth - radius, spec.x * logicalWidth)),
+        y: Math.min(logicalHeight - radius, spec.y * logicalHeight),
+        vx: 0,
+        vy: 0,
+        radius,
+        color: getColorForLetter(spec.letter),
+        letter: spec.letter,
+      };
+      applySpecial(ball, spec.special);
+
+      ball.body = createBallBody(ball.x, ball.y, ball.radius);
+      if (spec.static) {
+        Matter.Body.setStatic(ball.body, true);
+        ball.isStatic = true;
+      }
+      ball.body.ballData = ball;
+      addToWorld(ball.body);
+      balls.push(ball);
+    });
+
+    console.log(`🧩 Placed ${puzzleLevel.balls.length} balls for level "${puzzleLevel.name}" | Goal: ${describeGoal(puzzleLevel, getPuzzleState())}`);
+  }
+
+  function getPuzzleState() {
+    return { score: scoring.getScore(), moves: puzzleMoves, foundWords: puzzleFoundWords, ballsLeft: balls.length };
+  }
+
+  // Count a move (word or delete) and end the level once its goal is met or out of moves
+  function recordPuzzleMove(word = null) {
+    if (gameMode !== 'puzzle' || isGameOver) return;
+
+    puzzleMoves++;
+    if (word) {
+      puzzleFoundWords.add(word);
+    }
+
+    const result = evaluateGoal(puzzleLevel, getPuzzleState());
+    if (result !== 'playing') {
+      triggerGameOver(result);
+    }
+  }
+
+  // ========== Hints ==========
+
+  // Balls a word can use (not the ones still falling in from above the screen)
+  function isOnScreen(ball) {
+    return ball.y > 0;
+  }
+
+  // Free hints first, then each one costs points
+  function getHintCost() {
+    return hintsUsed < HINT.FREE_PER_GAME ? 0 : HINT.COST;
+  }
+
+  // Highlight a valid chain on the board (recorded so replays charge the same points)
+  function requestHint() {
+    if (isGameOver || isAwaitingMode || isPaused) return;
+    if (activeHint && clock.time <= activeHint.expiresAt) return; // Still showing the last one
+
+    recordInput('hint');
+
+    if (hintsUsed >= HINT.MAX_PER_GAME) {
+      console.log(`💡 No hints left (${HINT.MAX_PER_GAME} per game)`);
+      return;
+    }
+
+    const cost = getHintCost();
+    if (scoring.getScore() < cost) {
+      console.log(`💡 Hint costs ${cost} points - score too low`);
+      return;
+    }
+
+    const hint = findBestWord(balls, wordValidator, { isPlayable: isOnScreen });
+    if (!hint) {
+      noWordsPossible = true;
+      console.log('💡 No words possible on this board');
+      return;
+    }
+
+    hintsUsed++;
+    scoring.spendPoints(cost);
+    activeHint = { word: hint.word, balls: hint.balls, expiresAt: clock.time + HINT.DURATION };
+    console.log(`💡 Hint ${hintsUsed}/${HINT.MAX_PER_GAME}: ${hint.balls.map(ball => ball.letter).join('')}${cost > 0 ? ` (-${cost} points)` : ' (free)'}`);
+  }
+
+  // Periodically check whether any word can be played (once the initial spawn is done)
+  function checkForPlayableWords() {
+    if (isGameOver || spawnIndex <= ballsToSpawn.length || !wordValidator.isLoaded) return;
+
+    const wasStuck = noWordsPossible;
+    noWordsPossible = !hasPlayableWord(balls, wordValidator, { isPlayable: isOnScreen });
+    if (noWordsPossible && !wasStuck) {
+      console.log('💡 No words possible - delete a ball to shake things up');
+    }
   }
 
-  // Start spawning after a short delay
-  setTimeout(spawnNextBall, 500);
+  // Start spawning after a short delay (once a mode has been picked)
+  if (!isAwaitingMode) {
+    clock.setTimeout(spawnNextBall, 500);
+    startModeTimers();
+  }
 
   // Process valid word - remove balls and return letters to bag
+  // word: the resolved word (wildcards already replaced by their letters)
   function processValidWord(selectedBalls, word) {
     console.log(`Valid word: "${word}" - removing ${selectedBalls.length} balls`);
 
-    // Calculate score and add points
-    const points = scoring.calculateScore(word);
+    // State to put back if the word is undone
+    const scoringBefore = scoring.snapshot();
+    const bagBefore = letterBag.snapshot();
+
+    // Calculate score (with per-letter breakdown and ball modifiers) and add points
+    const breakdown = scoring.calculateBreakdown(word, selectedBalls.map(ball => ball.special));
+
+    // Words in quick succession chain into a combo multiplier (game time, so replays match)
+    const comboMultiplier = scoring.registerComboWord(clock.time);
+    const points = Math.round(breakdown.points * comboMultiplier);
 
     // Calculate center position of selected balls for animation
     const centerX = selectedBalls.reduce((sum, ball) => sum + ball.x, 0) / selectedBalls.length;
     const centerY = selectedBalls.reduce((sum, ball) => sum + ball.y, 0) / selectedBalls.length;
 
-    scoring.addScore(points, centerX, centerY);
-    scoring.addWord(word, points);
-    console.log(`+${points} points! Score: ${scoring.getScore()}`);
+    scoring.addScore(points, centerX, centerY, comboMultiplier, clock.time);
+    scoring.addWord(word, points, breakdown, comboMultiplier);
+    boardMirror.announce(`${word}, ${points} points`);
+    console.log(`+${points} points!${comboMultiplier > 1 ? ` (combo ×${comboMultiplier})` : ''} Score: ${scoring.getScore()}`);
+
+    // Bombs in the word also clear nearby balls (no points for those)
+    const bombVictims = getBombVictims(selectedBalls, balls);
+    if (bombVictims.length > 0) {
+      console.log(`💥 Bomb cleared ${bombVictims.length} nearby balls: ${bombVictims.map(ball => ball.letter).join('')}`);
+    }
 
     // Remove balls from physics world and from balls array
-    selectedBalls.forEach(ball => {
+    const removedBalls = [...selectedBalls, ...bombVictims];
+    const removed = removedBalls.map(ball => ({ ball, index: balls.indexOf(ball) }));
+    removedBalls.forEach(ball => {
       // Remove from Matter.js world
       if (ball.body) {
         removeFromWorld(ball.body);
       }
 
       // Return letter to bag
-      letterBag.return(ball.letter);
+      letterBag.return(getBagLetter(ball));
 
       // Remove from balls array
       const index = balls.indexOf(ball);
@@ -562,79 +1078,135 @@ try {
       }
     });
 
-    console.log(`Removed ${selectedBalls.length} balls | ${balls.length} balls remaining | Bag: ${letterBag.getState().available} available`);
+    console.log(`Removed ${selectedBalls.length + bombVictims.length} balls | ${balls.length} balls remaining | Bag: ${letterBag.getState().available} available`);
 
     // Spawn two new balls after creating a word
+    const ballCountBefore = balls.length;
     spawnTwoBalls();
+
+    // Puzzles count moves, so their words can't be taken back
+    lastWordUndo = gameMode === 'puzzle' ? null : {
+      removed,
+      spawned: balls.slice(ballCountBefore),
+      bag: bagBefore,
+      scoring: scoringBefore
+    };
+    updateUndoButton();
+    recordPuzzleMove(word);
+  }
+
+  // ========== Undo ==========
+
+  // One free undo, plus one for every UNDO.WORDS_PER_UNDO words scored
+  function getUndosLeft() {
+    const earned = UNDO.FREE_PER_GAME + Math.floor(scoring.getWords().length / UNDO.WORDS_PER_UNDO);
+    return Math.max(0, earned - undosUsed);
+  }
+
+  function updateUndoButton() {
+    undoButton.style.opacity = lastWordUndo && getUndosLeft() > 0 ? '1' : '0.4';
+  }
+
+  // Forget the last word once something else changes the board (deletes, Zen dissolves, restarts)
+  function clearUndo() {
+    lastWordUndo = null;
+    updateUndoButton();
+  }
+
+  // Take back the last word: its balls return where they were, the pair spawned for it
+  // leaves, and bag, score, word list and combo go back (recorded so replays undo too)
+  function undoLastWord() {
+    if (isGameOver || isAwaitingMode || isPaused) return;
+
+    recordInput('undo');
+
+    if (!lastWordUndo) {
+      console.log('↩ Nothing to undo');
+      return;
+    }
+    if (getUndosLeft() === 0) {
+      console.log(`↩ No undos left (one per ${UNDO.WORDS_PER_UNDO} words)`);
+      return;
+    }
+
+    const { removed, spawned, bag, scoring: scoringBefore } = lastWordUndo;
+    const word = scoring.getWords()[scoring.getWords().length - 1];
+    lastWordUndo = null;
+    undosUsed++;
+
+    spawned.forEach(ball => {
+      const index = balls.indexOf(ball);
+      if (index > -1) {
+        removeFromWorld(ball.body);
+        balls.splice(index, 1);
+      }
+    });
+
+    // Removed bodies kept their position, velocity and angle - put them back in their old order
+    [...removed].sort((a, b) => a.index - b.index).forEach(({ ball, index }) => {
+      addToWorld(ball.body);
+      balls.splice(Math.min(index, balls.length), 0, ball);
+    });
+
+    letterBag.restore(bag, rng.bag);
+    scoring.restore(scoringBefore);
+    activeHint = null;
+    noWordsPossible = false;
+    updateUndoButton();
+
+    console.log(`↩ Undid "${word.word}" (-${word.points} points) | ${getUndosLeft()} undos left | Score: ${scoring.getScore()}`);
   }
 
-  // Update danger zone tracking
+  // Update danger zone tracking (Blitz ends on time, not on the danger line)
   function updateDangerZone() {
-    if (isGameOver) return;
+    if (isGameOver || gameMode === 'blitz') return;
 
-    // Clear previous danger set
-    ballsInDanger.clear();
+    // Zen never ends - balls dissolve instead
+    if (gameMode === 'zen') {
+      regulateZenBoard();
+      return;
+    }
 
-    // Check which balls are in danger (top edge touching danger line)
-    // Only count slow-moving balls (not freshly spawned balls falling down)
+    // Debug: Log any settled ball touching the danger line
     balls.forEach(ball => {
       const ballTopEdge = ball.y - ball.radius;
       const speed = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
-
-      // Debug: Log any ball near danger zone
       if (ballTopEdge <= dangerZoneY && speed < DANGER.VELOCITY_THRESHOLD) {
         console.log(`[DANGER] Ball ${ball.letter} at y=${Math.round(ball.y)}, topEdge=${Math.round(ballTopEdge)}, speed=${speed.toFixed(2)}, dangerLine=${Math.round(dangerZoneY)}`);
       }
-
-      // Only trigger danger for balls that are:
-      // 1. Top edge touching danger line
-      // 2. Moving slowly (settled or near-settled)
-      // 3. In the visible area (not in spawn zone above screen)
-      if (ballTopEdge <= dangerZoneY && speed < DANGER.VELOCITY_THRESHOLD && ball.y > 0) {
-        ballsInDanger.add(ball);
-      }
     });
 
-    // Update danger timer
-    if (ballsInDanger.size > 0) {
-      if (dangerStartTime === null) {
-        dangerStartTime = Date.now();
-        console.log('⚠️ Ball entered danger zone!');
-      }
-
-      const timeInDanger = Date.now() - dangerStartTime;
-      if (timeInDanger >= DANGER.THRESHOLD_TIME) {
-        // Game over!
-        triggerGameOver();
-      }
-    } else {
-      // No balls in danger - reset timer
-      if (dangerStartTime !== null) {
-        console.log('✓ Danger cleared');
-      }
-      dangerStartTime = null;
+    // Update danger timer - game over once the line stays crossed long enough
+    if (dangerZone.update(balls, clock.time)) {
+      triggerGameOver('danger');
     }
   }
 
-  // Trigger game over
-  function triggerGameOver() {
+  // Trigger game over (cause is stored in the game history, e.g. 'danger' = screen full)
+  function triggerGameOver(cause) {
     if (isGameOver) return;
 
     isGameOver = true;
 
     // Log detailed info about what caused game over
-    console.log('💀 GAME OVER - Screen full!');
-    console.log(`[GAME OVER] Danger zone Y: ${Math.round(dangerZoneY)}px`);
-    console.log(`[GAME OVER] Balls in danger: ${ballsInDanger.size}`);
-    ballsInDanger.forEach(ball => {
-      const ballTopEdge = ball.y - ball.radius;
-      const speed = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
-      console.log(`[GAME OVER]   - ${ball.letter} at y=${Math.round(ball.y)}, topEdge=${Math.round(ballTopEdge)}, speed=${speed.toFixed(2)}`);
-    });
+    if (cause === 'time') {
+      console.log('⏱ TIME UP - Blitz over!');
+    } else if (cause === 'complete' || cause === 'failed') {
+      console.log(`🧩 Level "${puzzleLevel.name}" ${cause === 'complete' ? 'complete' : 'failed - out of moves'} in ${puzzleMoves} moves`);
+    } else {
+      console.log('💀 GAME OVER - Screen full!');
+      console.log(`[GAME OVER] Danger zone Y: ${Math.round(dangerZoneY)}px`);
+      console.log(`[GAME OVER] Balls in danger: ${ballsInDanger.size}`);
+      ballsInDanger.forEach(ball => {
+        const ballTopEdge = ball.y - ball.radius;
+        const speed = Math.sqrt(ball.vx * ball.vx + ball.vy * ball.vy);
+        console.log(`[GAME OVER]   - ${ball.letter} at y=${Math.round(ball.y)}, topEdge=${Math.round(ballTopEdge)}, speed=${speed.toFixed(2)}`);
+      });
+    }
 
     // Stop continuous spawning
     if (continuousSpawnInterval) {
-      clearInterval(continuousSpawnInterval);
+      clock.clear(continuousSpawnInterval);
       continuousSpawnInterval = null;
     }
 
@@ -643,36 +1215,124 @@ try {
     const words = scoring.getWords();
     console.log(`Final Score: ${finalScore}`);
     console.log(`Words formed: ${words.length}`);
+    const endings = { time: 'Time up', complete: 'Level complete', failed: 'Out of moves' };
+    boardMirror.announce(`${endings[cause] || 'Game over'}. Score ${finalScore}, ${words.length} words`);
+
+    // Puzzle stars (shown on the game-over overlay, replays included)
+    puzzleStars = gameMode === 'puzzle' && cause === 'complete' ? calculateStars(puzzleLevel, finalScore) : 0;
+
+    // Close the recording, or compare against it when replaying
+    if (replayPlayer) {
+      const expected = replayPlayer.recording.result;
+      if (expected) {
+        const matches = expected.step === clock.step && expected.score === finalScore;
+        console.log(`[REPLAY] ${matches ? '✓ Matches' : '⚠️ Diverged from'} recording | recorded: step ${expected.step}, score ${expected.score} | replayed: step ${clock.step}, score ${finalScore}`);
+      }
+      return;
+    }
+    replayRecorder.finish(clock.step, { score: finalScore, words: words.map(w => w.word) });
+    savedGame.clear(); // Finished games can't be resumed
+
+    // Store the finished game for the statistics screen
+    gameHistory.saveGame(createGameRecord({
+      mode: gameMode,
+      seed: rng.seed,
+      durationMs: clock.time,
+      score: finalScore,
+      words,
+      cause
+    }));
+
+    // Puzzle completion and best stars are saved per level
+    if (puzzleStars > 0) {
+      puzzleProgress.recordCompletion(puzzleLevel.id, puzzleStars, finalScore);
+      console.log(`🧩 ${formatStars(puzzleStars)} for "${puzzleLevel.name}"`);
+    }
+
+    // Blitz scores go to their own table (per game length)
+    if (gameMode === 'blitz') {
+      blitzRank = highScores.addScore(getBlitzTableId(blitzDuration), finalScore, words.length);
+      console.log(`⏱ Blitz result: ${finalScore}${blitzRank ? ` (rank #${blitzRank})` : ''}`);
+    }
+
+    // Record daily challenge result (practice runs only update the day's best)
+    if (gameMode === 'daily') {
+      dailyChallenge.recordResult(dailyDateKey, finalScore, words.length, isDailyScored);
+      console.log(`[DAILY] ${isDailyScored ? 'Scored' : 'Practice'} result for ${dailyDateKey}: ${finalScore} | Streak: ${dailyChallenge.getStreak()}`);
+    }
   }
 
-  // Restart game
-  function restartGame() {
+  // Restart game (pass a seed to replay a specific board, omit for a fresh one)
+  // options: { durationMs } for Blitz (defaults to the last chosen length), { level } for puzzles
+  function restartGame(seed = null, mode = 'survival', options = {}) {
     console.log('🔄 Restarting game...');
 
-    // Reset game state
+    finishZenSession();
+    gameMode = mode;
+    isAwaitingMode = false;
+    if (options.durationMs) {
+      blitzDuration = options.durationMs;
+    }
+    blitzRank = null;
+    if (options.level) {
+      puzzleLevel = options.level;
+    }
+    puzzleMoves = 0;
+    puzzleFoundWords = new Set();
+    puzzleStars = 0;
+    hintsUsed = 0;
+    activeHint = null;
+    noWordsPossible = false;
+    undosUsed = 0;
+    clearUndo();
+    dissolvingBalls = [];
+    lastDissolveTime = -Infinity;
+    scoring.setHighScoreTracking(gameMode === 'survival' || gameMode === 'daily');
+    applySlowMotion();
+    if (!replayPlayer) {
+      applyScoringMode();
+    }
+
+    // Start a new seeded session
+    rng = createSessionRandom(normalizeSeed(seed) || randomSeed());
+    console.log(`🎲 Game seed: ${rng.seed}`);
+
+    // Reset game state (the previous game's save is abandoned)
     isGameOver = false;
-    dangerStartTime = null;
-    ballsInDanger.clear();
+    isPaused = false;
+    pausePanel.hide();
+    savedGame.clear();
+    dangerZone.reset();
 
     // Clear double-tap tracking
     lastTapTime = 0;
     lastTappedBall = null;
 
-    // Clear continuous spawning if active
-    if (continuousSpawnInterval) {
-      clearInterval(continuousSpawnInterval);
-      continuousSpawnInterval = null;
-    }
+    // Drop any finger colliders and selections left from the previous game
+    clearFingerColliders();
+    clearSelection();
+
+    // Clear continuous spawning and any pending spawn timers
+    continuousSpawnInterval = null;
+    clock.reset();
 
     // Remove all balls from physics world
     balls.forEach(ball => {
       if (ball.body) {
         removeFromWorld(ball.body);
       }
-      letterBag.return(ball.letter);
+      letterBag.return(getBagLetter(ball));
     });
     balls.length = 0; // Clear array
 
+    // A language picked since the last game brings its letters in now (replays keep the recorded one)
+    if (!replayPlayer && languageSettings.selectedId !== ALPHABET.LANGUAGE) {
+      applyLanguage(languageSettings.selectedId);
+    }
+
+    // Rebuild the bag from the new seed
+    letterBag.init(rng.bag);
+
     // Reset scoring
     scoring.resetScore();
 
@@ -683,96 +1343,379 @@ try {
     spawnIndex = 0;
     isRetrying = false;
 
-    // Prepare new balls to spawn (using bigram spawn system)
+    // Prepare new balls to spawn (using bigram spawn system) - puzzles place a fixed board instead
     ballsToSpawn.length = 0;
-    const numPairs = Math.ceil(BALL.NUM_BALLS / 2);
-    for (let i = 0; i < numPairs; i++) {
-      // For initial spawn, use a simple balanced approach
-      const tempBalls = ballsToSpawn.map(data => ({ letter: data.letter }));
-      const pair = selectBigramPair(tempBalls);
-
-      // Add both letters from the pair
-      [pair.letter1, pair.letter2].forEach(letter => {
-        const radius = getRadiusForLetter(letter);
-        ballsToSpawn.push({
-          letter: letter,
-          radius: radius,
-          color: getColorForLetter(letter)
+    if (gameMode === 'puzzle') {
+      placePuzzleBoard();
+    } else {
+      const numPairs = Math.ceil(BALL.NUM_BALLS / 2);
+      for (let i = 0; i < numPairs; i++) {
+        // For initial spawn, use a simple balanced approach
+        const tempBalls = ballsToSpawn.map(data => ({ letter: data.letter }));
+        const pair = selectBigramPair(tempBalls, rng.letters);
+
+        // Add both letters from the pair
+        [pair.letter1, pair.letter2].forEach(letter => {
+          const radius = getRadiusForLetter(letter);
+          ballsToSpawn.push({
+            letter: letter,
+            radius: radius,
+            color: getColorForLetter(letter)
+          });
         });
-      });
+      }
     }
 
     // Start spawning again
-    setTimeout(spawnNextBall, 500);
+    clock.setTimeout(spawnNextBall, 500);
+    startModeTimers();
+
+    // Record the new game (replays keep the imported recording)
+    if (!replayPlayer) {
+      startRecording();
+    }
 
     console.log('✓ Game restarted');
   }
 
-  // Initialize selection system
-  initSelection(balls, invisibleBubble);
+  // Start today's daily challenge (first attempt of the day is scored, the rest are practice)
+  function startDailyChallenge() {
+    dailyDateKey = dailyChallenge.getTodayKey();
+    isDailyScored = dailyChallenge.beginAttempt();
+    console.log(`[DAILY] 📅 Starting daily challenge ${dailyDateKey} (${isDailyScored ? 'scored' : 'practice'})`);
+    restartGame(dailyChallenge.getSeed(dailyDateKey), 'daily');
+  }
 
-  // Touch event handlers
-  canvas.addEventListener('touchstart', (e) => {
-    e.preventDefault();
-    const touch = e.touches[0];
-    const rect = canvas.getBoundingClientRect();
-    const x = touch.clientX - rect.left;
-    const y = touch.clientY - rect.top;
+  // ========== Accessible Play ==========
 
-    console.log(`[TAP] 👆 Touch at (${Math.round(x)}, ${Math.round(y)})`);
+  // Settings that change how touches are read (recorded, so replays read them the same way)
+  const INPUT_SETTING_KEYS = ['tapToBuild', 'largeTouch'];
 
-    // Check for restart button click when game over
-    if (isGameOver && window.restartButtonBounds) {
-      const btn = window.restartButtonBounds;
-      if (x >= btn.x && x <= btn.x + btn.width && y >= btn.y && y <= btn.y + btn.height) {
-        console.log('[TAP] 🔄 Restart button pressed');
-        restartGame();
-        return;
-      }
+  function getInputSettings() {
+    return { tapToBuild: playerSettings.tapToBuild, largeTouch: playerSettings.largeTouch };
+  }
+
+  // Older recordings have no settings events and play with both off
+  function applyInputSettings({ tapToBuild = false, largeTouch = false } = {}) {
+    isTapToBuild = tapToBuild;
+    setLargeTouch(largeTouch);
+    submitWordButton.style.display = tapToBuild ? 'flex' : 'none';
+    clearWordButton.style.display = tapToBuild ? 'flex' : 'none';
+  }
+
+  function recordInputSettings() {
+    recordInput('settings', getInputSettings());
+  }
+
+  // Slow motion only changes how much game time each real second is worth, so the game
+  // itself (and its recording) is the same as at full speed - it stays off in ranked games,
+  // whose results are compared in real time (Blitz tables, the daily challenge's scored attempt)
+  function applySlowMotion() {
+    const isRanked = gameMode === 'blitz' || (gameMode === 'daily' && isDailyScored);
+    clock.speed = playerSettings.slowMotion && !isRanked ? ACCESSIBILITY.SLOW_MOTION_SPEED : 1;
+  }
+
+  // Scoring follows the letter scoring setting, read as each game starts so a game is scored
+  // one way throughout (replays keep the recorded SCORING config instead)
+  function applyScoringMode() {
+    SCORING.MODE = playerSettings.letterScoring ? 'letters' : 'length';
+    scoring.syncHighScoreMode();
+  }
+
+  // High contrast needs nothing here, and letter scoring waits for the next game
+  function onSettingChange(key) {
+    if (key === 'slowMotion') {
+      applySlowMotion();
     }
 
-    // Normal touch handling (only if game not over)
-    if (isGameOver) {
-      console.log('[TAP] ⚠️ Game over - ignoring touch');
-      return;
+    // Replays keep the recorded settings until they stop
+    if (INPUT_SETTING_KEYS.includes(key) && !replayPlayer) {
+      applyInputSettings(getInputSettings());
+      recordInputSettings();
     }
+  }
 
-    // Check for double-tap on a ball to delete it
-    const now = Date.now();
-    const tappedBall = balls.find(ball => {
-      const dx = x - ball.x;
-      const dy = y - ball.y;
-      const distance = Math.sqrt(dx * dx + dy * dy);
-      return distance <= ball.radius;
-    });
+  // ========== Pause & Saved Game ==========
 
-    if (tappedBall) {
-      const timeSinceLastTap = now - lastTapTime;
-      console.log(`[TAP] 🎯 Tapped ball: ${tappedBall.letter} at (${Math.round(tappedBall.x)}, ${Math.round(tappedBall.y)})`);
-      console.log(`[TAP] ⏱️  Time since last tap: ${timeSinceLastTap}ms | Last ball: ${lastTappedBall?.letter || 'none'} | Same ball: ${lastTappedBall === tappedBall}`);
+  // Freeze the game behind the pause screen and save it (live games only)
+  function pauseGame() {
+    if (isPaused || isGameOver || isAwaitingMode || replayPlayer) return;
 
-      // Check if this is a double-tap
-      if (lastTappedBall === tappedBall && timeSinceLastTap <= DOUBLE_TAP.DELAY) {
-        // Double-tap detected - delete the ball!
-        console.log(`[TAP] ⚡ DOUBLE-TAP DETECTED! Delay: ${DOUBLE_TAP.DELAY}ms`);
-        console.log(`[TAP] 🗑️ Deleting ball...`);
-        deleteBall(tappedBall);
+    // Fingers still down count as lifted, so the recording stays in step
+    for (const id of activePointers) {
+      onTouchEnd(id);
+      if (isGameOver) break;
+    }
+    activePointers.clear();
+    if (isGameOver) return;
 
-        // Reset double-tap tracking
-        lastTapTime = 0;
-        lastTappedBall = null;
-        console.log('[TAP] 🔄 Double-tap tracking reset');
-        return; // Don't start selection when double-tapping
-      } else {
-        // First tap - track it
-        console.log(`[TAP] 1️⃣ First tap on ${tappedBall.letter} - waiting for second tap within ${DOUBLE_TAP.DELAY}ms`);
-        lastTapTime = now;
-        lastTappedBall = tappedBall;
-      }
+    isPaused = true;
+    saveGame();
+    pausePanel.show({ summary: `Score ${scoring.getScore()} · ${scoring.getWords().length} words` });
+    console.log(`⏸ Paused at ${Math.round(clock.time / 1000)}s`);
+  }
 
-      // Tapped on a ball - pass to selection system
+  function resumeGame() {
+    if (!isPaused) return;
+
+    isPaused = false;
+    pausePanel.hide();
+    console.log('▶ Resumed');
+  }
+
+  // Store the game in progress so a closed tab can pick it up again
+  function saveGame() {
+    if (isGameOver || isAwaitingMode || replayPlayer) return;
+    savedGame.save(createSaveState());
+  }
+
+  // Everything needed to continue this game: board, bag, random streams, score and mode state
+  // (times are game-clock times, so they stay valid once the clock is restored)
+  function createSaveState() {
+    return {
+      mode: gameMode,
+      seed: rng.seed,
+      random: getSessionRandomState(rng),
+      language: ALPHABET.LANGUAGE,
+      scoringMode: SCORING.MODE,
+      time: clock.time,
+      step: clock.step,
+      blitzDuration,
+      puzzle: gameMode === 'puzzle' ? { level: puzzleLevel, moves: puzzleMoves, foundWords: [...puzzleFoundWords] } : null,
+      daily: gameMode === 'daily' ? { dateKey: dailyDateKey, isScored: isDailyScored } : null,
+      hintsUsed,
+      undosUsed,
+      lastDissolveTime: Number.isFinite(lastDissolveTime) ? lastDissolveTime : null,
+      dangerStartTime: dangerZone.startTime,
+      spawnIndex,
+      ballsToSpawn: [...ballsToSpawn],
+      bag: letterBag.snapshot(),
+      scoring: scoring.snapshot(),
+      balls: balls.map(({ body, ...ball }) => ({
+        ...ball,
+        angle: body.angle,
+        angularVelocity: body.angularVelocity
+      }))
+    };
+  }
+
+  // Continue a game from createSaveState() - returns false if it can't be used here
+  function restoreSavedGame(state) {
+    if (state.language !== ALPHABET.LANGUAGE) {
+      console.warn(`Saved game was played in "${state.language}" - discarding it`);
+      savedGame.clear();
+      return false;
+    }
+
+    gameMode = state.mode;
+    isAwaitingMode = false;
+    blitzDuration = state.blitzDuration;
+    blitzRank = null;
+    puzzleLevel = state.puzzle ? state.puzzle.level : null;
+    puzzleMoves = state.puzzle ? state.puzzle.moves : 0;
+    puzzleFoundWords = new Set(state.puzzle ? state.puzzle.foundWords : []);
+    puzzleStars = 0;
+    dailyDateKey = state.daily ? state.daily.dateKey : null;
+    isDailyScored = state.daily ? state.daily.isScored : false;
+    hintsUsed = state.hintsUsed;
+    activeHint = null;
+    noWordsPossible = false;
+    undosUsed = state.undosUsed ?? 0;
+    clearUndo(); // The last word's balls aren't saved
+    dissolvingBalls = [];
+    lastDissolveTime = state.lastDissolveTime ?? -Infinity;
+    scoring.setHighScoreTracking(gameMode === 'survival' || gameMode === 'daily');
+    applySlowMotion();
+    // Scored the way it started, whatever the setting says now
+    if (state.scoringMode) {
+      SCORING.MODE = state.scoringMode;
+      scoring.syncHighScoreMode();
+    }
+
+    rng = restoreSessionRandom(state.seed, state.random);
+    isGameOver = false;
+    dangerZone.reset();
+    dangerZone.startTime = state.dangerStartTime;
+    lastTapTime = 0;
+    lastTappedBall = null;
+    clearFingerColliders();
+    clearSelection();
+    continuousSpawnInterval = null;
+    clock.restore(state.time, state.step);
+
+    // Rebuild the board exactly as it was saved
+    balls.forEach(ball => {
+      if (ball.body) {
+        removeFromWorld(ball.body);
+      }
+    });
+    balls.length = 0;
+    state.balls.forEach(({ angle, angularVelocity, ...saved }) => {
+      const ball = { ...saved };
+      ball.body = createBallBody(ball.x, ball.y, ball.radius);
+      if (ball.isStatic) {
+        Matter.Body.setStatic(ball.body, true);
+      } else {
+        Matter.Body.setVelocity(ball.body, { x: ball.vx, y: ball.vy });
+        Matter.Body.setAngularVelocity(ball.body, angularVelocity);
+      }
+      Matter.Body.setAngle(ball.body, angle);
+      ball.body.ballData = ball;
+      addToWorld(ball.body);
+      balls.push(ball);
+    });
+
+    letterBag.restore(state.bag, rng.bag);
+    scoring.restore(state.scoring);
+    resetSpawnSystem();
+    ballsToSpawn.length = 0;
+    ballsToSpawn.push(...state.ballsToSpawn);
+    spawnIndex = state.spawnIndex;
+    isRetrying = false;
+
+    // Pick up spawning where it was (staggered spawns still pending when saved are dropped)
+    if (spawnIndex <= ballsToSpawn.length) {
+      clock.setTimeout(spawnNextBall, SPAWN.DELAY);
+    } else if (hasContinuousSpawn()) {
+      startContinuousSpawn();
+    }
+    startModeTimers();
+
+    // The recording started at load is for a game that never ran
+    replayRecorder.discard();
+
+    console.log(`💾 Resumed ${gameMode} game ${rng.seed} at ${Math.round(clock.time / 1000)}s | Score: ${scoring.getScore()} | ${balls.length} balls`);
+    return true;
+  }
+
+  // Pause when the player switches away (the save then survives the tab being closed)
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      pauseGame();
+    }
+  });
+
+  // Expose seed controls for sharing boards and reproducing bug reports
+  window.gameSeed = {
+    get current() {
+      return rng.seed;
+    },
+    get shareUrl() {
+      const url = new URL(window.location.href);
+      url.searchParams.set('seed', rng.seed);
+      return url.toString();
+    },
+    restart: (seed) => restartGame(seed)
+  };
+
+  // Initialize selection system
+  initSelection(balls, invisibleBubble);
+
+  // Record an input event for replay (live games only)
+  function recordInput(type, data) {
+    if (!replayPlayer) {
+      replayRecorder.record(type, clock.step, data);
+    }
+  }
+
+  // Input handlers (shared by live touch events and replay playback)
+  // id tells simultaneous pointers apart: each gets its own finger collider or word selection
+  function onTouchStart(x, y, id = PRIMARY_POINTER) {
+    console.log(`[TAP] 👆 Touch ${id} at (${Math.round(x)}, ${Math.round(y)})`);
+
+    // Check for restart button click when game over
+    if (isGameOver && window.restartButtonBounds) {
+      const btn = window.restartButtonBounds;
+      if (x >= btn.x && x <= btn.x + btn.width && y >= btn.y && y <= btn.y + btn.height) {
+        console.log('[TAP] 🔄 Restart button pressed');
+        restartGame(null, gameMode === 'daily' ? 'survival' : gameMode);
+        return;
+      }
+    }
+
+    // Check for statistics button click when game over
+    if (isGameOver && window.statsButtonBounds) {
+      const btn = window.statsButtonBounds;
+      if (x >= btn.x && x <= btn.x + btn.width && y >= btn.y && y <= btn.y + btn.height) {
+        console.log('[TAP] 📊 Statistics button pressed');
+        statsPanel.show();
+        return;
+      }
+    }
+
+    // Check for same-board button click when game over
+    if (isGameOver && window.sameSeedButtonBounds) {
+      const btn = window.sameSeedButtonBounds;
+      if (x >= btn.x && x <= btn.x + btn.width && y >= btn.y && y <= btn.y + btn.height) {
+        console.log(`[TAP] 🎲 Same board pressed - replaying seed ${rng.seed}`);
+        if (gameMode === 'daily') {
+          startDailyChallenge();
+        } else if (gameMode === 'puzzle') {
+          levelSelect.show(); // Puzzles: pick the next level instead
+        } else {
+          restartGame(rng.seed, gameMode);
+        }
+        return;
+      }
+    }
+
+    // Normal touch handling (only if game not over)
+    if (isGameOver) {
+      console.log('[TAP] ⚠️ Game over - ignoring touch');
+      return;
+    }
+
+    recordInput('touchstart', { x, y, id });
+
+    // A pointer id that is still down (a lost pointerup) starts over
+    releasePointer(id);
+
+    const tappedBall = findBallAtPosition(x, y);
+
+    // Check for double-tap on a ball to delete it (game time, so replays match)
+    // Checked before tap-to-build, whose second tap would otherwise play the word
+    const now = clock.time;
+
+    if (tappedBall) {
+      const timeSinceLastTap = now - lastTapTime;
+      console.log(`[TAP] 🎯 Tapped ball: ${tappedBall.letter} at (${Math.round(tappedBall.x)}, ${Math.round(tappedBall.y)})`);
+      console.log(`[TAP] ⏱️  Time since last tap: ${timeSinceLastTap}ms | Last ball: ${lastTappedBall?.letter || 'none'} | Same ball: ${lastTappedBall === tappedBall}`);
+
+      // Check if this is a double-tap
+      if (lastTappedBall === tappedBall && timeSinceLastTap <= DOUBLE_TAP.DELAY) {
+        // Double-tap detected - delete the ball! (a word built by tapping drops it too)
+        console.log(`[TAP] ⚡ DOUBLE-TAP DETECTED! Delay: ${DOUBLE_TAP.DELAY}ms`);
+        console.log(`[TAP] 🗑️ Deleting ball...`);
+        deleteBall(tappedBall);
+
+        // Reset double-tap tracking
+        lastTapTime = 0;
+        lastTappedBall = null;
+        console.log('[TAP] 🔄 Double-tap tracking reset');
+        return; // Don't start selection when double-tapping
+      }
+
+      // First tap - track it
+      console.log(`[TAP] 1️⃣ First tap on ${tappedBall.letter} - waiting for second tap within ${DOUBLE_TAP.DELAY}ms`);
+      lastTapTime = now;
+      lastTappedBall = tappedBall;
+
+      // Tap-to-build: a tap adds the ball to the word, or plays the word when it is the last
+      // ball (tapped again after the double-tap delay) - drags don't select
+      if (isTapToBuild) {
+        const action = handleTapBall(tappedBall);
+        if (action) {
+          console.log(`[TAP] 👆 Tap-to-build ${action}: ${tappedBall.letter}`);
+          if (action === 'submit') {
+            submitSelection(BUILD_POINTER);
+          }
+        }
+        return;
+      }
+
+      // Tapped on a ball - pass to selection system
       console.log('[TAP] 📝 Passing to selection system...');
-      handleTouchStart(x, y);
+      handleTouchStart(x, y, id);
     } else {
       // Tapped empty space - create finger collider
       console.log('[TAP] ⬜ Tapped empty space - creating finger collider');
@@ -780,68 +1723,424 @@ try {
       lastTappedBall = null;
 
       // Create and add finger collider
-      fingerCollider = createFingerCollider(x, y, FINGER_COLLIDER.RADIUS);
-      addToWorld(fingerCollider);
-      console.log(`[COLLIDER] ✨ Created at (${Math.round(x)}, ${Math.round(y)})`);
+      const collider = createFingerCollider(x, y, FINGER_COLLIDER.RADIUS);
+      fingerColliders.set(id, collider);
+      addToWorld(collider);
+      console.log(`[COLLIDER] ✨ Created for ${id} at (${Math.round(x)}, ${Math.round(y)})`);
     }
-  }, { passive: false });
+  }
 
-  canvas.addEventListener('touchmove', (e) => {
+  function onTouchMove(x, y, id = PRIMARY_POINTER) {
     if (isGameOver) return;
-    e.preventDefault();
-    const touch = e.touches[0];
-    const rect = canvas.getBoundingClientRect();
-    const x = touch.clientX - rect.left;
-    const y = touch.clientY - rect.top;
 
-    // Update finger collider position if it exists
-    if (fingerCollider) {
-      updateFingerColliderPosition(fingerCollider, x, y);
+    recordInput('touchmove', { x, y, id });
+
+    // Update this pointer's finger collider if it has one
+    const collider = fingerColliders.get(id);
+    if (collider) {
+      updateFingerColliderPosition(collider, x, y);
     } else {
       // If no finger collider, pass to selection system (word formation)
-      handleTouchMove(x, y);
+      handleTouchMove(x, y, id);
     }
-  }, { passive: false });
+  }
 
-  canvas.addEventListener('touchend', (e) => {
+  function onTouchEnd(id = PRIMARY_POINTER) {
     if (isGameOver) return;
-    e.preventDefault();
+
+    recordInput('touchend', { id });
 
     // Remove finger collider if it exists
-    if (fingerCollider) {
-      removeFromWorld(fingerCollider);
-      console.log('[COLLIDER] 🗑️ Removed finger collider');
-      fingerCollider = null;
+    if (removeFingerCollider(id)) {
       return; // Don't process word selection when using finger collider
     }
 
-    // Normal word selection handling
-    const result = handleTouchEnd();
+    submitSelection(id);
+  }
+
+  // The browser took a pointer away (system gesture, palm rejection): drop its collider
+  // or selection without submitting a word
+  function onTouchCancel(id = PRIMARY_POINTER) {
+    if (isGameOver) return;
+
+    recordInput('touchcancel', { id });
+    console.log(`[TAP] ✖️ Touch ${id} cancelled`);
+    releasePointer(id);
+  }
+
+  // Drop whatever a pointer holds (collider or unfinished selection)
+  function releasePointer(id) {
+    removeFingerCollider(id);
+    clearSelection(id);
+  }
+
+  // Returns whether the pointer had a collider
+  function removeFingerCollider(id) {
+    const collider = fingerColliders.get(id);
+    if (!collider) return false;
+
+    removeFromWorld(collider);
+    fingerColliders.delete(id);
+    console.log(`[COLLIDER] 🗑️ Removed finger collider for ${id}`);
+    return true;
+  }
+
+  // Drop every collider (restarts and restored games)
+  function clearFingerColliders() {
+    fingerColliders.forEach(collider => removeFromWorld(collider));
+    fingerColliders.clear();
+  }
+
+  // Validate a pointer's selected word (resolving any wildcards) and process it if valid
+  function submitSelection(id) {
+    const result = handleTouchEnd(id);
 
-    // Validate word and process if valid
     if (result && result.word && result.balls.length >= 2) {
-      const isValid = wordValidator.isValid(result.word);
+      const word = wordValidator.resolveWildcards(result.word);
 
-      if (isValid) {
-        processValidWord(result.balls, result.word);
+      if (word) {
+        processValidWord(result.balls, word);
       } else {
         console.log(`Invalid word: "${result.word}"`);
+        boardMirror.announce(`${result.word} is not a word`);
       }
     }
-  }, { passive: false });
+  }
+
+  // Keyboard play: letters pick the nearest reachable matching ball, Backspace takes the last
+  // one back, Enter submits the word and Escape clears it (recorded, so replays type the same)
+  // The tap-to-build ✔ and ✖ buttons send Enter and Escape for the word built by tapping
+  function onKey(key) {
+    if (isGameOver) return;
+
+    recordInput('key', { key });
+
+    if (key === 'Enter') {
+      submitSelection(BUILD_POINTER);
+    } else if (key === 'Backspace') {
+      removeLastSelected();
+    } else if (key === 'Escape') {
+      clearSelection(BUILD_POINTER);
+    } else if (!handleKeyLetter(key)) {
+      console.log(`[KEY] No reachable ${key} ball`);
+    }
+  }
+
+  // Convert a pointer event to logical canvas coordinates
+  function getCanvasPoint(e) {
+    const rect = canvas.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  // Pointer event handlers - finger, mouse and pen all play the same way, and each finger
+  // on the canvas is tracked separately (live input is ignored while a replay plays or the
+  // game is paused)
+  canvas.addEventListener('pointerdown', (e) => {
+    e.preventDefault();
+    if (replayPlayer || isPaused || activePointers.has(e.pointerId)) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return; // Left button only
+
+    activePointers.add(e.pointerId);
+    canvas.setPointerCapture(e.pointerId); // Keep receiving moves when dragging off the canvas
+    const { x, y } = getCanvasPoint(e);
+    onTouchStart(x, y, e.pointerId);
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    if (!activePointers.has(e.pointerId) || isGameOver || replayPlayer || isPaused) return;
+    e.preventDefault();
+    const { x, y } = getCanvasPoint(e);
+    onTouchMove(x, y, e.pointerId);
+  });
+
+  canvas.addEventListener('pointerup', (e) => {
+    if (!activePointers.delete(e.pointerId)) return;
+    if (isGameOver || replayPlayer || isPaused) return;
+    e.preventDefault();
+    onTouchEnd(e.pointerId);
+  });
+
+  canvas.addEventListener('pointercancel', (e) => {
+    if (!activePointers.delete(e.pointerId)) return;
+    if (isGameOver || replayPlayer || isPaused) return;
+    onTouchCancel(e.pointerId);
+  });
+
+  // Key for keyboard play: an uppercase letter, Enter, Backspace or Escape (null for anything else)
+  function getPlayKey(e) {
+    if (e.key === 'Enter' || e.key === 'Backspace' || e.key === 'Escape') return e.key;
+    const letter = e.key.toUpperCase();
+    return /^\p{L}$/u.test(letter) ? letter : null;
+  }
+
+  document.addEventListener('keydown', (e) => {
+    if (replayPlayer || isPaused || isAwaitingMode || isGameOver) return;
+    if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+
+    const key = getPlayKey(e);
+    if (!key) return;
+    e.preventDefault(); // Also keeps Enter from clicking a focused button
+    onKey(key);
+  });
+
+  // ========== Recording & Replay ==========
+
+  // Config sections captured with each recording (replays run with the recorded tuning)
+  const RECORDED_CONFIG_SECTIONS = ['PHYSICS', 'BALL', 'SPAWN', 'SPECIAL_BALLS', 'SCORING', 'COMBO', 'SELECTION', 'ACCESSIBILITY', 'DANGER', 'DOUBLE_TAP', 'FINGER_COLLIDER'];
+
+  function snapshotConfig() {
+    const snapshot = {};
+    RECORDED_CONFIG_SECTIONS.forEach(section => {
+      snapshot[section] = JSON.parse(JSON.stringify(configModule[section]));
+    });
+    return snapshot;
+  }
+
+  function applyConfig(snapshot) {
+    RECORDED_CONFIG_SECTIONS.forEach(section => {
+      if (snapshot[section]) {
+        Object.assign(configModule[section], snapshot[section]);
+      }
+    });
+  }
+
+  // Mode settings needed to restart the same game (Blitz length, puzzle level)
+  function getModeOptions() {
+    if (gameMode === 'blitz') return { durationMs: blitzDuration };
+    if (gameMode === 'puzzle') return { level: puzzleLevel };
+    return null;
+  }
+
+  // Start recording the current game (called at startup and on every live restart)
+  function startRecording() {
+    replayRecorder.start({
+      seed: rng.seed,
+      mode: gameMode,
+      modeOptions: getModeOptions(),
+      dictionary: wordValidator.dictionaryId,
+      language: ALPHABET.LANGUAGE,
+      config: snapshotConfig(),
+      board: { width: logicalWidth, height: logicalHeight, dangerZoneY }
+    });
+    lastRecordedGravity = null;
+    recordInputSettings();
+  }
+
+  // Record gravity changes (gyroscope or debug console) so replays feel the same tilt
+  function recordGravityChange() {
+    const { x, y } = engine.gravity;
+    if (!lastRecordedGravity || lastRecordedGravity.x !== x || lastRecordedGravity.y !== y) {
+      lastRecordedGravity = { x, y };
+      recordInput('gravity', { x, y });
+    }
+  }
+
+  // Apply one recorded event through the same handlers live input uses
+  function applyReplayEvent(event) {
+    switch (event.type) {
+      case 'touchstart':
+        onTouchStart(event.x, event.y, event.id ?? PRIMARY_POINTER); // Older recordings have no id
+        break;
+      case 'touchmove':
+        onTouchMove(event.x, event.y, event.id ?? PRIMARY_POINTER);
+        break;
+      case 'touchend':
+        onTouchEnd(event.id ?? PRIMARY_POINTER);
+        break;
+      case 'touchcancel':
+        onTouchCancel(event.id ?? PRIMARY_POINTER);
+        break;
+      case 'key':
+        onKey(event.key);
+        break;
+      case 'settings':
+        applyInputSettings(event);
+        break;
+      case 'gravity':
+        engine.gravity.x = event.x;
+        engine.gravity.y = event.y;
+        break;
+      case 'hint':
+        requestHint();
+        break;
+      case 'undo':
+        undoLastWord();
+        break;
+    }
+  }
+
+  // Start playing back a recording from its seed
+  function startReplay(recording) {
+    if (recording.board && (recording.board.width !== logicalWidth || recording.board.height !== logicalHeight)) {
+      console.warn(`[REPLAY] ⚠️ Recorded on a ${recording.board.width}x${recording.board.height} board, this screen is ${logicalWidth}x${logicalHeight} - playback may diverge`);
+    }
+
+    // Spawn tables follow the recorded language
+    if (recording.language && recording.language !== ALPHABET.LANGUAGE && getLanguage(recording.language)) {
+      savedLanguage = savedLanguage || ALPHABET.LANGUAGE;
+      applyLanguage(recording.language);
+    }
+
+    if (recording.dictionary && recording.dictionary !== wordValidator.dictionaryId) {
+      const name = getDictionary(recording.dictionary)?.name || recording.dictionary;
+      console.warn(`[REPLAY] ⚠️ Recorded with the ${name} word list - words may be judged differently`);
+    }
+
+    // Gyroscope input would fight the recorded gravity
+    if (isGyroscopeActive) {
+      gyroButton.click();
+    }
+
+    if (!savedConfig) {
+      savedConfig = snapshotConfig();
+    }
+    applyConfig(recording.config || {});
+    applyInputSettings();
+
+    replayPlayer = new ReplayPlayer(recording);
+    replayControls.showPlayback(true);
+    console.log(`[REPLAY] ▶ Playing ${recording.events.length} events | seed ${recording.seed} | mode ${recording.mode}`);
+    restartGame(recording.seed, recording.mode || 'survival', recording.modeOptions || {});
+  }
+
+  // Stop playback and return to a fresh live game
+  function stopReplay() {
+    if (!replayPlayer) return;
+
+    replayPlayer = null;
+    replayControls.showPlayback(false);
+    if (savedConfig) {
+      applyConfig(savedConfig);
+      savedConfig = null;
+    }
+    if (savedLanguage) {
+      applyLanguage(savedLanguage);
+      savedLanguage = null;
+    }
+    engine.gravity.x = 0;
+    engine.gravity.y = PHYSICS.GRAVITY;
+    applyInputSettings(getInputSettings());
+    console.log('[REPLAY] ⏹ Replay stopped');
+    restartGame();
+  }
+
+  // Run this frame's replay steps, feeding recorded input between steps
+  function runReplayFrame() {
+    const steps = replayPlayer.stepsThisFrame();
+    for (let i = 0; i < steps && !isGameOver; i++) {
+      replayPlayer.takeEventsForStep(clock.step).forEach(applyReplayEvent);
+      if (!isGameOver) {
+        stepSimulation();
+      }
+    }
+
+    replayControls.updatePlayback({
+      isPaused: replayPlayer.isPaused,
+      speed: replayPlayer.speed,
+      step: clock.step,
+      totalSteps: replayPlayer.totalSteps
+    });
+  }
+
+  async function importReplay(file) {
+    try {
+      const recording = await readReplayFile(file);
+      startReplay(recording);
+    } catch (err) {
+      console.error('[REPLAY] Failed to import replay:', err.message);
+      alert(`Could not load replay: ${err.message}`);
+    }
+  }
+
+  function exportReplay() {
+    const recording = replayRecorder.getRecording();
+    if (!recording) {
+      console.warn('[REPLAY] Nothing recorded yet');
+      return;
+    }
+    downloadReplay(recording);
+    console.log(`[REPLAY] ⬇ Exported ${recording.events.length} events`);
+  }
+
+  const REPLAY_SPEEDS = [1, 2, 4, 8];
+
+  const replayControls = createReplayControls({
+    onExport: exportReplay,
+    onImport: importReplay,
+    onStop: stopReplay,
+    onTogglePause: () => {
+      if (replayPlayer) replayPlayer.isPaused = !replayPlayer.isPaused;
+    },
+    onStep: () => {
+      if (replayPlayer) replayPlayer.stepOnce();
+    },
+    onSpeed: () => {
+      if (!replayPlayer) return;
+      const index = REPLAY_SPEEDS.indexOf(replayPlayer.speed);
+      replayPlayer.speed = REPLAY_SPEEDS[(index + 1) % REPLAY_SPEEDS.length];
+    }
+  });
+
+  // Create replay button (next to daily challenge button)
+  const replayButton = document.createElement('button');
+  replayButton.textContent = '🎬';
+  replayButton.style.cssText = gyroButton.style.cssText;
+  replayButton.style.left = '140px';
+  document.body.appendChild(replayButton);
+  replayButton.addEventListener('click', () => replayControls.toggleMenu());
+
+  // Expose replay controls for debugging
+  window.gameReplay = {
+    get recording() {
+      return replayRecorder.getRecording();
+    },
+    export: exportReplay,
+    play: (recording) => startReplay(recording),
+    stop: stopReplay
+  };
+
+  // ========== Simulation Step ==========
+
+  // Copy Matter.js body state onto ball data (positions drive selection and danger checks)
+  function syncBallsFromBodies() {
+    balls.forEach(ball => {
+      ball.x = ball.body.position.x;
+      ball.y = ball.body.position.y;
+      ball.vx = ball.body.velocity.x;
+      ball.vy = ball.body.velocity.y;
+    });
+  }
+
+  // Advance the game by one fixed physics step
+  function stepSimulation() {
+    recordGravityChange(); // Before stepping, so replays apply it to the same step
+    updatePhysics(PHYSICS.TIMESTEP);
+    syncBallsFromBodies();
+    clock.advance();
+    updateDangerZone();
+  }
+
 
   // Main draw loop
   function draw() {
     ctx.clearRect(0, 0, logicalWidth, logicalHeight);
 
-    // Update Matter.js physics (only if game is not over)
-    if (!isGameOver) {
-      updatePhysics();
+    // Advance the game clock in fixed steps for the real time since the last frame
+    // (replays run their own number of steps per frame; nothing runs while paused or over)
+    const frameTime = performance.now();
+    if (replayPlayer) {
+      clock.hold(frameTime);
+      runReplayFrame();
+    } else if (isGameOver || isPaused) {
+      clock.hold(frameTime);
+    } else {
+      clock.tick(frameTime, () => {
+        stepSimulation();
+        return !isGameOver;
+      }, PHYSICS.MAX_STEPS_PER_FRAME);
     }
 
-    // Update danger zone
-    updateDangerZone();
-
     // Draw invisible bubble with faint outline
     if (invisibleBubble) {
       ctx.strokeStyle = 'rgba(200, 200, 200, 0.3)'; // Very faint gray
@@ -851,8 +2150,8 @@ try {
       ctx.stroke();
     }
 
-    // Draw finger collider with green tint
-    if (fingerCollider) {
+    // Draw finger colliders with green tint
+    fingerColliders.forEach(collider => {
       // Parse the hex color and add alpha
       const r = parseInt(FINGER_COLLIDER.VISUAL_COLOR.slice(1, 3), 16);
       const g = parseInt(FINGER_COLLIDER.VISUAL_COLOR.slice(3, 5), 16);
@@ -861,40 +2160,123 @@ try {
       // Fill with transparent green
       ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${FINGER_COLLIDER.VISUAL_OPACITY})`;
       ctx.beginPath();
-      ctx.arc(fingerCollider.position.x, fingerCollider.position.y, FINGER_COLLIDER.RADIUS, 0, Math.PI * 2);
+      ctx.arc(collider.position.x, collider.position.y, FINGER_COLLIDER.RADIUS, 0, Math.PI * 2);
       ctx.fill();
 
       // Stroke with opaque green
       ctx.strokeStyle = FINGER_COLLIDER.VISUAL_COLOR;
       ctx.lineWidth = FINGER_COLLIDER.STROKE_WIDTH;
       ctx.stroke();
-    }
+    });
 
-    // Sync ball positions from Matter.js bodies
+    // Zen: dissolved balls fade and shrink away
+    dissolvingBalls = dissolvingBalls.filter(ghost => clock.time - ghost.startTime < ZEN.DISSOLVE_DURATION);
+    dissolvingBalls.forEach(ghost => {
+      const progress = (clock.time - ghost.startTime) / ZEN.DISSOLVE_DURATION;
+      ctx.save();
+      ctx.globalAlpha = 1 - progress;
+      ctx.fillStyle = ghost.color;
+      ctx.beginPath();
+      ctx.arc(ghost.x, ghost.y, ghost.radius * (1 - progress * 0.5), 0, Math.PI * 2);
+      ctx.fill();
+      ctx.restore();
+    });
+
+    // Draw balls (positions are synced from Matter.js bodies each simulation step)
+    // High contrast: plain balls white with black outlines, selected balls filled gold
+    const isHighContrast = playerSettings.highContrast;
+    const filledBalls = isHighContrast ? getSelection() : [];
     balls.forEach(ball => {
-      ball.x = ball.body.position.x;
-      ball.y = ball.body.position.y;
-      ball.vx = ball.body.velocity.x;
-      ball.vy = ball.body.velocity.y;
+      const isFilledSelected = filledBalls.includes(ball);
+      let fillColor = ball.color;
+      if (isFilledSelected) {
+        fillColor = HIGH_CONTRAST.SELECTED_COLOR;
+      } else if (isHighContrast && !ball.special) {
+        fillColor = HIGH_CONTRAST.BALL_COLOR;
+      }
 
       // Draw ball circle
-      ctx.fillStyle = ball.color;
+      ctx.fillStyle = fillColor;
       ctx.beginPath();
       ctx.arc(ball.x, ball.y, ball.radius, 0, Math.PI * 2);
       ctx.fill();
+      if (isHighContrast) {
+        ctx.strokeStyle = HIGH_CONTRAST.OUTLINE_COLOR;
+        ctx.lineWidth = HIGH_CONTRAST.OUTLINE_WIDTH;
+        ctx.stroke();
+      }
 
       // Draw letter on ball (font size scales with radius)
-      ctx.fillStyle = '#000';
+      if (ball.special === 'BOMB' && !isFilledSelected) {
+        ctx.fillStyle = '#FFF';
+      } else {
+        ctx.fillStyle = isHighContrast ? HIGH_CONTRAST.LETTER_COLOR : '#000';
+      }
       const fontSize = Math.round(ball.radius * 0.65); // Font size proportional to ball size
       ctx.font = `bold ${fontSize}px system-ui, -apple-system, sans-serif`;
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
       ctx.fillText(ball.letter, ball.x, ball.y);
+
+      // Static (pinned) puzzle balls get a dark outline
+      if (ball.isStatic) {
+        ctx.strokeStyle = '#555';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(ball.x, ball.y, ball.radius - 1.5, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+
+      // Special balls: white ring plus a modifier badge at the top-right
+      if (ball.special) {
+        ctx.strokeStyle = '#FFF';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(ball.x, ball.y, ball.radius - 3, 0, Math.PI * 2);
+        ctx.stroke();
+
+        const label = getSpecialLabel(ball);
+        if (label) {
+          const badgeX = ball.x + ball.radius * 0.7;
+          const badgeY = ball.y - ball.radius * 0.7;
+          const badgeRadius = Math.max(9, ball.radius * 0.35);
+          ctx.fillStyle = '#FFF';
+          ctx.beginPath();
+          ctx.arc(badgeX, badgeY, badgeRadius, 0, Math.PI * 2);
+          ctx.fill();
+
+          ctx.fillStyle = '#000';
+          ctx.font = `bold ${Math.round(badgeRadius)}px system-ui, -apple-system, sans-serif`;
+          ctx.fillText(label, badgeX, badgeY);
+        }
+      }
     });
 
-    // Draw selection overlay
-    const selectedBalls = getSelection();
-    if (selectedBalls.length > 0) {
+    // Draw hint (numbered rings on the chain until it expires or a ball leaves the board)
+    if (activeHint && (clock.time > activeHint.expiresAt || activeHint.balls.some(ball => !balls.includes(ball)))) {
+      activeHint = null;
+    }
+    if (activeHint) {
+      const pulse = 0.6 + 0.4 * Math.sin(clock.time / 150);
+      ctx.save();
+      ctx.globalAlpha = pulse;
+      ctx.strokeStyle = HINT.COLOR;
+      ctx.fillStyle = HINT.COLOR;
+      ctx.lineWidth = 4;
+      ctx.font = 'bold 14px system-ui, -apple-system, sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'bottom';
+      activeHint.balls.forEach((ball, index) => {
+        ctx.beginPath();
+        ctx.arc(ball.x, ball.y, ball.radius + 3, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.fillText(String(index + 1), ball.x, ball.y - ball.radius - 4);
+      });
+      ctx.restore();
+    }
+
+    // Draw selection overlays (one per finger, word boxes stacked at the top)
+    getSelections().forEach(({ pointerId, balls: selectedBalls, isDragging, touchPos }, selectionIndex) => {
       // Draw connecting lines
       if (selectedBalls.length > 1) {
         ctx.strokeStyle = SELECTION.LINE_COLOR;
@@ -911,8 +2293,7 @@ try {
       }
 
       // Draw preview line from last selected ball to current touch position
-      if (isSelectionActive()) {
-        const touchPos = getTouchPosition();
+      if (isDragging) {
         if (touchPos) {
           ctx.strokeStyle = SELECTION.LINE_COLOR;
           ctx.lineWidth = SELECTION.LINE_WIDTH;
@@ -938,9 +2319,20 @@ try {
         ctx.stroke();
       });
 
-      // Display selected word (neutral, no validation during selection)
-      const word = getSelectedWord();
+      // Display selected word, colored by whether it is a word, a prefix or a dead end
+      const word = getSelectedWord(pointerId);
       if (word) {
+        let stateColor = SELECTION.HIGHLIGHT_COLOR; // Neutral while the word list loads
+        if (wordValidator.isLoaded) {
+          if (word.length >= 2 && wordValidator.resolveWildcards(word)) {
+            stateColor = SELECTION.WORD_COLOR;
+          } else if (wordValidator.isPrefix(word)) {
+            stateColor = SELECTION.PREFIX_COLOR;
+          } else {
+            stateColor = SELECTION.DEAD_END_COLOR;
+          }
+        }
+
         ctx.font = 'bold 24px system-ui, -apple-system, sans-serif';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'top';
@@ -950,48 +2342,60 @@ try {
         const boxWidth = textWidth + padding * 2;
         const boxHeight = 40;
         const boxX = logicalWidth / 2 - boxWidth / 2;
-        const boxY = safeAreaTop + 10; // Safe area top + 10px padding
+        const boxY = safeAreaTop + 10 + selectionIndex * (boxHeight + 6); // Safe area top + 10px padding
 
-        // Background box (neutral white)
+        // Background box
         ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
         ctx.fillRect(boxX, boxY, boxWidth, boxHeight);
 
-        // Border (neutral)
-        ctx.strokeStyle = SELECTION.HIGHLIGHT_COLOR;
-        ctx.lineWidth = 2;
+        // Border (word / prefix / dead end)
+        ctx.strokeStyle = stateColor;
+        ctx.lineWidth = 3;
         ctx.strokeRect(boxX, boxY, boxWidth, boxHeight);
 
         // Text
         ctx.fillStyle = '#000';
         ctx.fillText(word, logicalWidth / 2, boxY + 8);
       }
-    }
+    });
 
     // Draw danger line
-    const isDanger = ballsInDanger.size > 0;
-    const timeInDanger = isDanger ? Date.now() - dangerStartTime : 0;
-    const timeRemaining = Math.max(0, DANGER.THRESHOLD_TIME - timeInDanger);
+    const isDanger = dangerZone.isActive();
+    const timeRemaining = dangerZone.getTimeRemaining(clock.time);
 
     // Line color - flash red when in danger
     let lineColor = DANGER.LINE_COLOR;
     if (isDanger) {
-      const flashPhase = Math.floor(Date.now() / DANGER.WARNING_FLASH_SPEED) % 2;
+      const flashPhase = Math.floor(clock.time / DANGER.WARNING_FLASH_SPEED) % 2;
       lineColor = flashPhase === 0 ? DANGER.LINE_COLOR_DANGER : DANGER.LINE_COLOR;
     }
 
+    // In danger the line also turns solid and thick, and the balls over it get a dashed ring,
+    // so the warning doesn't depend on telling orange from red
     ctx.save();
     ctx.strokeStyle = lineColor;
-    ctx.lineWidth = DANGER.LINE_WIDTH;
-    ctx.setLineDash(DANGER.LINE_DASH);
+    ctx.lineWidth = isDanger ? DANGER.LINE_WIDTH_DANGER : DANGER.LINE_WIDTH;
+    ctx.setLineDash(isDanger ? [] : DANGER.LINE_DASH);
     ctx.beginPath();
     ctx.moveTo(0, dangerZoneY);
     ctx.lineTo(logicalWidth, dangerZoneY);
     ctx.stroke();
+
+    if (isDanger) {
+      ctx.strokeStyle = DANGER.BALL_MARK_COLOR;
+      ctx.lineWidth = 2;
+      ctx.setLineDash([4, 4]);
+      ballsInDanger.forEach(ball => {
+        ctx.beginPath();
+        ctx.arc(ball.x, ball.y, ball.radius + 4, 0, Math.PI * 2);
+        ctx.stroke();
+      });
+    }
     ctx.setLineDash([]); // Reset dash
     ctx.restore();
 
-    // Draw danger timer if balls in danger
-    if (isDanger && !isGameOver) {
+    // Draw danger timer if balls in danger (Zen dissolves balls instead)
+    if (isDanger && !isGameOver && gameMode !== 'zen') {
       const secondsRemaining = Math.ceil(timeRemaining / 1000);
       ctx.font = 'bold 16px system-ui, -apple-system, sans-serif';
       ctx.fillStyle = DANGER.WARNING_COLOR;
@@ -1000,8 +2404,17 @@ try {
       ctx.fillText(`⚠️ ${secondsRemaining}s`, logicalWidth / 2, dangerZoneY - 5);
     }
 
+    // Stuck board notice
+    if (noWordsPossible && !isGameOver) {
+      ctx.font = 'bold 14px system-ui, -apple-system, sans-serif';
+      ctx.fillStyle = DANGER.LINE_COLOR;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      ctx.fillText('No words possible - double-tap a ball to delete it', logicalWidth / 2, dangerZoneY + 8);
+    }
+
     // Update and render score animations
-    scoring.updateAnimations();
+    scoring.updateAnimations(clock.time); // Frozen with the clock while paused
     const animations = scoring.getAnimations();
     animations.forEach(anim => {
       ctx.save();
@@ -1010,13 +2423,18 @@ try {
       ctx.fillStyle = SCORE.ANIMATION_COLOR;
       ctx.textAlign = 'center';
       ctx.textBaseline = 'middle';
-      ctx.fillText(`+${anim.points}`, anim.x, anim.y);
+      ctx.fillText(anim.multiplier > 1 ? `+${anim.points} ×${anim.multiplier}` : `+${anim.points}`, anim.x, anim.y);
       ctx.restore();
     });
 
     // Render score display (top-right corner)
     const currentScore = scoring.getScore();
-    const highScore = scoring.getHighScore();
+    let highScore = scoring.getHighScore();
+    if (gameMode === 'blitz') {
+      highScore = Math.max(currentScore, highScores.getBest(getBlitzTableId(blitzDuration)));
+    } else if (gameMode === 'zen') {
+      highScore = Math.max(currentScore, highScores.getBest(ZEN_TABLE_ID));
+    }
 
     ctx.textAlign = 'right';
     ctx.textBaseline = 'top';
@@ -1031,6 +2449,66 @@ try {
     ctx.fillStyle = SCORE.HIGH_SCORE_COLOR;
     ctx.fillText(`Best: ${highScore}`, logicalWidth - SCORE.PADDING, safeAreaTop + SCORE.PADDING + SCORE.FONT_SIZE + 4);
 
+    // Combo multiplier (left of the score) with a bar showing time until it decays
+    const combo = isGameOver ? 0 : scoring.getCombo(clock.time);
+    if (combo >= 2) {
+      ctx.font = `bold ${SCORE.FONT_SIZE}px system-ui, -apple-system, sans-serif`;
+      const scoreWidth = ctx.measureText(`Score: ${currentScore}`).width;
+      const comboRight = logicalWidth - SCORE.PADDING - scoreWidth - 12;
+
+      ctx.font = `bold ${COMBO.FONT_SIZE}px system-ui, -apple-system, sans-serif`;
+      ctx.fillStyle = COMBO.COLOR;
+      const comboText = `🔥 ×${scoring.getComboMultiplier(combo)}`;
+      ctx.fillText(comboText, comboRight, safeAreaTop + SCORE.PADDING + 2);
+
+      const barWidth = ctx.measureText(comboText).width;
+      const remaining = scoring.getComboTimeRemaining(clock.time);
+      ctx.fillRect(comboRight - barWidth, safeAreaTop + SCORE.PADDING + COMBO.FONT_SIZE + 6, barWidth * remaining, 3);
+    }
+
+    // Replay / daily challenge label (top-left corner)
+    if (replayPlayer) {
+      ctx.textAlign = 'left';
+      ctx.font = `bold ${SCORE.FONT_SIZE_HIGH}px system-ui, -apple-system, sans-serif`;
+      ctx.fillStyle = SCORE.COLOR;
+      ctx.fillText(`▶ Replay ${rng.seed}`, SCORE.PADDING, safeAreaTop + SCORE.PADDING);
+    } else if (gameMode === 'daily') {
+      ctx.textAlign = 'left';
+      ctx.font = `bold ${SCORE.FONT_SIZE_HIGH}px system-ui, -apple-system, sans-serif`;
+      ctx.fillStyle = SCORE.COLOR;
+      ctx.fillText(`📅 Daily ${dailyDateKey}`, SCORE.PADDING, safeAreaTop + SCORE.PADDING);
+      ctx.font = `${SCORE.FONT_SIZE_HIGH}px system-ui, -apple-system, sans-serif`;
+      ctx.fillStyle = SCORE.HIGH_SCORE_COLOR;
+      ctx.fillText(isDailyScored ? 'Scored attempt' : 'Practice', SCORE.PADDING, safeAreaTop + SCORE.PADDING + SCORE.FONT_SIZE + 4);
+    } else if (gameMode === 'blitz') {
+      // Blitz countdown (red in the final seconds)
+      const remaining = getBlitzTimeRemaining();
+      const totalSeconds = Math.ceil(remaining / 1000);
+      ctx.textAlign = 'left';
+      ctx.font = `bold ${SCORE.FONT_SIZE}px system-ui, -apple-system, sans-serif`;
+      ctx.fillStyle = remaining <= BLITZ.WARNING_TIME ? DANGER.WARNING_COLOR : SCORE.COLOR;
+      ctx.fillText(`⏱ ${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`, SCORE.PADDING, safeAreaTop + SCORE.PADDING);
+      ctx.font = `${SCORE.FONT_SIZE_HIGH}px system-ui, -apple-system, sans-serif`;
+      ctx.fillStyle = SCORE.HIGH_SCORE_COLOR;
+      ctx.fillText(`Blitz ${blitzDuration / 60000} min`, SCORE.PADDING, safeAreaTop + SCORE.PADDING + SCORE.FONT_SIZE + 4);
+    } else if (gameMode === 'zen') {
+      ctx.textAlign = 'left';
+      ctx.font = `bold ${SCORE.FONT_SIZE_HIGH}px system-ui, -apple-system, sans-serif`;
+      ctx.fillStyle = SCORE.COLOR;
+      ctx.fillText('🧘 Zen', SCORE.PADDING, safeAreaTop + SCORE.PADDING);
+      ctx.font = `${SCORE.FONT_SIZE_HIGH}px system-ui, -apple-system, sans-serif`;
+      ctx.fillStyle = SCORE.HIGH_SCORE_COLOR;
+      ctx.fillText(`${balls.length} balls`, SCORE.PADDING, safeAreaTop + SCORE.PADDING + SCORE.FONT_SIZE + 4);
+    } else if (gameMode === 'puzzle') {
+      ctx.textAlign = 'left';
+      ctx.font = `bold ${SCORE.FONT_SIZE_HIGH}px system-ui, -apple-system, sans-serif`;
+      ctx.fillStyle = SCORE.COLOR;
+      ctx.fillText(`🧩 ${puzzleLevel.name}`, SCORE.PADDING, safeAreaTop + SCORE.PADDING);
+      ctx.font = `${SCORE.FONT_SIZE_HIGH}px system-ui, -apple-system, sans-serif`;
+      ctx.fillStyle = SCORE.HIGH_SCORE_COLOR;
+      ctx.fillText(describeGoal(puzzleLevel, getPuzzleState()), SCORE.PADDING, safeAreaTop + SCORE.PADDING + SCORE.FONT_SIZE + 4);
+    }
+
     // Draw game over UI
     if (isGameOver) {
       // Semi-transparent overlay
@@ -1049,6 +2527,30 @@ try {
       ctx.fillStyle = '#AAA';
       ctx.fillText('Final Score', logicalWidth / 2, logicalHeight * 0.15 + 55);
 
+      // Daily challenge summary
+      if (gameMode === 'daily') {
+        ctx.font = '16px system-ui, -apple-system, sans-serif';
+        ctx.fillStyle = '#4CAF50';
+        const dailyLabel = isDailyScored ? 'Daily scored' : 'Daily practice';
+        ctx.fillText(`📅 ${dailyLabel} · 🔥 Streak ${dailyChallenge.getStreak()}`, logicalWidth / 2, logicalHeight * 0.15 + 82);
+      }
+
+      // Puzzle summary (stars, or failed)
+      if (gameMode === 'puzzle') {
+        ctx.font = '16px system-ui, -apple-system, sans-serif';
+        ctx.fillStyle = '#FFD54F';
+        const puzzleLabel = puzzleStars > 0 ? `Complete ${formatStars(puzzleStars)}` : 'Failed';
+        ctx.fillText(`🧩 ${puzzleLevel.name} · ${puzzleLabel}`, logicalWidth / 2, logicalHeight * 0.15 + 82);
+      }
+
+      // Blitz summary (rank in this game length's table)
+      if (gameMode === 'blitz') {
+        ctx.font = '16px system-ui, -apple-system, sans-serif';
+        ctx.fillStyle = '#FF9800';
+        const rankLabel = blitzRank === 1 ? '🏆 New best!' : blitzRank ? `Rank #${blitzRank}` : `Best ${highScores.getBest(getBlitzTableId(blitzDuration))}`;
+        ctx.fillText(`⏱ Blitz ${blitzDuration / 60000} min · ${rankLabel}`, logicalWidth / 2, logicalHeight * 0.15 + 82);
+      }
+
       // Words list
       const words = scoring.getWords();
       ctx.font = '16px system-ui, -apple-system, sans-serif';
@@ -1064,9 +2566,22 @@ try {
 
         wordsToShow.forEach((wordData, index) => {
           ctx.fillStyle = '#FFF';
+          ctx.font = '16px system-ui, -apple-system, sans-serif';
           const y = wordsStartY + (index * 28);
-          ctx.fillText(`${wordData.word.toUpperCase()} — ${wordData.points}`, logicalWidth / 2, y);
+          const comboLabel = wordData.combo > 1 ? ` (🔥×${wordData.combo})` : '';
+          ctx.fillText(`${wordData.word.toUpperCase()} — ${wordData.points}${comboLabel}`, logicalWidth / 2, y);
+
+          // Per-letter breakdown (e.g. "Q10 U2 I1 ?Z0 ×1.5 ×3W")
+          const breakdown = wordData.breakdown;
+          if (breakdown && breakdown.mode === 'letters') {
+            const letterValues = breakdown.letters.map(({ letter, value, special }) => `${special === 'WILDCARD' ? '?' : ''}${letter}${value}`).join(' ');
+            const wordMultiplier = breakdown.wordMultiplier > 1 ? ` ×${breakdown.wordMultiplier}W` : '';
+            ctx.fillStyle = '#888';
+            ctx.font = '11px system-ui, -apple-system, sans-serif';
+            ctx.fillText(`${letterValues} ×${breakdown.multiplier}${wordMultiplier}`, logicalWidth / 2, y + 17);
+          }
         });
+        ctx.font = '16px system-ui, -apple-system, sans-serif';
 
         if (words.length > maxWordsToShow) {
           ctx.fillStyle = '#888';
@@ -1077,6 +2592,30 @@ try {
         ctx.fillText('No words formed', logicalWidth / 2, wordsStartY);
       }
 
+      // Seed (share it to let others play the same board)
+      ctx.fillStyle = '#888';
+      ctx.font = '14px system-ui, -apple-system, sans-serif';
+      ctx.textBaseline = 'top';
+      ctx.fillText(`Seed: ${rng.seed}`, logicalWidth / 2, logicalHeight - 210);
+
+      // Same board button (replay the current seed)
+      const sameSeedButtonY = logicalHeight - 180;
+      const sameSeedButtonWidth = 200;
+      const sameSeedButtonHeight = 44;
+      const sameSeedButtonX = (logicalWidth - sameSeedButtonWidth) / 2;
+
+      ctx.strokeStyle = '#4CAF50';
+      ctx.lineWidth = 2;
+      ctx.strokeRect(sameSeedButtonX, sameSeedButtonY, sameSeedButtonWidth, sameSeedButtonHeight);
+
+      ctx.fillStyle = '#FFF';
+      ctx.font = 'bold 18px system-ui, -apple-system, sans-serif';
+      ctx.textBaseline = 'middle';
+      const sameSeedLabel = { daily: 'Practice Daily', puzzle: 'Levels' }[gameMode] || 'Same Board';
+      ctx.fillText(sameSeedLabel, logicalWidth / 2, sameSeedButtonY + sameSeedButtonHeight / 2);
+
+      window.sameSeedButtonBounds = { x: sameSeedButtonX, y: sameSeedButtonY, width: sameSeedButtonWidth, height: sameSeedButtonHeight };
+
       // Restart button
       const buttonY = logicalHeight - 120;
       const buttonWidth = 200;
@@ -1091,16 +2630,50 @@ try {
       ctx.fillStyle = '#FFF';
       ctx.font = 'bold 20px system-ui, -apple-system, sans-serif';
       ctx.textBaseline = 'middle';
-      ctx.fillText('Restart', logicalWidth / 2, buttonY + buttonHeight / 2);
+      ctx.fillText(gameMode === 'puzzle' ? 'Retry' : 'Restart', logicalWidth / 2, buttonY + buttonHeight / 2);
 
       // Store button bounds for click detection
       window.restartButtonBounds = { x: buttonX, y: buttonY, width: buttonWidth, height: buttonHeight };
+
+      // Statistics button (text link below restart)
+      const statsButtonY = buttonY + buttonHeight + 8;
+      const statsButtonHeight = 36;
+
+      ctx.fillStyle = '#AAA';
+      ctx.font = '16px system-ui, -apple-system, sans-serif';
+      ctx.fillText('📊 Statistics', logicalWidth / 2, statsButtonY + statsButtonHeight / 2);
+
+      window.statsButtonBounds = { x: buttonX, y: statsButtonY, width: buttonWidth, height: statsButtonHeight };
     }
 
+    // Describe what was just drawn for screen readers (Zen has no danger countdown)
+    boardMirror.update({
+      balls,
+      width: logicalWidth,
+      height: logicalHeight,
+      word: getSelections().map(({ pointerId }) => getSelectedWord(pointerId)).join(' '),
+      score: scoring.getScore(),
+      words: scoring.getWords().length,
+      danger: gameMode === 'zen' || isGameOver ? null : { active: isDanger, secondsLeft: Math.ceil(timeRemaining / 1000) }
+    }, frameTime);
+
     requestAnimationFrame(draw);
   }
+  startRecording();
   draw();
 
+  // Save the game in progress on the way out (Zen sessions are recorded when the player starts another game)
+  window.addEventListener('pagehide', () => saveGame());
+
+  // Resume a saved game (paused), otherwise pick a mode before the first spawn
+  // (unless the URL already chose a mode or board)
+  const gameToResume = isAwaitingMode && !urlSeed ? savedGame.load() : null;
+  if (gameToResume && restoreSavedGame(gameToResume)) {
+    pauseGame();
+  } else if (isAwaitingMode) {
+    modePicker.show({ seed: urlSeed });
+  }
+
   console.log(`Matter.js physics engine initialized. Spawning ${ballsToSpawn.length} balls...`);
   console.log('Game initialized successfully!');
 } catch (e) {
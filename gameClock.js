@@ -0,0 +1,109 @@
+// gameClock.js - Simulation clock and timers driven by fixed physics steps
+
+/**
+ * Create a game clock that advances only when the simulation steps
+ * Timers run on simulated time, so spawning and danger countdowns are identical
+ * at any frame rate, in replays and in headless simulations
+ * The main loop feeds it real frame times (tick), which it turns into whole fixed steps
+ */
+export function createGameClock(timestep) {
+  let timers = []; // Pending { id, at, interval, callback }
+  let nextTimerId = 1;
+  let lastFrameTime = null; // Real time of the previous frame (ms)
+  let accumulator = 0;      // Real time not yet simulated (ms)
+
+  const clock = {
+    step: 0,   // Steps since reset
+    time: 0,   // Simulated ms since reset
+    timestep,  // ms per step
+    speed: 1,  // Simulated ms per real ms fed to tick (below 1 for slow motion)
+
+    // Run a callback after `delay` ms of simulated time (game-logic replacement for setTimeout)
+    setTimeout(callback, delay, interval = null) {
+      const id = nextTimerId++;
+      timers.push({ id, at: clock.time + delay, interval, callback });
+      return id;
+    },
+
+    // Run a callback every `interval` ms of simulated time (game-logic replacement for setInterval)
+    setInterval(callback, interval) {
+      return clock.setTimeout(callback, interval, interval);
+    },
+
+    // Cancel a timer or interval
+    clear(id) {
+      timers = timers.filter(timer => timer.id !== id);
+    },
+
+    // Advance one step and fire all due timers in (time, creation) order
+    advance() {
+      clock.step++;
+      clock.time += clock.timestep;
+
+      while (true) {
+        let next = null;
+        for (const timer of timers) {
+          if (timer.at > clock.time) continue;
+          if (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id)) {
+            next = timer;
+          }
+        }
+        if (!next) return;
+
+        if (next.interval) {
+          next.at += next.interval;
+        } else {
+          timers.splice(timers.indexOf(next), 1);
+        }
+        next.callback();
+      }
+    },
+
+    /**
+     * Run the fixed steps owed for the real time since the last frame
+     * runStep() simulates one step (and must call advance); returning false stops early (e.g. game over)
+     * After maxSteps the leftover time is dropped instead of fast-forwarded (stalls, background tabs)
+     * Returns the number of steps run
+     */
+    tick(frameTime, runStep, maxSteps = Infinity) {
+      if (lastFrameTime !== null) {
+        accumulator += (frameTime - lastFrameTime) * clock.speed;
+      }
+      lastFrameTime = frameTime;
+
+      let steps = 0;
+      while (accumulator >= clock.timestep && steps < maxSteps) {
+        accumulator -= clock.timestep;
+        steps++;
+        if (runStep() === false) {
+          accumulator = 0;
+          break;
+        }
+      }
+      if (steps === maxSteps) {
+        accumulator = 0;
+      }
+      return steps;
+    },
+
+    // Let a frame pass without simulating (paused, game over, or replays stepping themselves)
+    hold(frameTime) {
+      lastFrameTime = frameTime;
+      accumulator = 0;
+    },
+
+    // Drop all timers and rewind to zero (for game restart)
+    reset() {
+      clock.restore(0, 0);
+    },
+
+    // Drop all timers and continue from a saved time (for resuming a saved game)
+    restore(time, step) {
+      timers = [];
+      clock.step = step;
+      clock.time = time;
+    }
+  };
+
+  return clock;
+}
@@ -0,0 +1,336 @@
+// gameHistory.js - Persistent history of finished games (IndexedDB) and the statistics screen
+
+const DB_NAME = 'letterball';
+const DB_VERSION = 1;
+const GAMES_STORE = 'games';
+const SCORE_BUCKETS = 8;
+const TOP_WORDS_SHOWN = 10;
+
+/**
+ * Open the database, creating or migrating the schema as needed
+ * Each version's upgrade runs in order, so older databases step through every migration
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      const oldVersion = event.oldVersion;
+
+      // v1: one record per finished game, indexed by end date
+      if (oldVersion < 1) {
+        const games = db.createObjectStore(GAMES_STORE, { keyPath: 'id', autoIncrement: true });
+        games.createIndex('date', 'date');
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Wrap an IDBRequest in a promise
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Build a history record for a finished game
+ * words: scoring.words entries ({ word, points, ... })
+ */
+export function createGameRecord({ mode, seed, durationMs, score, words, cause }) {
+  const longestWord = words.reduce((best, w) => (!best || w.word.length > best.word.length ? w : best), null);
+  const bestWord = words.reduce((best, w) => (!best || w.points > best.points ? w : best), null);
+
+  return {
+    date: new Date().toISOString(),
+    mode,
+    seed,
+    durationMs: Math.round(durationMs),
+    score,
+    words: words.map(({ word, points }) => ({ word, points })),
+    longestWord: longestWord ? longestWord.word : null,
+    bestWord: bestWord ? { word: bestWord.word, points: bestWord.points } : null,
+    cause
+  };
+}
+
+/**
+ * Summarize a list of game records for the statistics screen
+ */
+export function calculateStats(games) {
+  const totals = { games: games.length, score: 0, words: 0, durationMs: 0 };
+  const wordCounts = new Map();
+  let bestScore = 0;
+  let longestWord = null;
+  let bestWord = null;
+
+  games.forEach(game => {
+    totals.score += game.score;
+    totals.words += game.words.length;
+    totals.durationMs += game.durationMs;
+    bestScore = Math.max(bestScore, game.score);
+
+    game.words.forEach(({ word }) => {
+      wordCounts.set(word, (wordCounts.get(word) || 0) + 1);
+    });
+    if (game.longestWord && (!longestWord || game.longestWord.length > longestWord.length)) {
+      longestWord = game.longestWord;
+    }
+    if (game.bestWord && (!bestWord || game.bestWord.points > bestWord.points)) {
+      bestWord = game.bestWord;
+    }
+  });
+
+  const count = Math.max(1, games.length);
+  const averages = {
+    score: Math.round(totals.score / count),
+    words: totals.words / count,
+    durationMs: totals.durationMs / count
+  };
+
+  // Score distribution: equal-width buckets from 0 to the best score
+  const bucketSize = Math.max(1, Math.ceil((bestScore + 1) / SCORE_BUCKETS));
+  const distribution = Array.from({ length: SCORE_BUCKETS }, (_, i) => ({
+    min: i * bucketSize,
+    max: (i + 1) * bucketSize - 1,
+    count: 0
+  }));
+  games.forEach(game => {
+    distribution[Math.min(SCORE_BUCKETS - 1, Math.floor(game.score / bucketSize))].count++;
+  });
+
+  const commonWords = [...wordCounts.entries()]
+    .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+    .slice(0, TOP_WORDS_SHOWN)
+    .map(([word, count]) => ({ word, count }));
+
+  return { totals, averages, bestScore, longestWord, bestWord, distribution, commonWords };
+}
+
+class GameHistory {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  // Open the database once (null when IndexedDB is unavailable, e.g. headless or private mode)
+  getDatabase() {
+    if (!this.dbPromise) {
+      if (typeof indexedDB === 'undefined') {
+        this.dbPromise = Promise.resolve(null);
+      } else {
+        this.dbPromise = openDatabase().catch(error => {
+          console.warn('Failed to open game history database:', error);
+          return null;
+        });
+      }
+    }
+    return this.dbPromise;
+  }
+
+  // Store a finished game (from createGameRecord)
+  async saveGame(record) {
+    const db = await this.getDatabase();
+    if (!db) return null;
+
+    try {
+      const store = db.transaction(GAMES_STORE, 'readwrite').objectStore(GAMES_STORE);
+      return await promisify(store.add(record));
+    } catch (error) {
+      console.warn('Failed to save game history:', error);
+      return null;
+    }
+  }
+
+  // All stored games, oldest first
+  async getAllGames() {
+    const db = await this.getDatabase();
+    if (!db) return [];
+
+    try {
+      const store = db.transaction(GAMES_STORE, 'readonly').objectStore(GAMES_STORE);
+      return await promisify(store.index('date').getAll());
+    } catch (error) {
+      console.warn('Failed to load game history:', error);
+      return [];
+    }
+  }
+
+  async getStats() {
+    return calculateStats(await this.getAllGames());
+  }
+}
+
+// Create singleton instance
+export const gameHistory = new GameHistory();
+
+// Format a duration in ms as m:ss
+function formatDuration(ms) {
+  const totalSeconds = Math.round(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Create the statistics screen overlay
+ * Returns { show, hide }
+ */
+export function createStatsPanel() {
+  const overlay = document.createElement('div');
+  Object.assign(overlay.style, {
+    position: 'fixed',
+    inset: '0',
+    background: 'rgba(0, 0, 0, 0.85)',
+    display: 'none',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: '2000',
+    fontFamily: 'system-ui, -apple-system, sans-serif',
+  });
+
+  const panel = document.createElement('div');
+  Object.assign(panel.style, {
+    width: 'min(90vw, 360px)',
+    maxHeight: '80vh',
+    overflowY: 'auto',
+    background: '#1a1a1a',
+    color: '#fff',
+    borderRadius: '12px',
+    padding: '20px',
+    boxSizing: 'border-box',
+  });
+  overlay.appendChild(panel);
+
+  function addSection(text) {
+    const section = document.createElement('div');
+    section.textContent = text;
+    Object.assign(section.style, { fontWeight: 'bold', margin: '16px 0 6px' });
+    panel.appendChild(section);
+  }
+
+  function addRow(label, value) {
+    const row = document.createElement('div');
+    Object.assign(row.style, {
+      display: 'flex',
+      justifyContent: 'space-between',
+      padding: '4px 0',
+      borderBottom: '1px solid #333',
+    });
+
+    const labelEl = document.createElement('span');
+    labelEl.textContent = label;
+    labelEl.style.color = '#aaa';
+    const valueEl = document.createElement('span');
+    valueEl.textContent = value;
+
+    row.appendChild(labelEl);
+    row.appendChild(valueEl);
+    panel.appendChild(row);
+  }
+
+  function addBar(label, count, maxCount) {
+    const row = document.createElement('div');
+    Object.assign(row.style, { display: 'flex', alignItems: 'center', gap: '8px', padding: '2px 0', fontSize: '12px' });
+
+    const labelEl = document.createElement('span');
+    labelEl.textContent = label;
+    Object.assign(labelEl.style, { width: '90px', color: '#aaa', textAlign: 'right' });
+
+    const bar = document.createElement('div');
+    Object.assign(bar.style, {
+      height: '12px',
+      width: `${maxCount > 0 ? (count / maxCount) * 180 : 0}px`,
+      background: '#4CAF50',
+      borderRadius: '2px',
+    });
+
+    const countEl = document.createElement('span');
+    countEl.textContent = count;
+
+    row.appendChild(labelEl);
+    row.appendChild(bar);
+    row.appendChild(countEl);
+    panel.appendChild(row);
+  }
+
+  function render(stats) {
+    panel.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.textContent = '📊 Statistics';
+    Object.assign(title.style, { fontSize: '18px', fontWeight: 'bold', marginBottom: '12px' });
+    panel.appendChild(title);
+
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = 'Close';
+    Object.assign(closeBtn.style, {
+      padding: '10px 16px',
+      background: '#333',
+      color: '#fff',
+      border: 'none',
+      borderRadius: '6px',
+      cursor: 'pointer',
+      fontSize: '16px',
+      fontWeight: 'bold',
+    });
+    closeBtn.addEventListener('click', hide);
+    panel.appendChild(closeBtn);
+
+    if (!stats) {
+      addSection('Loading...');
+      return;
+    }
+    if (stats.totals.games === 0) {
+      addSection('No finished games yet');
+      return;
+    }
+
+    addSection('Totals');
+    addRow('Games played', stats.totals.games);
+    addRow('Words formed', stats.totals.words);
+    addRow('Points scored', stats.totals.score);
+    addRow('Time played', formatDuration(stats.totals.durationMs));
+
+    addSection('Averages');
+    addRow('Score', stats.averages.score);
+    addRow('Words per game', stats.averages.words.toFixed(1));
+    addRow('Game length', formatDuration(stats.averages.durationMs));
+
+    addSection('Records');
+    addRow('Best score', stats.bestScore);
+    addRow('Longest word', stats.longestWord || '—');
+    addRow('Best word', stats.bestWord ? `${stats.bestWord.word} (${stats.bestWord.points})` : '—');
+
+    addSection('Score distribution');
+    const maxCount = Math.max(...stats.distribution.map(bucket => bucket.count));
+    stats.distribution.forEach(bucket => addBar(`${bucket.min}–${bucket.max}`, bucket.count, maxCount));
+
+    addSection('Most common words');
+    if (stats.commonWords.length === 0) {
+      addRow('None yet', '');
+    }
+    stats.commonWords.forEach(({ word, count }) => addRow(word, `×${count}`));
+  }
+
+  async function show() {
+    render(null);
+    overlay.style.display = 'flex';
+    render(await gameHistory.getStats());
+  }
+
+  function hide() {
+    overlay.style.display = 'none';
+  }
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) hide();
+  });
+
+  document.body.appendChild(overlay);
+  return { show, hide };
+}
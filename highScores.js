@@ -0,0 +1,60 @@
+// highScores.js - Per-mode high score tables (kept apart from the survival best in scoring.js)
+
+const STORAGE_KEY = 'letterball_mode_scores';
+const TABLE_SIZE = 10;
+
+class HighScoreTables {
+  constructor() {
+    this.tables = this.load(); // { tableId: [{ score, words, date }] } sorted best first
+  }
+
+  // Entries for a table (e.g. 'blitz-120'), best first
+  getTable(tableId) {
+    return this.tables[tableId] || [];
+  }
+
+  // Best score in a table (0 if empty)
+  getBest(tableId) {
+    const table = this.getTable(tableId);
+    return table.length > 0 ? table[0].score : 0;
+  }
+
+  // Add a finished game - returns its 1-based rank, or null if it didn't make the table
+  addScore(tableId, score, wordCount) {
+    const entry = { score, words: wordCount, date: new Date().toISOString() };
+    const table = [...this.getTable(tableId), entry]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, TABLE_SIZE);
+
+    this.tables[tableId] = table;
+    this.save();
+
+    const rank = table.indexOf(entry);
+    return rank === -1 ? null : rank + 1;
+  }
+
+  load() {
+    if (typeof localStorage === 'undefined') return {}; // Headless (Node)
+
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return saved ? JSON.parse(saved) : {};
+    } catch (e) {
+      console.warn('Failed to load mode high scores:', e);
+      return {};
+    }
+  }
+
+  save() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.tables));
+    } catch (e) {
+      console.warn('Failed to save mode high scores:', e);
+    }
+  }
+}
+
+// Create singleton instance
+export const highScores = new HighScoreTables();
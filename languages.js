@@ -0,0 +1,211 @@
+// languages.js - Language packs: registry, the player's choice and switching the live letter tables
+
+const v = globalThis.__BUILD || Date.now();
+const configModule = await import(`./config.js?v=${v}`);
+const bigramSpawnModule = await import(`./bigramSpawnSystem.js?v=${v}`);
+const { SPAWN_CONFIG } = await import(`./wordSpawnSystem.js?v=${v}`);
+
+const { ALPHABET, LETTER_BAG_DISTRIBUTION, LETTER_VALUES } = configModule;
+const { TARGET_DISTRIBUTION_PCT, BIGRAM_WEIGHTS, BIGRAM_EXTENSIONS, COMMON_DOUBLES, RARE_LETTERS } = bigramSpawnModule;
+
+const STORAGE_KEY = 'letterball_language';
+export const DEFAULT_LANGUAGE_ID = 'en';
+
+// Bundled packs (languages/<id>.js) - add a pack file and list its id here
+const PACK_IDS = ['en', 'pt'];
+
+const packs = await Promise.all(
+  PACK_IDS.map(async id => (await import(`./languages/${id}.js?v=${v}`)).default)
+);
+
+// Every bundled pack ({ ID, NAME, DICTIONARY, ... })
+export function getLanguages() {
+  return packs;
+}
+
+// Pack for an id, or null
+export function getLanguage(id) {
+  return packs.find(pack => pack.ID === id) || null;
+}
+
+// Swap an object's (or Set's) contents in place - other modules hold references to these tables
+function replaceContents(target, source) {
+  if (target instanceof Set) {
+    target.clear();
+    source.forEach(item => target.add(item));
+    return;
+  }
+  Object.keys(target).forEach(key => delete target[key]);
+  Object.assign(target, source);
+}
+
+/**
+ * Make a pack's letter data live for the config, letter bag, scoring and both spawn systems
+ * Takes effect for letters drawn from now on (the bag is refilled when the next game starts)
+ * Returns the pack, or null for an unknown id
+ */
+export function applyLanguage(id) {
+  const pack = getLanguage(id);
+  if (!pack) {
+    console.warn(`Unknown language "${id}"`);
+    return null;
+  }
+
+  ALPHABET.LANGUAGE = pack.ID;
+  ALPHABET.VOWELS = [...pack.VOWELS];
+  ALPHABET.SEMI_VOWELS = { ...pack.SEMI_VOWELS };
+  replaceContents(LETTER_BAG_DISTRIBUTION, pack.LETTER_BAG_DISTRIBUTION);
+  replaceContents(LETTER_VALUES, pack.LETTER_VALUES);
+
+  replaceContents(TARGET_DISTRIBUTION_PCT, pack.TARGET_DISTRIBUTION_PCT);
+  replaceContents(BIGRAM_WEIGHTS, pack.BIGRAM_WEIGHTS);
+  replaceContents(BIGRAM_EXTENSIONS, pack.BIGRAM_EXTENSIONS);
+  replaceContents(COMMON_DOUBLES, pack.COMMON_DOUBLES);
+  replaceContents(RARE_LETTERS, pack.RARE_LETTERS);
+
+  SPAWN_CONFIG.LETTER_WEIGHTS = { ...pack.LETTER_WEIGHTS };
+  SPAWN_CONFIG.CLUSTER_WEIGHTS = { ...pack.CLUSTER_WEIGHTS };
+  SPAWN_CONFIG.CLUSTER_REGIONS = { ...pack.CLUSTER_REGIONS };
+  Object.keys(SPAWN_CONFIG.LETTER_ROLES).forEach(role => {
+    replaceContents(SPAWN_CONFIG.LETTER_ROLES[role], pack.LETTER_ROLES[role] || []);
+  });
+
+  console.log(`Language: ${pack.NAME}`);
+  return pack;
+}
+
+// Chosen language, saved locally
+class LanguageSettings {
+  constructor() {
+    this.selectedId = this.load() || DEFAULT_LANGUAGE_ID;
+  }
+
+  select(id) {
+    this.selectedId = id;
+    this.save();
+  }
+
+  load() {
+    if (typeof localStorage === 'undefined') return null; // Headless (Node)
+
+    try {
+      return localStorage.getItem(STORAGE_KEY);
+    } catch (e) {
+      console.warn('Failed to load language setting:', e);
+      return null;
+    }
+  }
+
+  save() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, this.selectedId);
+    } catch (e) {
+      console.warn('Failed to save language setting:', e);
+    }
+  }
+}
+
+// Create singleton instance
+export const languageSettings = new LanguageSettings();
+
+// Apply the saved language on load in the browser (headless tools stay on English)
+if (typeof window !== 'undefined' && languageSettings.selectedId !== DEFAULT_LANGUAGE_ID) {
+  if (!applyLanguage(languageSettings.selectedId)) {
+    languageSettings.select(DEFAULT_LANGUAGE_ID);
+  }
+}
+
+/**
+ * Create the language picker overlay
+ * onChange(pack) is called after the player picks a language (saved, not yet applied -
+ * the game switches letter tables when its next game starts)
+ * Returns { show, hide }
+ */
+export function createLanguagePanel({ onChange }) {
+  const overlay = document.createElement('div');
+  Object.assign(overlay.style, {
+    position: 'fixed',
+    inset: '0',
+    background: 'rgba(0, 0, 0, 0.85)',
+    display: 'none',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: '2100', // Above the mode picker it is opened from
+    fontFamily: 'system-ui, -apple-system, sans-serif',
+  });
+
+  const panel = document.createElement('div');
+  Object.assign(panel.style, {
+    width: 'min(90vw, 360px)',
+    maxHeight: '80vh',
+    overflowY: 'auto',
+    background: '#1a1a1a',
+    color: '#fff',
+    borderRadius: '12px',
+    padding: '20px',
+    boxSizing: 'border-box',
+  });
+  overlay.appendChild(panel);
+
+  function createButton(label, background) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    Object.assign(button.style, {
+      display: 'block',
+      width: '100%',
+      padding: '12px 16px',
+      marginBottom: '8px',
+      background,
+      color: '#fff',
+      border: 'none',
+      borderRadius: '6px',
+      cursor: 'pointer',
+      fontSize: '16px',
+      fontWeight: 'bold',
+      textAlign: 'left',
+    });
+    panel.appendChild(button);
+    return button;
+  }
+
+  function render() {
+    panel.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.textContent = '🌐 Language';
+    Object.assign(title.style, { fontSize: '18px', fontWeight: 'bold', marginBottom: '12px' });
+    panel.appendChild(title);
+
+    packs.forEach(pack => {
+      const isSelected = pack.ID === languageSettings.selectedId;
+      const button = createButton(`${isSelected ? '✓ ' : ''}${pack.NAME}`, isSelected ? '#2E7D32' : '#333');
+      button.addEventListener('click', () => {
+        languageSettings.select(pack.ID);
+        hide();
+        onChange(pack);
+      });
+    });
+
+    const closeBtn = createButton('Close', '#555');
+    closeBtn.style.textAlign = 'center';
+    closeBtn.addEventListener('click', hide);
+  }
+
+  function show() {
+    render();
+    overlay.style.display = 'flex';
+  }
+
+  function hide() {
+    overlay.style.display = 'none';
+  }
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) hide();
+  });
+
+  document.body.appendChild(overlay);
+  return { show, hide };
+}
@@ -0,0 +1,121 @@
+// languages/en.js - English language pack (SOWPODS word list)
+
+export default {
+  ID: 'en',
+  NAME: 'English',
+  DICTIONARY: 'sowpods', // Bundled word list id (dictionaries.js)
+
+  // ========== Alphabet ==========
+  VOWELS: ['A', 'E', 'I', 'O', 'U'],
+  SEMI_VOWELS: { 'Y': 0.2 }, // Count partly toward the bigram vowel ratio
+  RARE_LETTERS: ['Q', 'X', 'Z', 'J'],
+
+  // ========== Letter Bag Distribution (Optimized for word formation, 100 total) ==========
+  LETTER_BAG_DISTRIBUTION: {
+    // Vowels - 32 total (32%) - reduced from Scrabble's 42% for better word variety
+    'A': 7, 'E': 9, 'I': 7, 'O': 6, 'U': 3,
+    // Common consonants - 44 total (increased for better word formation)
+    'N': 7, 'R': 7, 'T': 7, 'L': 5, 'S': 5, 'D': 5, 'G': 4, 'H': 2, 'Y': 2,
+    // Moderate consonants - 21 total
+    'B': 3, 'C': 3, 'M': 3, 'P': 3, 'F': 2, 'W': 2, 'V': 2, 'K': 1, 'J': 1, 'X': 1,
+    // Rare consonants - 3 total
+    'Q': 1, 'Z': 2
+  },
+
+  // Scrabble tile values (rare letters are worth chasing)
+  LETTER_VALUES: {
+    'A': 1, 'E': 1, 'I': 1, 'O': 1, 'U': 1, 'L': 1, 'N': 1, 'S': 1, 'T': 1, 'R': 1,
+    'D': 2, 'G': 2,
+    'B': 3, 'C': 3, 'M': 3, 'P': 3,
+    'F': 4, 'H': 4, 'V': 4, 'W': 4, 'Y': 4,
+    'K': 5,
+    'J': 8, 'X': 8,
+    'Q': 10, 'Z': 10
+  },
+
+  // ========== Bigram Spawning ==========
+  // Ideal letter percentages based on English letter frequency
+  // These represent what % of the board each letter should occupy
+  TARGET_DISTRIBUTION_PCT: {
+    'E': 12.7, 'T': 9.1, 'A': 8.2, 'O': 7.5, 'I': 7.0, 'N': 6.7, 'S': 6.3, 'H': 6.1, 'R': 6.0,
+    'D': 4.3, 'L': 4.0, 'C': 2.8, 'U': 2.8, 'M': 2.4, 'W': 2.4, 'F': 2.2, 'G': 2.0, 'Y': 2.0,
+    'P': 1.9, 'B': 1.5, 'V': 1.0, 'K': 0.8, 'X': 0.15, 'J': 0.15, 'Q': 0.10, 'Z': 0.07
+  },
+
+  // Ranked list of common bigrams with base weights
+  BIGRAM_WEIGHTS: {
+    // Top tier (weight: 10)
+    'th': 10, 'he': 10, 'in': 10, 'er': 10, 'an': 10,
+    're': 10, 'on': 10, 'at': 10, 'en': 10, 'nd': 10,
+
+    // High tier (weight: 8)
+    'ti': 8, 'es': 8, 'or': 8, 'te': 8, 'of': 8,
+    'ed': 8, 'is': 8, 'it': 8, 'al': 8, 'ar': 8,
+
+    // Mid-high tier (weight: 6)
+    'st': 6, 'to': 6, 'nt': 6, 'ng': 6, 'se': 6,
+    'ha': 6, 'as': 6, 'ou': 6, 'io': 6, 'le': 6,
+
+    // Mid tier (weight: 4)
+    've': 4, 'co': 4, 'me': 4, 'de': 4, 'hi': 4,
+    'ri': 4, 'ro': 4, 'li': 4, 'ni': 4, 'di': 4,
+    'ne': 4, 'ra': 4, 'ce': 4, 'si': 4, 'ch': 4,
+
+    // Common word starters (weight: 5)
+    'pr': 5, 'tr': 5, 'br': 5, 'cr': 5, 'fr': 5,
+    'gr': 5, 'sh': 5, 'wh': 5, 'th': 5,
+
+    // Common endings (weight: 5)
+    'ly': 5, 'er': 5, 'ed': 5, 'ing': 5, 'ion': 5,
+
+    // Less common but useful (weight: 3)
+    'ad': 3, 'ag': 3, 'am': 3, 'ap': 3, 'ay': 3,
+    'ea': 3, 'ee': 3, 'el': 3, 'ic': 3, 'id': 3,
+    'if': 3, 'ig': 3, 'il': 3, 'im': 3, 'om': 3,
+    'op': 3, 'ow': 3, 'oy': 3, 'pe': 3, 'po': 3,
+    'rs': 3, 'rt': 3, 'ss': 3, 'ta': 3, 'ts': 3,
+    'ur': 3, 'us': 3, 'ut': 3, 'wa': 3, 'we': 3
+  },
+
+  // Common extensions for popular bigrams (bonus when the board already has them)
+  BIGRAM_EXTENSIONS: {
+    'th': ['e', 'a', 'i', 'o'],  // the, that, this, tho
+    'er': ['s', 'a', 'e'],        // ers, era, ere
+    'in': ['g', 'e', 's', 't'],   // ing, ine, ins, int
+    'an': ['d', 't', 's', 'g'],   // and, ant, ans, ang
+    're': ['s', 'd', 'a', 'e']    // res, red, rea, ree
+  },
+
+  // Common double letters (for safety penalty reduction)
+  COMMON_DOUBLES: ['ee', 'll', 'ss', 'oo', 'tt', 'ff', 'mm', 'nn'],
+
+  // ========== Word Spawning (wordSpawnSystem.js) ==========
+  // Base letter distribution (infinite weighted bag, ~130 total weight)
+  LETTER_WEIGHTS: {
+    'E': 16, 'A': 11, 'R': 10, 'N': 10, 'T': 9, 'S': 9, 'L': 8, 'I': 8, 'O': 7,
+    'D': 5, 'C': 4, 'U': 4, 'M': 4, 'P': 4, 'G': 3, 'H': 3,
+    'B': 2, 'Y': 2, 'F': 2, 'V': 2,
+    'K': 1, 'W': 1, 'X': 1, 'Q': 1, 'Z': 1
+  },
+
+  // Cluster pool with weights
+  CLUSTER_WEIGHTS: {
+    'TH': 3, 'SH': 3, 'CH': 3, 'ING': 3, 'ER': 3,
+    'ED': 2, 'EST': 2, 'RE': 2, 'UN': 2, 'LY': 2, 'AND': 2, 'ENT': 2,
+    'ION': 1, 'STR': 1
+  },
+
+  // Letter role sets
+  LETTER_ROLES: {
+    STARTERS: ['T', 'S', 'C', 'P', 'B', 'D', 'M', 'F', 'W'],
+    MIDDLES: ['A', 'E', 'I', 'O', 'N', 'R', 'L', 'T'],
+    ENDERS: ['E', 'D', 'S', 'R', 'N', 'T', 'Y']
+  },
+
+  // Cluster region preferences
+  CLUSTER_REGIONS: {
+    LEFT: ['UN', 'RE'],
+    MIDDLE: ['ING', 'AND', 'ENT', 'EST', 'CH', 'SH', 'TH', 'STR'],
+    RIGHT: ['ED', 'ER', 'LY', 'ION']
+  }
+};
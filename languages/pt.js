@@ -0,0 +1,120 @@
+// languages/pt.js - Portuguese language pack (accented letters play as their own balls)
+
+export default {
+  ID: 'pt',
+  NAME: 'Português',
+  DICTIONARY: 'pt-br', // Bundled word list id (dictionaries.js)
+
+  // ========== Alphabet ==========
+  VOWELS: ['A', 'E', 'I', 'O', 'U', 'Á', 'À', 'Â', 'Ã', 'É', 'Ê', 'Í', 'Ó', 'Ô', 'Õ', 'Ú'],
+  SEMI_VOWELS: {},
+  RARE_LETTERS: ['Q', 'X', 'Z', 'J'],
+
+  // ========== Letter Bag Distribution (100 total) ==========
+  // Only the common accented letters get balls; the rest are reachable through wildcards
+  LETTER_BAG_DISTRIBUTION: {
+    // Vowels - 36 total
+    'A': 10, 'E': 9, 'I': 5, 'O': 8, 'U': 4,
+    // Accented letters - 9 total (ção, não, você, é, já, só, país)
+    'Ã': 2, 'Ç': 2, 'É': 1, 'Ê': 1, 'Á': 1, 'Ó': 1, 'Í': 1,
+    // Common consonants - 45 total
+    'S': 7, 'R': 6, 'M': 5, 'T': 5, 'D': 5, 'N': 4, 'C': 4, 'L': 4, 'P': 3, 'G': 2,
+    // Moderate consonants - 7 total
+    'B': 2, 'V': 2, 'F': 1, 'H': 1, 'Q': 1,
+    // Rare consonants - 3 total
+    'J': 1, 'X': 1, 'Z': 1
+  },
+
+  // Portuguese Scrabble tile values (accented letters priced by rarity)
+  LETTER_VALUES: {
+    'A': 1, 'E': 1, 'I': 1, 'O': 1, 'S': 1, 'U': 1, 'M': 1, 'R': 1, 'T': 1,
+    'D': 2, 'L': 2, 'C': 2, 'P': 2,
+    'N': 3, 'B': 3, 'Ç': 3, 'Ã': 3, 'É': 3, 'Á': 3, 'Ó': 3,
+    'F': 4, 'G': 4, 'H': 4, 'V': 4, 'Ê': 4, 'Í': 4, 'Ú': 4,
+    'J': 5, 'Â': 5, 'Ô': 5, 'Õ': 5, 'À': 5,
+    'Q': 6,
+    'X': 8, 'Z': 8,
+    'K': 10, 'W': 10, 'Y': 10
+  },
+
+  // ========== Bigram Spawning ==========
+  // Ideal letter percentages based on Portuguese letter frequency
+  TARGET_DISTRIBUTION_PCT: {
+    'A': 13.0, 'E': 11.5, 'O': 10.0, 'S': 7.8, 'R': 6.5, 'I': 6.0, 'N': 5.0, 'D': 5.0, 'M': 4.7,
+    'U': 4.5, 'T': 4.3, 'C': 3.9, 'L': 2.8, 'P': 2.5, 'V': 1.7, 'G': 1.3, 'H': 1.2, 'Q': 1.1,
+    'B': 1.0, 'F': 1.0, 'Ã': 0.7, 'Ç': 0.5, 'Z': 0.5, 'Ê': 0.45, 'J': 0.4, 'É': 0.35,
+    'Ó': 0.3, 'Á': 0.3, 'Í': 0.2, 'X': 0.2
+  },
+
+  // Ranked list of common bigrams with base weights
+  BIGRAM_WEIGHTS: {
+    // Top tier (weight: 10)
+    'de': 10, 'es': 10, 'os': 10, 'ra': 10, 're': 10,
+    'ar': 10, 'en': 10, 'er': 10, 'nt': 10, 'do': 10,
+
+    // High tier (weight: 8)
+    'co': 8, 'ta': 8, 'ad': 8, 'as': 8, 'te': 8,
+    'se': 8, 'qu': 8, 'on': 8, 'or': 8, 'em': 8,
+
+    // Mid-high tier (weight: 6)
+    'an': 6, 'da': 6, 'ma': 6, 'me': 6, 'ca': 6,
+    'st': 6, 'to': 6, 'ue': 6, 'ei': 6, 'ri': 6,
+
+    // Mid tier (weight: 4)
+    'pa': 4, 'pr': 4, 'ia': 4, 'ic': 4, 'al': 4,
+    'ro': 4, 'ou': 4, 'na': 4, 'ne': 4, 'in': 4,
+    'is': 4, 'sa': 4, 'ti': 4, 'tr': 4, 'no': 4,
+
+    // Accented endings and digraphs (weight: 5)
+    'ção': 5, 'ão': 5, 'nh': 5, 'lh': 5, 'ch': 5,
+
+    // Less common but useful (weight: 3)
+    've': 3, 'ci': 3, 'so': 3, 'ns': 3, 'am': 3,
+    'mo': 3, 'om': 3, 'ho': 3, 'ha': 3, 'po': 3,
+    'pe': 3, 'vi': 3, 'va': 3, 'la': 3, 'li': 3,
+    'lo': 3, 'ss': 3, 'rr': 3, 'ga': 3, 'go': 3,
+    'ba': 3, 'fi': 3, 'mã': 3, 'sé': 3, 'já': 3
+  },
+
+  // Common extensions for popular bigrams (bonus when the board already has them)
+  BIGRAM_EXTENSIONS: {
+    'de': ['s', 'r', 'i'],        // des, der, dei
+    'qu': ['e', 'a', 'i', 'o'],   // que, qua, qui, quo
+    'ão': ['s'],                  // ãos
+    'ra': ['s', 'r', 'm'],        // ras, rar, ram
+    'en': ['t', 'd', 's']         // ent, end, ens
+  },
+
+  // Common double letters (for safety penalty reduction)
+  COMMON_DOUBLES: ['ss', 'rr', 'ee', 'oo'],
+
+  // ========== Word Spawning (wordSpawnSystem.js) ==========
+  // Base letter distribution (infinite weighted bag, ~140 total weight)
+  LETTER_WEIGHTS: {
+    'A': 18, 'E': 16, 'O': 14, 'S': 10, 'R': 9, 'I': 8, 'N': 7, 'D': 7, 'M': 7,
+    'T': 6, 'U': 6, 'C': 6, 'L': 4, 'P': 4,
+    'V': 2, 'G': 2, 'B': 2, 'Q': 2, 'H': 2, 'F': 2,
+    'Ã': 1, 'Ç': 1, 'É': 1, 'Ê': 1, 'Z': 1, 'J': 1, 'X': 1
+  },
+
+  // Cluster pool with weights
+  CLUSTER_WEIGHTS: {
+    'QU': 3, 'ÇÃO': 3, 'NH': 3, 'LH': 3, 'DE': 3,
+    'CH': 2, 'ES': 2, 'OS': 2, 'ADO': 2, 'RE': 2, 'EM': 2, 'ENT': 2,
+    'DES': 1, 'STR': 1
+  },
+
+  // Letter role sets
+  LETTER_ROLES: {
+    STARTERS: ['P', 'C', 'D', 'M', 'T', 'B', 'V', 'F', 'Q'],
+    MIDDLES: ['A', 'E', 'I', 'O', 'N', 'R', 'L', 'T'],
+    ENDERS: ['A', 'O', 'S', 'R', 'M', 'E', 'Ã']
+  },
+
+  // Cluster region preferences
+  CLUSTER_REGIONS: {
+    LEFT: ['DES', 'RE', 'QU'],
+    MIDDLE: ['NH', 'LH', 'CH', 'STR', 'ENT', 'DE'],
+    RIGHT: ['ÇÃO', 'ADO', 'ES', 'OS', 'EM']
+  }
+};
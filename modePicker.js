@@ -0,0 +1,228 @@
+// modePicker.js - Game mode selection overlay (shown before the first spawn)
+
+const v = globalThis.__BUILD || Date.now();
+const { BLITZ } = await import(`./config.js?v=${v}`);
+const { highScores } = await import(`./highScores.js?v=${v}`);
+const { dictionarySettings, getDictionary } = await import(`./dictionaries.js?v=${v}`);
+const { languageSettings, getLanguage } = await import(`./languages.js?v=${v}`);
+const { seedFromInput } = await import(`./random.js?v=${v}`);
+
+const TABLE_ROWS_SHOWN = 5;
+
+// High score table id for Zen sessions
+export const ZEN_TABLE_ID = 'zen';
+
+// High score table id for a Blitz duration
+export function getBlitzTableId(durationMs) {
+  return `blitz-${Math.round(durationMs / 1000)}`;
+}
+
+/**
+ * Create the mode picker overlay
+ * onSelect(mode, options) is called with 'survival', 'daily', 'puzzle', 'zen' or 'blitz' ({ durationMs }),
+ * plus { seed } when the player entered one (daily and puzzle boards ignore it)
+ * onLanguage(), onDictionary() and onSettings() open the language and word list pickers and
+ * the settings panel (buttons shown when given)
+ * Returns { show, hide } - show({ cancellable }) allows closing without picking, show({ seed }) fills in the seed field
+ */
+export function createModePicker({ onSelect, onLanguage = null, onDictionary = null, onSettings = null }) {
+  const overlay = document.createElement('div');
+  Object.assign(overlay.style, {
+    position: 'fixed',
+    inset: '0',
+    background: 'rgba(0, 0, 0, 0.85)',
+    display: 'none',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: '2000',
+    fontFamily: 'system-ui, -apple-system, sans-serif',
+  });
+
+  const panel = document.createElement('div');
+  Object.assign(panel.style, {
+    width: 'min(90vw, 360px)',
+    maxHeight: '80vh',
+    overflowY: 'auto',
+    background: '#1a1a1a',
+    color: '#fff',
+    borderRadius: '12px',
+    padding: '20px',
+    boxSizing: 'border-box',
+  });
+  overlay.appendChild(panel);
+
+  let isCancellable = false;
+  let seedText = ''; // Seed field contents (kept across re-renders)
+  let seedInput = null;
+  let seedError = null; // Message under the seed field when it holds no usable seed
+
+  function createButton(label, background) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    Object.assign(button.style, {
+      display: 'block',
+      width: '100%',
+      padding: '12px 16px',
+      marginBottom: '8px',
+      background,
+      color: '#fff',
+      border: 'none',
+      borderRadius: '6px',
+      cursor: 'pointer',
+      fontSize: '16px',
+      fontWeight: 'bold',
+      textAlign: 'left',
+    });
+    return button;
+  }
+
+  function addText(text, style = {}) {
+    const el = document.createElement('div');
+    el.textContent = text;
+    Object.assign(el.style, { color: '#aaa', fontSize: '13px', marginBottom: '12px' }, style);
+    panel.appendChild(el);
+    return el;
+  }
+
+  function addMode(label, description, background, mode, options = {}) {
+    const button = createButton(label, background);
+    button.addEventListener('click', () => {
+      const seed = seedFromInput(seedText);
+      if (!seed && seedText.trim()) {
+        showSeedError('That link has no seed in it - paste a shared board link, or type the seed.');
+        return;
+      }
+      seedText = '';
+      hide();
+      onSelect(mode, seed ? { ...options, seed } : options);
+    });
+    panel.appendChild(button);
+    addText(description);
+  }
+
+  // Point out a seed field that can't be played (the picker stays open)
+  function showSeedError(message) {
+    seedError.textContent = message;
+    seedError.style.display = 'block';
+    seedInput.style.borderColor = '#F44336';
+    seedInput.setAttribute('aria-invalid', 'true');
+  }
+
+  function render() {
+    panel.innerHTML = '';
+
+    addText('Choose a mode', { color: '#fff', fontSize: '18px', fontWeight: 'bold' });
+
+    // Seed field - type or paste a shared seed (or link) to play the same board
+    seedInput = document.createElement('input');
+    seedInput.type = 'text';
+    seedInput.value = seedText;
+    seedInput.placeholder = 'Board seed (blank for a new board)';
+    seedInput.setAttribute('aria-label', 'Board seed');
+    seedInput.autocomplete = 'off';
+    seedInput.spellcheck = false;
+    Object.assign(seedInput.style, {
+      display: 'block',
+      width: '100%',
+      padding: '10px 12px',
+      marginBottom: '4px',
+      background: '#222',
+      color: '#fff',
+      border: '1px solid #444',
+      borderRadius: '6px',
+      fontSize: '16px',
+      boxSizing: 'border-box',
+    });
+    seedInput.addEventListener('input', () => {
+      seedText = seedInput.value;
+      seedError.style.display = 'none';
+      seedInput.style.borderColor = '#444';
+      seedInput.removeAttribute('aria-invalid');
+    });
+    panel.appendChild(seedInput);
+    seedError = addText('', { color: '#F44336', display: 'none', marginBottom: '4px' });
+    seedError.setAttribute('role', 'alert');
+    addText('Paste a seed or shared link to play the same board in Survival, Zen or Blitz.');
+
+    addMode('🫧 Survival', 'Play until the balls stay over the danger line.', '#4CAF50', 'survival');
+    addMode('📅 Daily Challenge', 'Same board for everyone, one scored attempt per day.', '#2196F3', 'daily');
+    addMode('🧩 Puzzles', 'Hand-made boards with goals. Earn up to three stars per level.', '#00897B', 'puzzle');
+    addMode('🧘 Zen', `No game over - hunt long words at your own pace. Best: ${highScores.getBest(ZEN_TABLE_ID)}`, '#9C27B0', 'zen');
+
+    BLITZ.DURATIONS.forEach(durationMs => {
+      const minutes = durationMs / 60000;
+      const tableId = getBlitzTableId(durationMs);
+      addMode(`⏱ Blitz ${minutes} min`, `Score as much as you can before time runs out. Best: ${highScores.getBest(tableId)}`, '#FF9800', 'blitz', { durationMs });
+
+      // Blitz high score table
+      highScores.getTable(tableId).slice(0, TABLE_ROWS_SHOWN).forEach((entry, index) => {
+        const row = document.createElement('div');
+        Object.assign(row.style, {
+          display: 'flex',
+          justifyContent: 'space-between',
+          padding: '2px 8px',
+          fontSize: '13px',
+          color: '#ccc',
+        });
+
+        const rankEl = document.createElement('span');
+        rankEl.textContent = `${index + 1}. ${entry.date.slice(0, 10)}`;
+        const scoreEl = document.createElement('span');
+        scoreEl.textContent = `${entry.score} (${entry.words} words)`;
+
+        row.appendChild(rankEl);
+        row.appendChild(scoreEl);
+        panel.appendChild(row);
+      });
+      addText('', { marginBottom: '8px' });
+    });
+
+    if (onLanguage) {
+      const language = getLanguage(languageSettings.selectedId);
+      const languageBtn = createButton(`🌐 Language: ${language ? language.NAME : languageSettings.selectedId}`, '#455A64');
+      languageBtn.style.fontSize = '14px';
+      languageBtn.addEventListener('click', onLanguage);
+      panel.appendChild(languageBtn);
+    }
+
+    if (onDictionary) {
+      const dictionary = getDictionary(dictionarySettings.selectedId);
+      const dictionaryBtn = createButton(`📖 Word list: ${dictionary ? dictionary.name : dictionarySettings.selectedId}`, '#455A64');
+      dictionaryBtn.style.fontSize = '14px';
+      dictionaryBtn.addEventListener('click', onDictionary);
+      panel.appendChild(dictionaryBtn);
+    }
+
+    if (onSettings) {
+      const settingsBtn = createButton('⚙ Settings', '#455A64');
+      settingsBtn.style.fontSize = '14px';
+      settingsBtn.addEventListener('click', onSettings);
+      panel.appendChild(settingsBtn);
+    }
+
+    if (isCancellable) {
+      const cancelBtn = createButton('Cancel', '#333');
+      cancelBtn.style.textAlign = 'center';
+      cancelBtn.addEventListener('click', hide);
+      panel.appendChild(cancelBtn);
+    }
+  }
+
+  function show({ cancellable = isCancellable, seed = null } = {}) {
+    isCancellable = cancellable;
+    if (seed) seedText = seed;
+    render();
+    overlay.style.display = 'flex';
+  }
+
+  function hide() {
+    overlay.style.display = 'none';
+  }
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay && isCancellable) hide();
+  });
+
+  document.body.appendChild(overlay);
+  return { show, hide };
+}
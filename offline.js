@@ -0,0 +1,147 @@
+// offline.js - Service worker registration and the "update available" prompt
+
+const SERVICE_WORKER_URL = './sw.js';
+const VERSION_URL = './version.txt';
+
+/**
+ * Register the service worker for the running build and watch for newer ones
+ * A newer version.txt on the server installs that build's worker in the background;
+ * once it is ready onUpdate(reload) is called - reload() switches to it and reloads the page
+ * Does nothing headless, on insecure origins or without a version.txt build number
+ */
+export async function initOffline({ onUpdate }) {
+  const build = globalThis.__BUILD;
+  if (!build || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+  // Keep an existing registration: registering this build's URL again would replace a
+  // newer worker that is already waiting
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.getRegistration()
+      || await navigator.serviceWorker.register(`${SERVICE_WORKER_URL}?v=${encodeURIComponent(build)}`);
+  } catch (error) {
+    console.warn('Service worker registration failed:', error);
+    return;
+  }
+
+  let isReloading = false;
+  const reload = () => {
+    if (!registration.waiting) {
+      location.reload();
+      return;
+    }
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (isReloading) return;
+      isReloading = true;
+      location.reload();
+    });
+    registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+  };
+
+  // Only offer updates once a worker already serves this page (the first install just caches)
+  const notifyWhenInstalled = (worker) => {
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        onUpdate(reload);
+      }
+    });
+  };
+
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    onUpdate(reload);
+  }
+  if (registration.installing) {
+    notifyWhenInstalled(registration.installing);
+  }
+  registration.addEventListener('updatefound', () => notifyWhenInstalled(registration.installing));
+
+  // The worker answers version.txt from its own cache, so ask the server directly
+  const checkForUpdate = async () => {
+    try {
+      const response = await fetch(`${VERSION_URL}?check=${Date.now()}`, { cache: 'no-store' });
+      if (!response.ok) return;
+      const latest = (await response.text()).trim();
+      const newest = registration.installing || registration.waiting || registration.active;
+      const newestBuild = newest ? new URL(newest.scriptURL).searchParams.get('v') : build;
+      if (latest && latest !== build && latest !== newestBuild) {
+        await navigator.serviceWorker.register(`${SERVICE_WORKER_URL}?v=${encodeURIComponent(latest)}`);
+      }
+    } catch (error) {
+      // Offline - keep playing the cached build
+    }
+  };
+
+  checkForUpdate();
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') checkForUpdate();
+  });
+}
+
+/**
+ * Create the "update available" bar
+ * Returns { show(reload), hide } - the bar's Reload button calls reload()
+ */
+export function createUpdatePrompt() {
+  const bar = document.createElement('div');
+  Object.assign(bar.style, {
+    position: 'fixed',
+    top: '12px',
+    left: '50%',
+    transform: 'translateX(-50%)',
+    display: 'none',
+    alignItems: 'center',
+    gap: '10px',
+    padding: '8px 12px',
+    background: '#1a1a1a',
+    color: '#fff',
+    borderRadius: '8px',
+    boxShadow: '0 2px 8px rgba(0, 0, 0, 0.5)',
+    zIndex: '2200', // Above the mode picker and its panels
+    fontFamily: 'system-ui, -apple-system, sans-serif',
+    fontSize: '14px',
+    whiteSpace: 'nowrap',
+  });
+
+  const label = document.createElement('span');
+  label.textContent = 'Update available';
+  bar.appendChild(label);
+
+  const buttonStyle = {
+    padding: '6px 10px',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '13px',
+  };
+
+  const reloadBtn = document.createElement('button');
+  reloadBtn.textContent = 'Reload';
+  Object.assign(reloadBtn.style, buttonStyle, { background: '#2196F3', fontWeight: 'bold' });
+  bar.appendChild(reloadBtn);
+
+  const laterBtn = document.createElement('button');
+  laterBtn.textContent = 'Later';
+  Object.assign(laterBtn.style, buttonStyle, { background: '#333' });
+  bar.appendChild(laterBtn);
+
+  let onReload = null;
+  reloadBtn.addEventListener('click', () => {
+    reloadBtn.disabled = true;
+    reloadBtn.textContent = 'Reloading...';
+    if (onReload) onReload();
+  });
+  laterBtn.addEventListener('click', hide);
+
+  function show(reload) {
+    onReload = reload;
+    bar.style.display = 'flex';
+  }
+
+  function hide() {
+    bar.style.display = 'none';
+  }
+
+  document.body.appendChild(bar);
+  return { show, hide };
+}
@@ -1,8 +1,11 @@
 // physics.js - Matter.js physics engine setup and management
 
-const v = window.__BUILD || Date.now();
+const v = globalThis.__BUILD || Date.now();
 const { PHYSICS, BALL } = await import(`./config.js?v=${v}`);
 
+// Matter.js comes from the page's <script> tag in the browser, or the matter-js package in Node
+const Matter = globalThis.Matter ?? (await import('matter-js')).default;
+
 // Matter.js module aliases
 const Engine = Matter.Engine;
 const World = Matter.World;
@@ -14,6 +17,14 @@ export const engine = Engine.create({
   gravity: { x: 0, y: PHYSICS.GRAVITY }
 });
 
+// Remove every body and reset collision state (for headless simulations running many games)
+export function resetEngine() {
+  World.clear(engine.world, false);
+  Engine.clear(engine);
+  engine.gravity.x = 0;
+  engine.gravity.y = PHYSICS.GRAVITY;
+}
+
 // Gyroscope integration for dynamic gravity
 let gyroscopeEnabled = false;
 let gyroscopePermissionGranted = false;
@@ -21,7 +32,7 @@ let gyroscopePermissionGranted = false;
 // Initialize gyroscope (request permission for iOS 13+)
 export async function initGyroscope() {
   // Check if DeviceOrientation API is available
-  if (!window.DeviceOrientationEvent) {
+  if (typeof window === 'undefined' || !window.DeviceOrientationEvent) {
     console.warn('DeviceOrientation API not supported');
     return false;
   }
@@ -119,7 +130,7 @@ function handleOrientation(event) {
 // Get gyroscope status
 export function getGyroscopeStatus() {
   return {
-    available: typeof window.DeviceOrientationEvent !== 'undefined',
+    available: typeof window !== 'undefined' && typeof window.DeviceOrientationEvent !== 'undefined',
     enabled: gyroscopeEnabled,
     permissionGranted: gyroscopePermissionGranted
   };
@@ -188,8 +199,8 @@ export function createPhysicsInterface(balls, walls) {
   };
 }
 
-// Update physics engine
-export function updatePhysics(delta = 1000 / 60) {
+// Update physics engine (one fixed step - callers accumulate frame time)
+export function updatePhysics(delta = PHYSICS.TIMESTEP) {
   Engine.update(engine, delta);
 }
 
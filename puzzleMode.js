@@ -0,0 +1,311 @@
+// puzzleMode.js - Hand-authored puzzle levels: loading, goals, stars and progress
+
+const v = globalThis.__BUILD || Date.now();
+const { SPECIAL_BALLS } = await import(`./config.js?v=${v}`);
+
+const STORAGE_KEY = 'letterball_puzzles';
+const LEVELS_DIR = './levels';
+const GOAL_TYPES = ['clear', 'words', 'score'];
+
+/*
+ * Level file format (levels/<id>.json, listed in levels/index.json):
+ * {
+ *   "id": "01-warm-up",
+ *   "name": "Warm Up",
+ *   "spawning": false,                 // Continuous spawning on/off
+ *   "balls": [                         // x, y are fractions of the board (0-1)
+ *     { "letter": "C", "x": 0.3, "y": 0.9 },
+ *     { "letter": "A", "x": 0.5, "y": 0.9, "static": true, "special": "DOUBLE_LETTER" }
+ *   ],
+ *   "goal": { "type": "clear" }        // or { "type": "words", "words": ["CAT"] }
+ *                                      // or { "type": "score", "score": 5000 }
+ *                                      // any goal may add "moves": 10 (words + deletes)
+ *   "stars": [1500, 3000]              // Score for 2 and 3 stars (completing earns 1)
+ * }
+ */
+
+/**
+ * Validate a parsed level file and fill in defaults
+ * Throws an Error describing the first problem found
+ */
+export function parseLevel(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Level must be a JSON object');
+  }
+  if (!data.id || !Array.isArray(data.balls) || data.balls.length === 0) {
+    throw new Error('Level needs an id and at least one ball');
+  }
+
+  data.balls.forEach((ball, i) => {
+    if (typeof ball.letter !== 'string' || ball.letter.length !== 1) {
+      throw new Error(`Ball ${i} needs a single letter`);
+    }
+    if (!(ball.x >= 0 && ball.x <= 1 && ball.y >= 0 && ball.y <= 1)) {
+      throw new Error(`Ball ${i} position must be between 0 and 1`);
+    }
+    if (ball.special && !SPECIAL_BALLS.TYPES[ball.special]) {
+      throw new Error(`Ball ${i} has unknown special "${ball.special}"`);
+    }
+  });
+
+  const goal = data.goal || { type: 'clear' };
+  if (!GOAL_TYPES.includes(goal.type)) {
+    throw new Error(`Unknown goal type "${goal.type}"`);
+  }
+  if (goal.type === 'words' && !(Array.isArray(goal.words) && goal.words.length > 0)) {
+    throw new Error('Words goal needs a list of words');
+  }
+  if (goal.type === 'score' && !(goal.score > 0)) {
+    throw new Error('Score goal needs a target score');
+  }
+
+  return {
+    id: String(data.id),
+    name: data.name || String(data.id),
+    spawning: Boolean(data.spawning),
+    balls: data.balls.map(ball => ({ ...ball, letter: ball.letter.toUpperCase() })),
+    goal: {
+      ...goal,
+      words: goal.type === 'words' ? goal.words.map(word => word.toUpperCase()) : undefined
+    },
+    stars: Array.isArray(data.stars) ? data.stars : []
+  };
+}
+
+// Load the list of levels ({ id, name, file })
+export async function loadLevelIndex() {
+  const response = await fetch(`${LEVELS_DIR}/index.json`);
+  if (!response.ok) {
+    throw new Error(`Failed to load level list: ${response.status}`);
+  }
+  return (await response.json()).levels;
+}
+
+// Load and validate one level file
+export async function loadLevel(file) {
+  const response = await fetch(`${LEVELS_DIR}/${file}`);
+  if (!response.ok) {
+    throw new Error(`Failed to load level ${file}: ${response.status}`);
+  }
+  return parseLevel(await response.json());
+}
+
+/**
+ * Check a level's goal against the current play state
+ * state: { score, moves, foundWords (Set), ballsLeft }
+ * Returns 'complete', 'failed' or 'playing'
+ */
+export function evaluateGoal(level, state) {
+  const { goal } = level;
+  let isComplete = false;
+
+  if (goal.type === 'clear') {
+    isComplete = state.ballsLeft === 0;
+  } else if (goal.type === 'words') {
+    isComplete = goal.words.every(word => state.foundWords.has(word));
+  } else if (goal.type === 'score') {
+    isComplete = state.score >= goal.score;
+  }
+
+  if (isComplete) return 'complete';
+  if (goal.moves && state.moves >= goal.moves) return 'failed';
+  return 'playing';
+}
+
+// Short progress text for the HUD
+export function describeGoal(level, state) {
+  const { goal } = level;
+  let text = '';
+
+  if (goal.type === 'clear') {
+    text = `Clear the board · ${state.ballsLeft} left`;
+  } else if (goal.type === 'words') {
+    text = goal.words.map(word => (state.foundWords.has(word) ? `✓${word}` : word)).join(' ');
+  } else if (goal.type === 'score') {
+    text = `Score ${state.score}/${goal.score}`;
+  }
+
+  if (goal.moves) {
+    text += ` · ${Math.max(0, goal.moves - state.moves)} moves`;
+  }
+  return text;
+}
+
+// Stars for a completed level (1 for completing, more for the level's score thresholds)
+export function calculateStars(level, score) {
+  return 1 + level.stars.filter(threshold => score >= threshold).length;
+}
+
+// Completion and best stars per level, saved locally
+class PuzzleProgress {
+  constructor() {
+    this.levels = this.load(); // { levelId: { completed, stars, bestScore } }
+  }
+
+  get(levelId) {
+    return this.levels[levelId] || null;
+  }
+
+  // Record a completed level (keeps the best stars and score)
+  recordCompletion(levelId, stars, score) {
+    const previous = this.levels[levelId] || { completed: false, stars: 0, bestScore: 0 };
+    this.levels[levelId] = {
+      completed: true,
+      stars: Math.max(previous.stars, stars),
+      bestScore: Math.max(previous.bestScore, score)
+    };
+    this.save();
+  }
+
+  load() {
+    if (typeof localStorage === 'undefined') return {}; // Headless (Node)
+
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return saved ? JSON.parse(saved) : {};
+    } catch (e) {
+      console.warn('Failed to load puzzle progress:', e);
+      return {};
+    }
+  }
+
+  save() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.levels));
+    } catch (e) {
+      console.warn('Failed to save puzzle progress:', e);
+    }
+  }
+}
+
+// Create singleton instance
+export const puzzleProgress = new PuzzleProgress();
+
+// Star string for a rating (e.g. ★★☆)
+export function formatStars(stars) {
+  return '★'.repeat(stars) + '☆'.repeat(Math.max(0, 3 - stars));
+}
+
+/**
+ * Create the level select overlay
+ * onSelect(level) is called with the loaded, validated level
+ * Returns { show, hide }
+ */
+export function createLevelSelect({ onSelect }) {
+  const overlay = document.createElement('div');
+  Object.assign(overlay.style, {
+    position: 'fixed',
+    inset: '0',
+    background: 'rgba(0, 0, 0, 0.85)',
+    display: 'none',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: '2000',
+    fontFamily: 'system-ui, -apple-system, sans-serif',
+  });
+
+  const panel = document.createElement('div');
+  Object.assign(panel.style, {
+    width: 'min(90vw, 360px)',
+    maxHeight: '80vh',
+    overflowY: 'auto',
+    background: '#1a1a1a',
+    color: '#fff',
+    borderRadius: '12px',
+    padding: '20px',
+    boxSizing: 'border-box',
+  });
+  overlay.appendChild(panel);
+
+  function addText(text, style = {}) {
+    const el = document.createElement('div');
+    el.textContent = text;
+    Object.assign(el.style, { color: '#aaa', marginBottom: '12px' }, style);
+    panel.appendChild(el);
+    return el;
+  }
+
+  function createButton(label, background) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    Object.assign(button.style, {
+      display: 'flex',
+      justifyContent: 'space-between',
+      width: '100%',
+      padding: '12px 16px',
+      marginBottom: '8px',
+      background,
+      color: '#fff',
+      border: 'none',
+      borderRadius: '6px',
+      cursor: 'pointer',
+      fontSize: '16px',
+      fontWeight: 'bold',
+    });
+    return button;
+  }
+
+  async function selectLevel(entry) {
+    try {
+      const level = await loadLevel(entry.file);
+      hide();
+      onSelect(level);
+    } catch (error) {
+      console.error('Failed to load level:', error);
+      alert(`Could not load level: ${error.message}`);
+    }
+  }
+
+  function render(levels) {
+    panel.innerHTML = '';
+    addText('🧩 Puzzles', { color: '#fff', fontSize: '18px', fontWeight: 'bold' });
+
+    levels.forEach((entry, index) => {
+      const progress = puzzleProgress.get(entry.id);
+      const button = createButton('', progress ? '#2E7D32' : '#333');
+
+      const nameEl = document.createElement('span');
+      nameEl.textContent = `${index + 1}. ${entry.name}`;
+      const starsEl = document.createElement('span');
+      starsEl.textContent = formatStars(progress ? progress.stars : 0);
+      starsEl.style.color = '#FFD54F';
+
+      button.appendChild(nameEl);
+      button.appendChild(starsEl);
+      button.addEventListener('click', () => selectLevel(entry));
+      panel.appendChild(button);
+    });
+
+    const closeBtn = createButton('Close', '#555');
+    closeBtn.style.justifyContent = 'center';
+    closeBtn.addEventListener('click', hide);
+    panel.appendChild(closeBtn);
+  }
+
+  async function show() {
+    panel.innerHTML = '';
+    addText('Loading levels...');
+    overlay.style.display = 'flex';
+
+    try {
+      render(await loadLevelIndex());
+    } catch (error) {
+      console.error('Failed to load levels:', error);
+      panel.innerHTML = '';
+      addText(`Could not load levels: ${error.message}`);
+    }
+  }
+
+  function hide() {
+    overlay.style.display = 'none';
+  }
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) hide();
+  });
+
+  document.body.appendChild(overlay);
+  return { show, hide };
+}
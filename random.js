@@ -0,0 +1,120 @@
+// random.js - Seeded pseudo-random number generation for reproducible games
+
+// Alphabet for generated seeds (no 0/O or 1/I to keep shared seeds readable)
+const SEED_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const SEED_LENGTH = 6;
+
+/**
+ * Hash an arbitrary string into a 32-bit unsigned integer (xmur3 finalizer)
+ */
+export function hashSeed(seed) {
+  const str = String(seed);
+  let h = 1779033703 ^ str.length;
+
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Create a seeded random function (mulberry32)
+ * Drop-in replacement for Math.random: returns a float in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  const random = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  random.seed = String(seed);
+  random.getState = () => state; // For saving an in-progress game
+  random.setState = (saved) => {
+    state = saved >>> 0;
+  };
+  return random;
+}
+
+/**
+ * Generate a fresh, human-friendly seed (the only unseeded randomness in the game)
+ */
+export function randomSeed() {
+  let seed = '';
+  for (let i = 0; i < SEED_LENGTH; i++) {
+    seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+  }
+  return seed;
+}
+
+/**
+ * Normalize user-provided seeds so "abc12 " and "ABC12" give the same board
+ */
+export function normalizeSeed(seed) {
+  if (seed === null || seed === undefined) return null;
+  const normalized = String(seed).trim().toUpperCase();
+  return normalized.length > 0 ? normalized : null;
+}
+
+/**
+ * Read a seed typed or pasted by the player - the seed itself or a shared link (?seed=)
+ * Returns null for blank text, or for a link without a seed (there is no board to replay)
+ */
+export function seedFromInput(text) {
+  const trimmed = String(text ?? '').trim();
+  if (!/^https?:\/\//i.test(trimmed)) return normalizeSeed(trimmed);
+
+  try {
+    return normalizeSeed(new URL(trimmed).searchParams.get('seed'));
+  } catch (e) {
+    return null; // Not a usable link
+  }
+}
+
+// Streams in a game session (see createSessionRandom)
+const SESSION_STREAMS = ['bag', 'letters', 'spawn', 'specials'];
+
+/**
+ * Create the independent random streams used by one game session
+ * Separate streams keep the letter sequence stable even if spawn retries
+ * consume a different amount of positional randomness
+ */
+export function createSessionRandom(seed) {
+  return {
+    seed,
+    bag: createRandom(`${seed}:bag`),
+    letters: createRandom(`${seed}:letters`),
+    spawn: createRandom(`${seed}:spawn`),
+    specials: createRandom(`${seed}:specials`)
+  };
+}
+
+/**
+ * Current position of every stream in a session (plain numbers, safe to store as JSON)
+ */
+export function getSessionRandomState(session) {
+  const state = {};
+  SESSION_STREAMS.forEach(name => {
+    state[name] = session[name].getState();
+  });
+  return state;
+}
+
+/**
+ * Recreate a session and move its streams to a saved position (from getSessionRandomState)
+ */
+export function restoreSessionRandom(seed, state) {
+  const session = createSessionRandom(seed);
+  SESSION_STREAMS.forEach(name => {
+    session[name].setState(state[name]);
+  });
+  return session;
+}
@@ -0,0 +1,257 @@
+// replay.js - Input recording, export/import and step-by-step playback of full games
+
+export const REPLAY_FORMAT_VERSION = 1;
+
+// Recorded event types (pointer and keyboard input, gyroscope gravity changes, hint and undo requests)
+// Pointer input keeps the touch* names, so recordings from touch-only builds still play
+const EVENT_TYPES = new Set(['touchstart', 'touchmove', 'touchend', 'touchcancel', 'key', 'gravity', 'settings', 'hint', 'undo']);
+
+// ========== Recording ==========
+
+class ReplayRecorder {
+  constructor() {
+    this.recording = null;
+    this.startWallTime = 0;
+  }
+
+  // Begin recording a new game
+  start({ seed, mode, modeOptions = null, dictionary = null, language = null, config, board }) {
+    this.startWallTime = Date.now();
+    this.recording = {
+      version: REPLAY_FORMAT_VERSION,
+      recordedAt: new Date(this.startWallTime).toISOString(),
+      seed,
+      mode,
+      modeOptions, // Mode settings, e.g. { durationMs } for Blitz
+      dictionary, // Word list id (dictionaries.js)
+      language, // Language pack id (languages.js)
+      board,   // Logical board dimensions (replays must run on the same board)
+      config,  // Snapshot of config.js constants at game start
+      events: [],
+      result: null
+    };
+  }
+
+  // Record one event at a simulation step
+  // step: physics steps completed before the event, t: wall ms since game start (data.t overrides)
+  record(type, step, data = {}) {
+    if (!this.recording) return;
+    this.recording.events.push({ type, step, t: this.elapsed(), ...data });
+  }
+
+  // Wall ms since the recording started (used as the event timestamp for live input)
+  elapsed() {
+    return Date.now() - this.startWallTime;
+  }
+
+  // Mark the game as finished
+  finish(step, result) {
+    if (!this.recording) return;
+    this.recording.result = { step, ...result };
+  }
+
+  // Drop the current recording (a resumed game can't be replayed from its start)
+  discard() {
+    this.recording = null;
+  }
+
+  getRecording() {
+    return this.recording;
+  }
+}
+
+// Create singleton instance
+export const replayRecorder = new ReplayRecorder();
+
+// ========== Playback ==========
+
+export class ReplayPlayer {
+  constructor(recording) {
+    this.recording = recording;
+    this.eventIndex = 0;
+    this.speed = 1;        // Simulation steps per rendered frame
+    this.isPaused = false;
+    this.pendingSteps = 0; // Single steps requested while paused
+  }
+
+  // Pop all events recorded after `step` physics steps
+  takeEventsForStep(step) {
+    const events = [];
+    const all = this.recording.events;
+    while (this.eventIndex < all.length && all[this.eventIndex].step <= step) {
+      events.push(all[this.eventIndex]);
+      this.eventIndex++;
+    }
+    return events;
+  }
+
+  // How many simulation steps to run this frame
+  stepsThisFrame() {
+    if (!this.isPaused) return this.speed;
+    const steps = this.pendingSteps;
+    this.pendingSteps = 0;
+    return steps;
+  }
+
+  stepOnce() {
+    this.isPaused = true;
+    this.pendingSteps++;
+  }
+
+  // Recorded game length in simulation steps
+  get totalSteps() {
+    const events = this.recording.events;
+    return this.recording.result?.step || events[events.length - 1]?.step || 0;
+  }
+}
+
+// ========== Import / Export ==========
+
+// Validate and normalize a parsed replay object (throws on invalid data)
+export function parseReplay(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Replay is not a JSON object');
+  }
+  if (data.version !== REPLAY_FORMAT_VERSION) {
+    throw new Error(`Unsupported replay version: ${data.version}`);
+  }
+  if (!data.seed || !Array.isArray(data.events)) {
+    throw new Error('Replay is missing seed or events');
+  }
+
+  const events = data.events.filter(event => EVENT_TYPES.has(event.type) && Number.isFinite(event.step));
+  events.sort((a, b) => a.step - b.step);
+
+  return { ...data, events };
+}
+
+// Read a replay from a File (file picker or drag-and-drop)
+export async function readReplayFile(file) {
+  const text = await file.text();
+  return parseReplay(JSON.parse(text));
+}
+
+// Download a recording as a JSON file
+export function downloadReplay(recording) {
+  const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  const stamp = recording.recordedAt.replace(/[:.]/g, '-');
+  link.href = url;
+  link.download = `word-bubbles-replay-${recording.seed}-${stamp}.json`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+// ========== Controls UI ==========
+
+// Replay controls: export/import buttons, drag-and-drop target and playback bar
+export function createReplayControls({ onExport, onImport, onStop, onTogglePause, onStep, onSpeed }) {
+  const buttonStyle = {
+    padding: '6px 10px',
+    background: '#333',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    fontSize: '13px',
+  };
+
+  function createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    Object.assign(button.style, buttonStyle);
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  // Hidden file picker
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = 'application/json,.json';
+  fileInput.style.display = 'none';
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files.length > 0) onImport(fileInput.files[0]);
+    fileInput.value = '';
+  });
+  document.body.appendChild(fileInput);
+
+  // Export / import menu (shown from the replay button)
+  const menu = document.createElement('div');
+  Object.assign(menu.style, {
+    position: 'fixed',
+    bottom: '80px',
+    left: '20px',
+    display: 'none',
+    flexDirection: 'column',
+    gap: '6px',
+    zIndex: '1001',
+  });
+  menu.appendChild(createButton('⬇ Export last game', () => {
+    menu.style.display = 'none';
+    onExport();
+  }));
+  menu.appendChild(createButton('⬆ Import replay…', () => {
+    menu.style.display = 'none';
+    fileInput.click();
+  }));
+  document.body.appendChild(menu);
+
+  // Playback bar (visible while a replay runs)
+  const bar = document.createElement('div');
+  Object.assign(bar.style, {
+    position: 'fixed',
+    bottom: '20px',
+    left: '50%',
+    transform: 'translateX(-50%)',
+    display: 'none',
+    gap: '6px',
+    alignItems: 'center',
+    padding: '6px',
+    background: 'rgba(0, 0, 0, 0.8)',
+    borderRadius: '6px',
+    zIndex: '1001',
+    color: '#fff',
+    fontFamily: 'monospace',
+    fontSize: '12px',
+  });
+
+  const pauseBtn = createButton('⏸', () => onTogglePause());
+  const stepBtn = createButton('⏭ Step', () => onStep());
+  const speedBtn = createButton('1×', () => onSpeed());
+  const stopBtn = createButton('⏹', () => onStop());
+  const status = document.createElement('span');
+
+  bar.appendChild(pauseBtn);
+  bar.appendChild(stepBtn);
+  bar.appendChild(speedBtn);
+  bar.appendChild(stopBtn);
+  bar.appendChild(status);
+  document.body.appendChild(bar);
+
+  // Drag-and-drop anywhere on the page
+  window.addEventListener('dragover', (e) => {
+    e.preventDefault();
+  });
+  window.addEventListener('drop', (e) => {
+    e.preventDefault();
+    const file = e.dataTransfer?.files?.[0];
+    if (file) onImport(file);
+  });
+
+  return {
+    toggleMenu() {
+      menu.style.display = menu.style.display === 'none' ? 'flex' : 'none';
+    },
+    showPlayback(isVisible) {
+      bar.style.display = isVisible ? 'flex' : 'none';
+    },
+    updatePlayback({ isPaused, speed, step, totalSteps }) {
+      pauseBtn.textContent = isPaused ? '▶' : '⏸';
+      speedBtn.textContent = `${speed}×`;
+      status.textContent = `${step}/${totalSteps}`;
+    }
+  };
+}
@@ -0,0 +1,131 @@
+// savedGame.js - In-progress game saved locally (resumed after the tab is closed) and the pause screen
+
+const STORAGE_KEY = 'letterball_saved_game';
+export const SAVED_GAME_VERSION = 1;
+
+// The one in-progress game (a plain JSON snapshot built by game.js)
+class SavedGame {
+  save(state) {
+    if (typeof localStorage === 'undefined') return; // Headless (Node)
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SAVED_GAME_VERSION, savedAt: new Date().toISOString(), ...state }));
+    } catch (e) {
+      console.warn('Failed to save game:', e);
+    }
+  }
+
+  // Saved snapshot, or null (also for snapshots from an older format)
+  load() {
+    if (typeof localStorage === 'undefined') return null;
+
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      const state = saved ? JSON.parse(saved) : null;
+      return state && state.version === SAVED_GAME_VERSION ? state : null;
+    } catch (e) {
+      console.warn('Failed to load saved game:', e);
+      return null;
+    }
+  }
+
+  clear() {
+    if (typeof localStorage === 'undefined') return;
+
+    try {
+      localStorage.removeItem(STORAGE_KEY);
+    } catch (e) {
+      console.warn('Failed to clear saved game:', e);
+    }
+  }
+}
+
+// Create singleton instance
+export const savedGame = new SavedGame();
+
+/**
+ * Create the pause overlay
+ * onResume() continues the game, onNewGame() leaves it for the mode picker
+ * Returns { show, hide } - show({ summary }) shows a line about the paused game
+ */
+export function createPausePanel({ onResume, onNewGame }) {
+  const overlay = document.createElement('div');
+  Object.assign(overlay.style, {
+    position: 'fixed',
+    inset: '0',
+    background: 'rgba(0, 0, 0, 0.85)',
+    display: 'none',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: '2000',
+    fontFamily: 'system-ui, -apple-system, sans-serif',
+  });
+
+  const panel = document.createElement('div');
+  Object.assign(panel.style, {
+    width: 'min(90vw, 360px)',
+    background: '#1a1a1a',
+    color: '#fff',
+    borderRadius: '12px',
+    padding: '20px',
+    boxSizing: 'border-box',
+    textAlign: 'center',
+  });
+  overlay.appendChild(panel);
+
+  function createButton(label, background, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    Object.assign(button.style, {
+      display: 'block',
+      width: '100%',
+      padding: '12px 16px',
+      marginBottom: '8px',
+      background,
+      color: '#fff',
+      border: 'none',
+      borderRadius: '6px',
+      cursor: 'pointer',
+      fontSize: '16px',
+      fontWeight: 'bold',
+    });
+    button.addEventListener('click', onClick);
+    panel.appendChild(button);
+    return button;
+  }
+
+  function render(summary) {
+    panel.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.textContent = '⏸ Paused';
+    Object.assign(title.style, { fontSize: '22px', fontWeight: 'bold', marginBottom: '8px' });
+    panel.appendChild(title);
+
+    const info = document.createElement('div');
+    info.textContent = summary;
+    Object.assign(info.style, { color: '#aaa', fontSize: '14px', marginBottom: '16px' });
+    panel.appendChild(info);
+
+    createButton('▶ Resume', '#4CAF50', () => {
+      hide();
+      onResume();
+    });
+    createButton('🎮 New game', '#333', () => {
+      hide();
+      onNewGame();
+    });
+  }
+
+  function show({ summary = '' } = {}) {
+    render(summary);
+    overlay.style.display = 'flex';
+  }
+
+  function hide() {
+    overlay.style.display = 'none';
+  }
+
+  document.body.appendChild(overlay);
+  return { show, hide };
+}
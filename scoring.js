@@ -1,17 +1,65 @@
 // scoring.js - Score tracking and calculation
 
+const v = globalThis.__BUILD || Date.now();
+const { SCORING, COMBO, LETTER_VALUES } = await import(`./config.js?v=${v}`);
+
 const STORAGE_KEY = 'letterball_highscore';
 
-class ScoringSystem {
+// Each scoring mode has its own best (length mode keeps the original key)
+function getStorageKey(mode) {
+  return mode === 'length' ? STORAGE_KEY : `${STORAGE_KEY}_${mode}`;
+}
+
+export class ScoringSystem {
   constructor() {
     this.currentScore = 0;
+    this.highScoreMode = SCORING.MODE; // Scoring mode the high score belongs to
     this.highScore = this.loadHighScore();
+    this.tracksHighScore = true; // Off for modes with their own high score table
     this.animations = []; // For floating +points animations
     this.words = []; // Track all words formed this game
+    this.combo = 0; // Chain level (1 = single word, 2+ = combo)
+    this.lastWordTime = null; // Game time of the last scored word
   }
 
-  // Calculate score based on word length (exponential growth)
+  // Calculate score for a word using the configured scoring mode
   calculateScore(word) {
+    return this.calculateBreakdown(word).points;
+  }
+
+  // Per-letter score breakdown: { mode, letters: [{ letter, value, special }], letterTotal, multiplier, wordMultiplier, points }
+  // specials: modifier type of the ball behind each letter (see specialBalls.js), null for plain balls
+  calculateBreakdown(word, specials = []) {
+    let wordMultiplier = 1;
+    const letters = (word || '').toUpperCase().split('').map((letter, i) => {
+      const special = specials[i] || null;
+      let value = LETTER_VALUES[letter] || 0;
+
+      if (special === 'DOUBLE_LETTER') value *= 2;
+      if (special === 'WILDCARD') value = 0; // Blank tiles score nothing
+      if (special === 'TRIPLE_WORD') wordMultiplier *= 3;
+
+      return { letter, value, special };
+    });
+    const letterTotal = letters.reduce((sum, { value }) => sum + value, 0);
+
+    if (letters.length < 2) {
+      return { mode: SCORING.MODE, letters, letterTotal, multiplier: 0, wordMultiplier, points: 0 };
+    }
+
+    if (SCORING.MODE === 'length') {
+      const points = this.calculateLengthScore(word) * wordMultiplier;
+      return { mode: 'length', letters, letterTotal, multiplier: 1, wordMultiplier, points };
+    }
+
+    // Letter mode: sum of tile values × length multiplier × word multiplier
+    const multiplier = SCORING.LENGTH_MULTIPLIERS[letters.length] ?? SCORING.MAX_LENGTH_MULTIPLIER;
+    const points = Math.round(letterTotal * SCORING.LETTER_SCALE * multiplier * wordMultiplier);
+    return { mode: 'letters', letters, letterTotal, multiplier, wordMultiplier, points };
+  }
+
+  // Calculate score based on word length only (exponential growth)
+  calculateLengthScore(word) {
     if (!word || word.length < 2) return 0;
 
     const length = word.length;
@@ -21,12 +69,42 @@ class ScoringSystem {
     return 100 * Math.pow(2, length - 2);
   }
 
-  // Add points to current score
-  addScore(points, x, y) {
+  // ========== Combo ==========
+
+  // Combo level at game time `now` (drops one level per COMBO.WINDOW without a word)
+  getCombo(now) {
+    if (this.lastWordTime === null) return 0;
+    const decayedLevels = Math.floor((now - this.lastWordTime) / COMBO.WINDOW);
+    return Math.max(0, this.combo - decayedLevels);
+  }
+
+  // Score multiplier for a combo level
+  getComboMultiplier(combo) {
+    return Math.min(COMBO.MAX_MULTIPLIER, 1 + Math.max(0, combo - 1) * COMBO.STEP);
+  }
+
+  // Fraction (1 → 0) of the current window left before the combo drops a level
+  getComboTimeRemaining(now) {
+    if (this.getCombo(now) === 0) return 0;
+    const elapsed = (now - this.lastWordTime) % COMBO.WINDOW;
+    return 1 - elapsed / COMBO.WINDOW;
+  }
+
+  // Chain a scored word at game time `now` and return its combo multiplier
+  registerComboWord(now) {
+    this.combo = this.getCombo(now) + 1;
+    this.lastWordTime = now;
+    return this.getComboMultiplier(this.combo);
+  }
+
+  // Add points to current score (multiplier is shown next to the floating +points)
+  // now: game time, which drives the floating +points animation
+  addScore(points, x, y, multiplier = 1, now = 0) {
     this.currentScore += points;
+    this.syncHighScoreMode();
 
     // Update high score if beaten
-    if (this.currentScore > this.highScore) {
+    if (this.tracksHighScore && this.currentScore > this.highScore) {
       this.highScore = this.currentScore;
       this.saveHighScore();
     }
@@ -35,18 +113,26 @@ class ScoringSystem {
     if (x !== undefined && y !== undefined) {
       this.animations.push({
         points,
+        multiplier,
         x,
         y,
+        startY: y,
         opacity: 1.0,
-        startTime: Date.now(),
-        duration: 1000 // 1 second
+        startTime: now,
+        duration: 1000, // 1 second
+        rise: 60        // px floated upward over the duration
       });
     }
   }
 
-  // Add a word to the list
-  addWord(word, points) {
-    this.words.push({ word, points });
+  // Deduct points (e.g. for a hint) - the score never drops below zero
+  spendPoints(points) {
+    this.currentScore = Math.max(0, this.currentScore - points);
+  }
+
+  // Add a word to the list (breakdown from calculateBreakdown, for the game-over list)
+  addWord(word, points, breakdown = null, combo = 1) {
+    this.words.push({ word, points, breakdown, combo });
   }
 
   // Get all words formed
@@ -61,26 +147,67 @@ class ScoringSystem {
 
   // Get high score
   getHighScore() {
+    this.syncHighScoreMode();
     return this.highScore;
   }
 
+  // Switch to the other mode's high score after SCORING.MODE changed (replays, the debug console)
+  syncHighScoreMode() {
+    if (this.highScoreMode === SCORING.MODE) return;
+    this.highScoreMode = SCORING.MODE;
+    this.highScore = this.loadHighScore();
+  }
+
+  // Enable or disable updating the survival high score (Blitz keeps its own table)
+  setHighScoreTracking(enabled) {
+    this.tracksHighScore = enabled;
+  }
+
   // Reset current score (for new game)
   resetScore() {
     this.currentScore = 0;
     this.animations = [];
     this.words = [];
+    this.combo = 0;
+    this.lastWordTime = null;
   }
 
-  // Update animations (call in draw loop)
-  updateAnimations() {
-    const now = Date.now();
+  // Score, words, combo and high score of the current game (for saving an in-progress game or undoing a word)
+  snapshot() {
+    return {
+      score: this.currentScore,
+      words: [...this.words],
+      combo: this.combo,
+      lastWordTime: this.lastWordTime,
+      highScore: this.highScore
+    };
+  }
+
+  // Continue a game from snapshot() - a high score set since then is taken back (and saved),
+  // so undoing a record-breaking word doesn't keep its record
+  restore(snapshot) {
+    this.currentScore = snapshot.score;
+    this.words = snapshot.words;
+    this.combo = snapshot.combo;
+    this.lastWordTime = snapshot.lastWordTime;
+    this.animations = [];
+
+    // Saves from before high scores were snapshotted keep the current one
+    if (snapshot.highScore !== undefined && snapshot.highScore < this.highScore) {
+      this.highScore = snapshot.highScore;
+      this.saveHighScore();
+    }
+  }
+
+  // Update animations to game time `now` (call in draw loop)
+  updateAnimations(now) {
     this.animations = this.animations.filter(anim => {
       const elapsed = now - anim.startTime;
       if (elapsed >= anim.duration) return false;
 
       // Update position and opacity
       const progress = elapsed / anim.duration;
-      anim.y -= 1; // Float upward
+      anim.y = anim.startY - progress * anim.rise; // Float upward
       anim.opacity = 1.0 - progress; // Fade out
 
       return true;
@@ -92,10 +219,12 @@ class ScoringSystem {
     return this.animations;
   }
 
-  // Load high score from localStorage
+  // Load the scoring mode's high score from localStorage
   loadHighScore() {
+    if (typeof localStorage === 'undefined') return 0; // Headless (Node)
+
     try {
-      const saved = localStorage.getItem(STORAGE_KEY);
+      const saved = localStorage.getItem(getStorageKey(this.highScoreMode));
       return saved ? parseInt(saved, 10) : 0;
     } catch (e) {
       console.warn('Failed to load high score:', e);
@@ -103,10 +232,12 @@ class ScoringSystem {
     }
   }
 
-  // Save high score to localStorage
+  // Save the scoring mode's high score to localStorage
   saveHighScore() {
+    if (typeof localStorage === 'undefined') return;
+
     try {
-      localStorage.setItem(STORAGE_KEY, this.highScore.toString());
+      localStorage.setItem(getStorageKey(this.highScoreMode), this.highScore.toString());
     } catch (e) {
       console.warn('Failed to save high score:', e);
     }
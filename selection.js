@@ -1,15 +1,38 @@
 // selection.js - Multi-ball selection with line-of-sight validation
 
-const v = window.__BUILD || Date.now();
-const { SELECTION } = await import(`./config.js?v=${v}`);
+const v = globalThis.__BUILD || Date.now();
+const { SELECTION, ACCESSIBILITY } = await import(`./config.js?v=${v}`);
+const { WILDCARD } = await import(`./specialBalls.js?v=${v}`);
+
+// Selection state, one per pointer (finger, mouse or pen id; words built ball by ball have their own)
+// pointerId -> { balls, isDragging, touchPos, aimFrom }
+const selections = new Map();
+
+// Pointer id used when none is given (single-pointer callers and older recordings)
+export const PRIMARY_POINTER = 0;
+// Selection built one ball at a time, by typing (handleKeyLetter) or tapping (handleTapBall)
+export const BUILD_POINTER = 'build';
+
+function getEntry(pointerId) {
+  if (!selections.has(pointerId)) {
+    selections.set(pointerId, { balls: [], isDragging: false, touchPos: null, aimFrom: null });
+  }
+  return selections.get(pointerId);
+}
 
-// Selection state
-let selectedBalls = [];
-let isDragging = false;
-let currentTouchPos = null;
+// Balls picked by any other pointer (a ball belongs to one selection at a time)
+function isTakenByOther(ball, pointerId) {
+  for (const [id, entry] of selections) {
+    if (id !== pointerId && entry.balls.includes(ball)) return true;
+  }
+  return false;
+}
 
 // Get all balls (will be set by game.js)
 let allBalls = [];
+
+// Larger touch targets (accessible play): touches this far outside a ball still hit it
+let isLargeTouch = false;
 let invisibleBubble = null;
 
 // Initialize selection system
@@ -18,39 +41,69 @@ export function initSelection(balls, invBubble = null) {
   invisibleBubble = invBubble;
 }
 
-// Get current selection
-export function getSelection() {
-  return selectedBalls;
+// Get a pointer's selected balls, or every selected ball when no pointer is given
+export function getSelection(pointerId = null) {
+  if (pointerId !== null) {
+    return selections.has(pointerId) ? selections.get(pointerId).balls : [];
+  }
+  return [...selections.values()].flatMap(entry => entry.balls);
 }
 
-// Clear selection
-export function clearSelection() {
-  selectedBalls = [];
-  isDragging = false;
-  currentTouchPos = null;
+// Every non-empty selection, for rendering: [{ pointerId, balls, isDragging, touchPos }]
+export function getSelections() {
+  return [...selections].filter(([, entry]) => entry.balls.length > 0)
+    .map(([pointerId, entry]) => ({ pointerId, ...entry }));
 }
 
-// Get current touch position (for rendering preview)
-export function getTouchPosition() {
-  return currentTouchPos;
+// Clear a pointer's selection, or all of them when no pointer is given
+export function clearSelection(pointerId = null) {
+  if (pointerId !== null) {
+    selections.delete(pointerId);
+  } else {
+    selections.clear();
+  }
+}
+
+// Get a pointer's current touch position (for rendering preview)
+export function getTouchPosition(pointerId = PRIMARY_POINTER) {
+  return selections.has(pointerId) ? selections.get(pointerId).touchPos : null;
+}
+
+// Check if a pointer is dragging a selection (any pointer when none is given)
+export function isSelectionActive(pointerId = null) {
+  if (pointerId !== null) {
+    return selections.has(pointerId) && selections.get(pointerId).isDragging;
+  }
+  return [...selections.values()].some(entry => entry.isDragging);
 }
 
-// Check if currently dragging
-export function isSelectionActive() {
-  return isDragging;
+// Turn larger touch targets on or off
+export function setLargeTouch(enabled) {
+  isLargeTouch = enabled;
 }
 
-// Find ball at given position
-function findBallAtPosition(x, y) {
+// Extra px around each ball that still hits it (larger touch targets widen swipes too,
+// SELECTION.HIT_SLOP only counts for touch-downs)
+function getTouchSlop(isTouchDown = true) {
+  const slop = isLargeTouch ? ACCESSIBILITY.LARGE_TOUCH_SLOP : 0;
+  return isTouchDown ? slop + SELECTION.HIT_SLOP : slop;
+}
+
+// Find ball at given position, within `slop` px of its edge (the closest one when several are)
+export function findBallAtPosition(x, y, slop = getTouchSlop()) {
+  let closest = null;
+  let closestGap = Infinity;
   for (const ball of allBalls) {
     const dx = x - ball.x;
     const dy = y - ball.y;
     const distance = Math.sqrt(dx * dx + dy * dy);
-    if (distance <= ball.radius) {
-      return ball;
+    const gap = distance - ball.radius;
+    if (gap <= slop && gap < closestGap) {
+      closest = ball;
+      closestGap = gap;
     }
   }
-  return null;
+  return closest;
 }
 
 // Calculate distance between two points
@@ -61,7 +114,7 @@ function getDistance(x1, y1, x2, y2) {
 }
 
 // Check if a line segment from (x1,y1) to (x2,y2) intersects with a circle at (cx,cy) with radius r
-function lineIntersectsCircle(x1, y1, x2, y2, cx, cy, r) {
+export function lineIntersectsCircle(x1, y1, x2, y2, cx, cy, r) {
   // Vector from line start to circle center
   const dx = cx - x1;
   const dy = cy - y1;
@@ -91,14 +144,15 @@ function lineIntersectsCircle(x1, y1, x2, y2, cx, cy, r) {
 }
 
 // Check if there's a clear line of sight between two balls (no other balls blocking)
-function hasLineOfSight(ball1, ball2) {
+// Defaults to the board passed to initSelection; headless callers pass their own balls
+export function hasLineOfSight(ball1, ball2, balls = allBalls) {
   const x1 = ball1.x;
   const y1 = ball1.y;
   const x2 = ball2.x;
   const y2 = ball2.y;
 
   // Check if any other ball intersects the line
-  for (const ball of allBalls) {
+  for (const ball of balls) {
     // Skip the two balls we're checking between
     if (ball === ball1 || ball === ball2) continue;
 
@@ -111,78 +165,230 @@ function hasLineOfSight(ball1, ball2) {
   return true;
 }
 
+// Whether a selection can go from one ball straight to another (in range, nothing in between)
+export function canConnect(ball1, ball2, balls = allBalls) {
+  return isWithinRange(ball1, ball2) && hasLineOfSight(ball1, ball2, balls);
+}
+
 // Check if distance is within valid range
 function isWithinRange(ball1, ball2) {
   const dist = getDistance(ball1.x, ball1.y, ball2.x, ball2.y);
   return dist <= SELECTION.MAX_DISTANCE;
 }
 
-// Handle touch start
-export function handleTouchStart(x, y) {
+// Handle touch start (starts this pointer's selection over)
+export function handleTouchStart(x, y, pointerId = PRIMARY_POINTER) {
   const ball = findBallAtPosition(x, y);
 
-  if (ball) {
-    selectedBalls = [ball];
-    isDragging = true;
-    currentTouchPos = { x, y };
+  if (ball && !isTakenByOther(ball, pointerId)) {
+    selections.set(pointerId, { balls: [ball], isDragging: true, touchPos: { x, y }, aimFrom: ball });
     return true;
   }
 
   return false;
 }
 
-// Handle touch move
-export function handleTouchMove(x, y) {
-  if (!isDragging) return false;
+// Handle touch move - hit-tests every SELECTION.SAMPLE_SPACING px along the path from the
+// previous touch position, so a fast swipe picks up every ball it crosses
+export function handleTouchMove(x, y, pointerId = PRIMARY_POINTER) {
+  const entry = selections.get(pointerId);
+  if (!entry || !entry.isDragging) return false;
+
+  const from = entry.touchPos || { x, y };
+  entry.touchPos = { x, y };
+
+  const length = getDistance(from.x, from.y, x, y);
+  const samples = Math.max(1, Math.ceil(length / SELECTION.SAMPLE_SPACING));
+  let touched = false;
+  for (let i = 1; i <= samples; i++) {
+    const t = i / samples;
+    const point = { x: from.x + (x - from.x) * t, y: from.y + (y - from.y) * t };
+    if (selectAt(entry, point.x, point.y, getHeading(entry, point), pointerId)) {
+      touched = true;
+    }
+  }
+  return touched;
+}
+
+// Direction the finger is heading, from a point trailing SELECTION.AIM_TRAIL px behind it
+// on a string (so a wobbly swipe still has a steady heading) - the string starts over at the
+// center of each ball the word gains or goes back to; null until it has moved that far
+function getHeading(entry, point) {
+  const aimFrom = entry.aimFrom || point;
+  const trail = getDistance(aimFrom.x, aimFrom.y, point.x, point.y);
+  if (trail < SELECTION.AIM_TRAIL) return null;
+
+  // Pull the string's end along behind the finger
+  const pull = (trail - SELECTION.AIM_TRAIL) / trail;
+  entry.aimFrom = { x: aimFrom.x + (point.x - aimFrom.x) * pull, y: aimFrom.y + (point.y - aimFrom.y) * pull };
+  return { x: (point.x - aimFrom.x) / trail, y: (point.y - aimFrom.y) / trail };
+}
 
-  currentTouchPos = { x, y };
+/**
+ * Near miss: a ball the finger stopped or turned just short of (edge within
+ * SELECTION.NEAR_MISS_SLOP) while heading at its center (within SELECTION.AIM_ANGLE)
+ * Swipes passing beside a ball never point at its center that closely, so they don't pick it
+ * Only balls the word can go to next count; returns the closest, or null
+ */
+function findAimedBall(entry, x, y, direction, pointerId) {
+  const lastBall = entry.balls[entry.balls.length - 1];
+  if (!lastBall || !direction) return null;
+
+  const minCos = Math.cos(SELECTION.AIM_ANGLE * Math.PI / 180);
+  let aimed = null;
+  let aimedGap = Infinity;
+  for (const ball of allBalls) {
+    const distance = getDistance(x, y, ball.x, ball.y);
+    const gap = distance - ball.radius;
+    if (gap > SELECTION.NEAR_MISS_SLOP || gap >= aimedGap) continue;
+    if (entry.balls.includes(ball) || isTakenByOther(ball, pointerId)) continue;
 
-  const ball = findBallAtPosition(x, y);
+    // Angle between the finger's motion and the way to this ball's center
+    const cos = ((ball.x - x) * direction.x + (ball.y - y) * direction.y) / distance;
+    if (cos < minCos || !canConnect(lastBall, ball)) continue;
+
+    aimed = ball;
+    aimedGap = gap;
+  }
+  return aimed;
+}
+
+// Apply one point of a swipe (heading in `direction`) to a selection - returns true if it
+// touched a ball of the word
+function selectAt(entry, x, y, direction, pointerId) {
+  const ball = findBallAtPosition(x, y, getTouchSlop(false)) || findAimedBall(entry, x, y, direction, pointerId);
 
   if (!ball) return false;
 
   // Check if this ball is already in the selection
-  const existingIndex = selectedBalls.indexOf(ball);
+  const existingIndex = entry.balls.indexOf(ball);
 
   if (existingIndex !== -1) {
-    // Ball is already selected - check if we should deselect (remove balls after this one)
-    if (existingIndex < selectedBalls.length - 1) {
-      // Remove all balls after this one
-      selectedBalls = selectedBalls.slice(0, existingIndex + 1);
+    // Back onto the previous ball: take the last one off (backtracking goes one ball at a time,
+    // so brushing an older ball of the word doesn't cut it short)
+    if (existingIndex === entry.balls.length - 2) {
+      entry.balls.pop();
+      entry.aimFrom = ball;
     }
     return true;
   }
 
+  // Another finger's ball
+  if (isTakenByOther(ball, pointerId)) return false;
+
   // New ball - check if we can add it
-  if (selectedBalls.length === 0) {
-    selectedBalls = [ball];
+  if (entry.balls.length === 0) {
+    entry.balls = [ball];
+    entry.aimFrom = ball;
     return true;
   }
 
-  const lastBall = selectedBalls[selectedBalls.length - 1];
+  const lastBall = entry.balls[entry.balls.length - 1];
 
   // Check distance and line of sight
-  if (isWithinRange(lastBall, ball) && hasLineOfSight(lastBall, ball)) {
-    selectedBalls.push(ball);
+  if (canConnect(lastBall, ball)) {
+    entry.balls.push(ball);
+    entry.aimFrom = ball;
     return true;
   }
 
   return false;
 }
 
-// Handle touch end - returns selected balls and word for processing
-export function handleTouchEnd() {
+// Drop selected balls that have left the board since (other words, bombs, deletes, Zen dissolves)
+function pruneSelection(entry) {
+  entry.balls = entry.balls.filter(ball => allBalls.includes(ball));
+}
+
+// Closest ball to a point (the first one when there is no point)
+function findNearest(balls, point) {
+  if (!point) return balls[0] || null;
+
+  let nearest = null;
+  let nearestDistance = Infinity;
+  balls.forEach(ball => {
+    const distance = getDistance(point.x, point.y, ball.x, ball.y);
+    if (distance < nearestDistance) {
+      nearest = ball;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+}
+
+/**
+ * Keyboard play: add the ball for a typed (uppercase) letter to the selection
+ * Later letters take the nearest match the last ball can reach (same range and line-of-sight
+ * rules as swiping); the first takes the match nearest the middle of the pile (the invisible bubble)
+ * Exact letters win over wildcards; balls still above the screen can't be picked
+ * Returns false if no ball can be added
+ */
+export function handleKeyLetter(letter) {
+  const entry = getEntry(BUILD_POINTER);
+  pruneSelection(entry);
+
+  const lastBall = entry.balls[entry.balls.length - 1] || null;
+  const origin = lastBall || (invisibleBubble ? invisibleBubble.position : null);
+  const isReachable = ball => ball.y > 0 && !entry.balls.includes(ball) && !isTakenByOther(ball, BUILD_POINTER) &&
+    (!lastBall || canConnect(lastBall, ball));
+
+  const ball = findNearest(allBalls.filter(b => b.letter === letter && isReachable(b)), origin) ||
+    findNearest(allBalls.filter(b => b.letter === WILDCARD && isReachable(b)), origin);
+  if (!ball) return false;
+
+  entry.balls.push(ball);
+  return true;
+}
+
+/**
+ * Tap-to-build: add a tapped ball to the built selection (same range and line-of-sight rules
+ * as swiping); tapping an earlier ball of the word takes the balls after it back off
+ * Returns 'submit' when the last ball is tapped again, 'added' or 'trimmed' when the word
+ * changed, or null when the ball can't join it
+ */
+export function handleTapBall(ball) {
+  const entry = getEntry(BUILD_POINTER);
+  pruneSelection(entry);
+
+  const index = entry.balls.indexOf(ball);
+  if (index !== -1) {
+    if (index === entry.balls.length - 1) return 'submit';
+    entry.balls = entry.balls.slice(0, index + 1);
+    return 'trimmed';
+  }
+
+  if (isTakenByOther(ball, BUILD_POINTER)) return null;
+
+  const lastBall = entry.balls[entry.balls.length - 1];
+  if (lastBall && !canConnect(lastBall, ball)) return null;
+
+  entry.balls.push(ball);
+  return 'added';
+}
+
+// Keyboard play: take the last ball off the built selection
+export function removeLastSelected() {
+  const entry = getEntry(BUILD_POINTER);
+  pruneSelection(entry);
+  entry.balls.pop();
+}
+
+// Handle touch end - returns the pointer's selected balls and word for processing
+export function handleTouchEnd(pointerId = PRIMARY_POINTER) {
+  const entry = getEntry(pointerId);
+  pruneSelection(entry);
+
   const result = {
-    balls: [...selectedBalls],
-    word: getSelectedWord()
+    balls: [...entry.balls],
+    word: getSelectedWord(pointerId)
   };
 
-  clearSelection();
+  clearSelection(pointerId);
 
   return result;
 }
 
-// Get selected word (for future word validation)
-export function getSelectedWord() {
-  return selectedBalls.map(ball => ball.letter).join('');
+// Get a pointer's selected word
+export function getSelectedWord(pointerId = PRIMARY_POINTER) {
+  return getSelection(pointerId).map(ball => ball.letter).join('');
 }
@@ -0,0 +1,173 @@
+// settings.js - Player settings (accessible play options), saved locally, and the settings panel
+
+const STORAGE_KEY = 'letterball_settings';
+
+// On/off settings in panel order (each is a boolean property of playerSettings, off by default)
+export const SETTING_TOGGLES = [
+  {
+    key: 'tapToBuild',
+    label: '👆 Tap to build words',
+    description: 'Tap balls one at a time instead of dragging. Tap the last ball again or ✔ to play the word, double-tap a ball to delete it.'
+  },
+  {
+    key: 'slowMotion',
+    label: '🐢 Slow motion',
+    description: 'The whole game runs slower - more time to find words. Blitz and scored daily challenges stay at full speed.'
+  },
+  {
+    key: 'largeTouch',
+    label: '🎯 Larger touch targets',
+    description: 'Touches just outside a ball still pick it.'
+  },
+  {
+    key: 'letterScoring',
+    label: '🔤 Letter-value scoring',
+    description: 'Words score their tile values times a length bonus instead of doubling with each letter. Starts with the next game; each scoring keeps its own high score.'
+  },
+  {
+    key: 'highContrast',
+    label: '🔲 High contrast',
+    description: 'White balls with black letters and outlines, selected balls filled gold.'
+  }
+];
+
+class PlayerSettings {
+  constructor() {
+    const saved = this.load();
+    SETTING_TOGGLES.forEach(({ key }) => {
+      this[key] = saved[key] === true;
+    });
+  }
+
+  set(key, value) {
+    this[key] = value;
+    this.save();
+  }
+
+  load() {
+    if (typeof localStorage === 'undefined') return {}; // Headless (Node)
+
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      return saved ? JSON.parse(saved) : {};
+    } catch (e) {
+      console.warn('Failed to load settings:', e);
+      return {};
+    }
+  }
+
+  save() {
+    if (typeof localStorage === 'undefined') return;
+
+    const values = {};
+    SETTING_TOGGLES.forEach(({ key }) => {
+      values[key] = this[key];
+    });
+
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(values));
+    } catch (e) {
+      console.warn('Failed to save settings:', e);
+    }
+  }
+}
+
+// Create singleton instance
+export const playerSettings = new PlayerSettings();
+
+/**
+ * Create the settings overlay
+ * onChange(key, value) is called after the player flips a toggle
+ * Returns { show, hide }
+ */
+export function createSettingsPanel({ onChange }) {
+  const overlay = document.createElement('div');
+  Object.assign(overlay.style, {
+    position: 'fixed',
+    inset: '0',
+    background: 'rgba(0, 0, 0, 0.85)',
+    display: 'none',
+    justifyContent: 'center',
+    alignItems: 'center',
+    zIndex: '2100', // Above the mode picker it is opened from
+    fontFamily: 'system-ui, -apple-system, sans-serif',
+  });
+
+  const panel = document.createElement('div');
+  Object.assign(panel.style, {
+    width: 'min(90vw, 360px)',
+    maxHeight: '80vh',
+    overflowY: 'auto',
+    background: '#1a1a1a',
+    color: '#fff',
+    borderRadius: '12px',
+    padding: '20px',
+    boxSizing: 'border-box',
+  });
+  overlay.appendChild(panel);
+
+  function addText(text, style = {}) {
+    const el = document.createElement('div');
+    el.textContent = text;
+    Object.assign(el.style, { color: '#aaa', fontSize: '13px', marginBottom: '12px' }, style);
+    panel.appendChild(el);
+    return el;
+  }
+
+  function createButton(label, background) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    Object.assign(button.style, {
+      display: 'block',
+      width: '100%',
+      padding: '12px 16px',
+      marginBottom: '8px',
+      background,
+      color: '#fff',
+      border: 'none',
+      borderRadius: '6px',
+      cursor: 'pointer',
+      fontSize: '16px',
+      fontWeight: 'bold',
+      textAlign: 'left',
+    });
+    panel.appendChild(button);
+    return button;
+  }
+
+  function render() {
+    panel.innerHTML = '';
+    addText('⚙ Settings', { color: '#fff', fontSize: '18px', fontWeight: 'bold' });
+
+    SETTING_TOGGLES.forEach(({ key, label, description }) => {
+      const isOn = playerSettings[key];
+      const button = createButton(`${isOn ? '✓ ' : ''}${label}`, isOn ? '#2E7D32' : '#333');
+      button.addEventListener('click', () => {
+        playerSettings.set(key, !isOn);
+        render();
+        onChange(key, playerSettings[key]);
+      });
+      addText(description);
+    });
+
+    const closeBtn = createButton('Close', '#555');
+    closeBtn.style.textAlign = 'center';
+    closeBtn.addEventListener('click', hide);
+  }
+
+  function show() {
+    render();
+    overlay.style.display = 'flex';
+  }
+
+  function hide() {
+    overlay.style.display = 'none';
+  }
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) hide();
+  });
+
+  document.body.appendChild(overlay);
+  return { show, hide };
+}
@@ -0,0 +1,379 @@
+// simulate.js - Headless simulation harness for spawn and difficulty balancing
+//
+// Plays N games with a bot in Node (no canvas or DOM) and reports survival time,
+// words per minute, letter histograms and vowel ratio over time.
+//
+// Usage (Node 20.10+, the flag is default from Node 22.7):
+//   node --experimental-detect-module simulate.js --games 20 --seed TUNE
+//
+// Options:
+//   --games N          Games to simulate (default 10)
+//   --seed S           Base seed, game i uses "S-i" (default random)
+//   --think MS         Bot thinking time between moves in ms (default 2500)
+//   --max-minutes M    Stop a game that survives this long (default 10)
+//   --width W          Logical board width (default 390)
+//   --height H         Logical board height (default 844)
+//   --sample-seconds S Vowel ratio sampling interval (default 30)
+//   --language L       Language pack id from languages/ (default en)
+//   --words FILE       Word list (.dawg or .txt) - defaults to the language's bundled list
+//   --overrides FILE   JSON merged into config sections and spawn tables, e.g.
+//                      { "SPAWN": { "INTERVAL": 15000 }, "BIGRAM_WEIGHTS": { "qu": 2 },
+//                        "TARGET_DISTRIBUTION_PCT": { "E": 11 } }
+//   --json             Print the report as JSON
+//   --verbose          Keep game module logging
+//
+// Matter.js must be available: either the matter-js package or a global Matter.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+
+// Share one module instance per file with the game modules' version-aware imports
+globalThis.__BUILD ??= 'headless';
+const v = globalThis.__BUILD;
+
+const configModule = await import(`./config.js?v=${v}`);
+const physicsModule = await import(`./physics.js?v=${v}`);
+const { letterBag } = await import(`./letterBag.js?v=${v}`);
+const { wordValidator } = await import(`./wordValidator.js?v=${v}`);
+const { scoring } = await import(`./scoring.js?v=${v}`);
+const bigramSpawnModule = await import(`./bigramSpawnSystem.js?v=${v}`);
+const { createSessionRandom, randomSeed } = await import(`./random.js?v=${v}`);
+const { createGameClock } = await import(`./gameClock.js?v=${v}`);
+const { findBestWord } = await import(`./wordFinder.js?v=${v}`);
+const { DangerZone } = await import(`./dangerZone.js?v=${v}`);
+const { applyLanguage } = await import(`./languages.js?v=${v}`);
+const { getDictionary } = await import(`./dictionaries.js?v=${v}`);
+
+const { PHYSICS, BALL, SPAWN, SCORE, DANGER, getColorForLetter, getRadiusForLetter } = configModule;
+const { resetEngine, createWalls, createBallBody, createInvisibleBubble, addToWorld, removeFromWorld, updatePhysics } = physicsModule;
+const { selectBigramPair, calculateVowelRatio, TARGET_DISTRIBUTION_PCT, BIGRAM_WEIGHTS } = bigramSpawnModule;
+
+const Matter = globalThis.Matter ?? (await import('matter-js')).default;
+
+// ========== Options ==========
+
+function parseArgs(argv) {
+  const options = {
+    games: 10,
+    seed: null,
+    think: 2500,
+    maxMinutes: 10,
+    width: 390,
+    height: 844,
+    sampleSeconds: 30,
+    language: 'en',
+    words: null,
+    overrides: null,
+    json: false,
+    verbose: false
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+    switch (arg) {
+      case '--games': options.games = parseInt(next(), 10); break;
+      case '--seed': options.seed = next(); break;
+      case '--think': options.think = parseFloat(next()); break;
+      case '--max-minutes': options.maxMinutes = parseFloat(next()); break;
+      case '--width': options.width = parseInt(next(), 10); break;
+      case '--height': options.height = parseInt(next(), 10); break;
+      case '--sample-seconds': options.sampleSeconds = parseFloat(next()); break;
+      case '--language': options.language = next(); break;
+      case '--words': options.words = next(); break;
+      case '--overrides': options.overrides = next(); break;
+      case '--json': options.json = true; break;
+      case '--verbose': options.verbose = true; break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  options.seed = options.seed || randomSeed();
+  return options;
+}
+
+// Merge tuning overrides into the live config objects and spawn tables
+function applyOverrides(file) {
+  const overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const tables = { TARGET_DISTRIBUTION_PCT, BIGRAM_WEIGHTS };
+
+  for (const [section, values] of Object.entries(overrides)) {
+    const target = tables[section] || configModule[section];
+    if (!target || typeof target !== 'object') {
+      throw new Error(`Unknown override section: ${section}`);
+    }
+    Object.assign(target, values);
+  }
+}
+
+// ========== One Simulated Game ==========
+
+function runGame(seed, options) {
+  const logicalWidth = options.width;
+  const logicalHeight = options.height;
+  const dangerZoneY = SCORE.PADDING + SCORE.FONT_SIZE + SCORE.FONT_SIZE_HIGH + DANGER.LINE_Y_OFFSET;
+  const maxTime = options.maxMinutes * 60 * 1000;
+
+  // Fresh world: walls and the static invisible bubble, same layout as game.js
+  resetEngine();
+  createWalls(logicalWidth, logicalHeight);
+  addToWorld(createInvisibleBubble(logicalWidth / 2, logicalHeight * 0.65, 80));
+
+  const rng = createSessionRandom(seed);
+  letterBag.init(rng.bag);
+  scoring.resetScore();
+
+  const clock = createGameClock(PHYSICS.TIMESTEP);
+  const balls = [];
+  const stats = { seed, words: [], deletes: 0, spawned: {}, vowelSamples: [], survivalMs: 0, score: 0, survived: false };
+
+  let isGameOver = false;
+  const dangerZone = new DangerZone(dangerZoneY);
+
+  function wouldCollide(x, y, radius) {
+    return balls.some(ball => Math.hypot(x - ball.x, y - ball.y) < radius + ball.radius);
+  }
+
+  function addBall(letter, x, y) {
+    const ball = { x, y, vx: 0, vy: SPAWN.INITIAL_VELOCITY, radius: getRadiusForLetter(letter), color: getColorForLetter(letter), letter };
+    ball.body = createBallBody(x, y, ball.radius);
+    Matter.Body.setVelocity(ball.body, { x: 0, y: SPAWN.INITIAL_VELOCITY });
+    ball.body.ballData = ball;
+    addToWorld(ball.body);
+    balls.push(ball);
+    stats.spawned[letter] = (stats.spawned[letter] || 0) + 1;
+  }
+
+  function removeBall(ball) {
+    removeFromWorld(ball.body);
+    letterBag.return(ball.letter);
+    balls.splice(balls.indexOf(ball), 1);
+  }
+
+  // Mirrors spawnBigramPair in game.js
+  function spawnBigramPair() {
+    const pair = selectBigramPair(balls, rng.letters);
+    const radius1 = getRadiusForLetter(pair.letter1);
+    const radius2 = getRadiusForLetter(pair.letter2);
+    const centerX = radius1 + rng.spawn() * (logicalWidth - radius1 - radius2);
+    const pairSpacing = 60;
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+      const jitter = (rng.spawn() - 0.5) * 50;
+      const x1 = Math.max(radius1, Math.min(logicalWidth - radius1, centerX - pairSpacing / 2 + jitter));
+      const x2 = Math.max(radius2, Math.min(logicalWidth - radius2, centerX + pairSpacing / 2 + jitter));
+      const y1 = -SPAWN.ZONE_HEIGHT + rng.spawn() * SPAWN.ZONE_HEIGHT;
+      const y2 = y1 + (rng.spawn() - 0.5) * 30;
+
+      if (!wouldCollide(x1, y1, radius1) && !wouldCollide(x2, y2, radius2)) {
+        addBall(pair.letter1, x1, y1);
+        addBall(pair.letter2, x2, y2);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Mirrors the initial one-at-a-time spawn and continuous batches in game.js
+  const ballsToSpawn = [];
+  for (let i = 0; i < Math.ceil(BALL.NUM_BALLS / 2); i++) {
+    const pair = selectBigramPair(ballsToSpawn.map(letter => ({ letter })), rng.letters);
+    ballsToSpawn.push(pair.letter1, pair.letter2);
+  }
+
+  let spawnIndex = 0;
+  function spawnNextBall() {
+    if (spawnIndex >= ballsToSpawn.length) {
+      const numPairsPerBatch = Math.ceil(SPAWN.BATCH_SIZE / 2);
+      clock.setInterval(() => {
+        for (let i = 0; i < numPairsPerBatch; i++) {
+          clock.setTimeout(() => {
+            if (!isGameOver) spawnBigramPair();
+          }, i * 200);
+        }
+      }, SPAWN.INTERVAL);
+      return;
+    }
+
+    const letter = ballsToSpawn[spawnIndex];
+    const radius = getRadiusForLetter(letter);
+    const x = radius + rng.spawn() * (logicalWidth - 2 * radius);
+    const y = -SPAWN.ZONE_HEIGHT + rng.spawn() * SPAWN.ZONE_HEIGHT;
+
+    if (wouldCollide(x, y, radius)) {
+      clock.setTimeout(spawnNextBall, SPAWN.RETRY_DELAY);
+      return;
+    }
+
+    addBall(letter, x, y);
+    spawnIndex++;
+    clock.setTimeout(spawnNextBall, SPAWN.DELAY);
+  }
+  clock.setTimeout(spawnNextBall, 500);
+
+  // Bot: play the best visible word, or double-tap delete the highest ball when stuck
+  clock.setInterval(() => {
+    const visible = balls.filter(ball => ball.y > 0);
+    const best = findBestWord(visible, wordValidator);
+
+    if (best) {
+      const combo = scoring.registerComboWord(clock.time);
+      const points = Math.round(scoring.calculateScore(best.word) * combo);
+      scoring.addScore(points);
+      scoring.addWord(best.word, points, null, combo);
+      stats.words.push(best.word);
+      best.balls.forEach(removeBall);
+    } else if (visible.length > 0) {
+      const highest = visible.reduce((a, b) => (b.y < a.y ? b : a));
+      removeBall(highest);
+      stats.deletes++;
+    } else {
+      return;
+    }
+    spawnBigramPair();
+  }, options.think);
+
+  // Vowel ratio samples over time
+  clock.setInterval(() => {
+    stats.vowelSamples.push(calculateVowelRatio(balls));
+  }, options.sampleSeconds * 1000);
+
+  while (!isGameOver && clock.time < maxTime) {
+    updatePhysics(PHYSICS.TIMESTEP);
+    balls.forEach(ball => {
+      ball.x = ball.body.position.x;
+      ball.y = ball.body.position.y;
+      ball.vx = ball.body.velocity.x;
+      ball.vy = ball.body.velocity.y;
+    });
+    clock.advance();
+    isGameOver = dangerZone.update(balls, clock.time);
+  }
+
+  stats.survivalMs = clock.time;
+  stats.survived = !isGameOver;
+  stats.score = scoring.getScore();
+  return stats;
+}
+
+// ========== Report ==========
+
+function average(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function buildReport(results, options) {
+  const totalMinutes = results.reduce((sum, r) => sum + r.survivalMs, 0) / 60000;
+  const totalWords = results.reduce((sum, r) => sum + r.words.length, 0);
+
+  // Spawned letter histogram (% of all spawned balls) against the target distribution
+  const spawned = {};
+  results.forEach(r => {
+    for (const [letter, count] of Object.entries(r.spawned)) {
+      spawned[letter] = (spawned[letter] || 0) + count;
+    }
+  });
+  const totalSpawned = Object.values(spawned).reduce((a, b) => a + b, 0);
+  const letterHistogram = Object.keys(TARGET_DISTRIBUTION_PCT).sort().map(letter => ({
+    letter,
+    spawnedPct: totalSpawned ? ((spawned[letter] || 0) / totalSpawned) * 100 : 0,
+    targetPct: TARGET_DISTRIBUTION_PCT[letter]
+  }));
+
+  // Letters consumed by the bot's words
+  const used = {};
+  results.forEach(r => r.words.forEach(word => {
+    for (const letter of word) used[letter] = (used[letter] || 0) + 1;
+  }));
+
+  // Vowel ratio per sample bucket, averaged over games still running at that time
+  const maxSamples = Math.max(0, ...results.map(r => r.vowelSamples.length));
+  const vowelRatioOverTime = [];
+  for (let i = 0; i < maxSamples; i++) {
+    const samples = results.map(r => r.vowelSamples[i]).filter(sample => sample !== undefined);
+    vowelRatioOverTime.push({ seconds: (i + 1) * options.sampleSeconds, ratio: average(samples), games: samples.length });
+  }
+
+  return {
+    games: results.length,
+    seed: options.seed,
+    averageSurvivalSeconds: average(results.map(r => r.survivalMs / 1000)),
+    gamesReachingCap: results.filter(r => r.survived).length,
+    averageScore: average(results.map(r => r.score)),
+    wordsPerMinute: totalMinutes ? totalWords / totalMinutes : 0,
+    deletesPerMinute: totalMinutes ? results.reduce((sum, r) => sum + r.deletes, 0) / totalMinutes : 0,
+    averageWordLength: average(results.flatMap(r => r.words.map(word => word.length))),
+    letterHistogram,
+    lettersUsed: used,
+    vowelRatioOverTime
+  };
+}
+
+function printReport(report) {
+  const out = [];
+  out.push(`Simulated ${report.games} games (seed ${report.seed})`);
+  out.push(`  Average survival:  ${report.averageSurvivalSeconds.toFixed(1)}s (${report.gamesReachingCap} reached the time cap)`);
+  out.push(`  Average score:     ${Math.round(report.averageScore)}`);
+  out.push(`  Words per minute:  ${report.wordsPerMinute.toFixed(2)} (avg length ${report.averageWordLength.toFixed(2)})`);
+  out.push(`  Deletes per minute: ${report.deletesPerMinute.toFixed(2)}`);
+  out.push('');
+  out.push('  Letter   spawned%  target%   used');
+  report.letterHistogram.forEach(({ letter, spawnedPct, targetPct }) => {
+    out.push(`  ${letter}        ${spawnedPct.toFixed(1).padStart(7)}  ${targetPct.toFixed(1).padStart(7)}  ${String(report.lettersUsed[letter] || 0).padStart(5)}`);
+  });
+  out.push('');
+  out.push('  Vowel ratio over time');
+  report.vowelRatioOverTime.forEach(({ seconds, ratio, games }) => {
+    out.push(`  ${String(seconds).padStart(5)}s  ${(ratio * 100).toFixed(1).padStart(5)}%  (${games} games)`);
+  });
+  process.stdout.write(out.join('\n') + '\n');
+}
+
+// ========== Main ==========
+
+const options = parseArgs(process.argv.slice(2));
+const { log, warn } = console;
+if (!options.verbose) {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+const language = applyLanguage(options.language);
+if (!language) {
+  throw new Error(`Unknown language: ${options.language}`);
+}
+if (options.overrides) {
+  applyOverrides(options.overrides);
+}
+
+// Word list: --words, or the language's bundled list
+const dictionary = getDictionary(language.DICTIONARY);
+const wordsFile = options.words ? path.resolve(options.words) : dictionary && path.join(ROOT, dictionary.file);
+if (!wordsFile) {
+  throw new Error(`${language.NAME} has no bundled word list - pass --words FILE`);
+}
+if (wordsFile.endsWith('.dawg')) {
+  wordValidator.loadFromBuffer(new Uint8Array(fs.readFileSync(wordsFile)).buffer);
+} else {
+  wordValidator.loadFromText(fs.readFileSync(wordsFile, 'utf8'));
+}
+
+const results = [];
+for (let i = 0; i < options.games; i++) {
+  const result = runGame(`${options.seed}-${i}`, options);
+  results.push(result);
+  process.stderr.write(`Game ${i + 1}/${options.games}: ${(result.survivalMs / 1000).toFixed(0)}s, ${result.words.length} words, score ${result.score}\n`);
+}
+
+console.log = log;
+console.warn = warn;
+const report = buildReport(results, options);
+if (options.json) {
+  process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+} else {
+  printReport(report);
+}
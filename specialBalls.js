@@ -0,0 +1,75 @@
+// specialBalls.js - Modifier balls: double letter, triple word, wildcard and bomb
+
+const v = globalThis.__BUILD || Date.now();
+const { SPECIAL_BALLS } = await import(`./config.js?v=${v}`);
+
+// Letter shown on wildcard balls (and used in the selected word until it is resolved)
+export const WILDCARD = '?';
+
+/**
+ * Roll a modifier for a freshly spawned ball
+ * Returns a SPECIAL_BALLS.TYPES key, or null for a plain ball
+ */
+export function rollSpecial(random = Math.random) {
+  if (!SPECIAL_BALLS.ENABLED) return null;
+
+  let roll = random();
+  for (const [type, { RATE }] of Object.entries(SPECIAL_BALLS.TYPES)) {
+    if (roll < RATE) return type;
+    roll -= RATE;
+  }
+  return null;
+}
+
+/**
+ * Roll and apply a modifier to a ball
+ */
+export function assignSpecial(ball, random = Math.random) {
+  return applySpecial(ball, rollSpecial(random));
+}
+
+/**
+ * Apply a modifier to a ball (used for rolled spawns and hand-authored puzzle boards)
+ * Wildcards hide their letter; the original is kept so it can go back to the bag
+ */
+export function applySpecial(ball, type) {
+  if (!type) return ball;
+
+  ball.special = type;
+  ball.color = SPECIAL_BALLS.TYPES[type].COLOR;
+
+  if (type === 'WILDCARD') {
+    ball.sourceLetter = ball.letter;
+    ball.letter = WILDCARD;
+  }
+
+  return ball;
+}
+
+// Letter to return to the bag when a ball leaves play
+export function getBagLetter(ball) {
+  return ball.sourceLetter || ball.letter;
+}
+
+// Badge label for a special ball ('' for plain balls and wildcards)
+export function getSpecialLabel(ball) {
+  return ball.special ? SPECIAL_BALLS.TYPES[ball.special].LABEL : '';
+}
+
+/**
+ * Find balls caught in the blast of any bomb used in a word
+ * The word's own balls are excluded (they are removed anyway)
+ */
+export function getBombVictims(wordBalls, balls, radius = SPECIAL_BALLS.BOMB_RADIUS) {
+  const bombs = wordBalls.filter(ball => ball.special === 'BOMB');
+  if (bombs.length === 0) return [];
+
+  return balls.filter(ball => {
+    if (wordBalls.includes(ball)) return false;
+    return bombs.some(bomb => {
+      const dx = ball.x - bomb.x;
+      const dy = ball.y - bomb.y;
+      return Math.sqrt(dx * dx + dy * dy) <= radius + ball.radius;
+    });
+  });
+}
@@ -0,0 +1,135 @@
+// sw.js - Service worker: precaches one build of the game so it runs offline
+//
+// Registered as sw.js?v=<version.txt> (see offline.js), so every build gets its own cache
+// and the modules are stored under the same ?v= URLs the game imports them with.
+// A new build installs alongside the running one and waits until the player reloads.
+
+const BUILD = new URL(self.location).searchParams.get('v') || 'dev';
+const CACHE_PREFIX = 'letterball-app-';
+const CACHE_NAME = `${CACHE_PREFIX}${BUILD}`;
+
+// Version checks from offline.js always go to the network
+const VERSION_CHECK_PARAM = 'check';
+
+// Files fetched without a ?v= suffix
+const STATIC_ASSETS = [
+  './',
+  './index.html',
+  './manifest.json',
+  './version.txt',
+  './icons/icon-512.png',
+  './vendor/matter.min.js',
+];
+
+// Modules fetched as <name>?v=BUILD - add new modules here
+const MODULES = [
+  'bigramSpawnSystem.js',
+  'boardMirror.js',
+  'config.js',
+  'dailyChallenge.js',
+  'dangerZone.js',
+  'dawg.js',
+  'debugConsole.js',
+  'dictionaries.js',
+  'game.js',
+  'gameClock.js',
+  'gameHistory.js',
+  'highScores.js',
+  'languages.js',
+  'languages/en.js',
+  'languages/pt.js',
+  'letterBag.js',
+  'modePicker.js',
+  'offline.js',
+  'physics.js',
+  'puzzleMode.js',
+  'random.js',
+  'replay.js',
+  'savedGame.js',
+  'scoring.js',
+  'selection.js',
+  'settings.js',
+  'specialBalls.js',
+  'wordFinder.js',
+  'wordSpawnSystem.js',
+  'wordValidator.js',
+  'zenMode.js',
+];
+
+// Precompiled default word list (DEFAULT_DICTIONARY_ID in dictionaries.js), also fetched with ?v=
+// Other lists are stored by dictionaries.js the first time they are loaded
+const DEFAULT_DICTIONARY_FILE = 'sowpods.dawg';
+
+const LEVELS_INDEX = './levels/index.json';
+
+// Puzzle level files named by the level index
+async function getLevelUrls() {
+  const response = await fetch(LEVELS_INDEX, { cache: 'reload' });
+  if (!response.ok) {
+    throw new Error(`Failed to load level index: ${response.status}`);
+  }
+  const { levels } = await response.json();
+  return [LEVELS_INDEX, ...levels.map(level => `./levels/${level.file}`)];
+}
+
+async function precache() {
+  const cache = await caches.open(CACHE_NAME);
+  const urls = [
+    ...STATIC_ASSETS,
+    ...[...MODULES, DEFAULT_DICTIONARY_FILE].map(file => `./${file}?v=${encodeURIComponent(BUILD)}`),
+    ...await getLevelUrls(),
+  ];
+
+  // Bypass the HTTP cache so a new build never stores an older file
+  await cache.addAll(urls.map(url => new Request(url, { cache: 'reload' })));
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache());
+});
+
+// Drop older builds (word list caches belong to dictionaries.js and are left alone)
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// The update prompt activates a waiting build when the player chooses to reload
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+async function respond(request) {
+  const cache = await caches.open(CACHE_NAME);
+
+  // Pages load the precached index.html whatever query they were opened with
+  const cached = request.mode === 'navigate'
+    ? await cache.match('./index.html')
+    : await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+// Cache first: this build's files never change, so version.txt also reports this build
+// until the new worker takes over
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin || url.searchParams.has(VERSION_CHECK_PARAM)) return;
+
+  event.respondWith(respond(request));
+});
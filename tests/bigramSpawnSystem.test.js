@@ -0,0 +1,91 @@
+// bigramSpawnSystem.test.js - The scoring components behind selectBigramPair
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const {
+  TARGET_DISTRIBUTION_PCT, BIGRAM_WEIGHTS,
+  calculateHistogram, calculateVowelRatio, calculateDistributionGain, calculateBigramGoodness,
+  calculateVowelBalance, calculateOverrepresentationPenalty, scoreBigram, selectBigramPair
+} = await import(`../bigramSpawnSystem.js?v=${v}`);
+const { createRandom } = await import(`../random.js?v=${v}`);
+
+const board = letters => [...letters].map(letter => ({ letter }));
+
+test('histogram counts every tracked letter, zero included', () => {
+  const histogram = calculateHistogram(board('EEST'));
+  assert.equal(histogram.E, 2);
+  assert.equal(histogram.S, 1);
+  assert.equal(histogram.Z, 0);
+  assert.equal(Object.keys(histogram).length, Object.keys(TARGET_DISTRIBUTION_PCT).length);
+});
+
+test('vowel ratio counts Y as part of a vowel', () => {
+  assert.equal(calculateVowelRatio([]), 0);
+  assert.equal(calculateVowelRatio(board('AEST')), 0.5);
+  const withY = calculateVowelRatio(board('AYST'));
+  assert.ok(withY > 0.25 && withY < 0.5);
+});
+
+test('distribution gain rewards letters the board is short of', () => {
+  const balls = board('EEEEEEEEST');
+  const histogram = calculateHistogram(balls);
+
+  const missing = calculateDistributionGain(histogram, TARGET_DISTRIBUTION_PCT, 'A', 'O', balls.length);
+  const surplus = calculateDistributionGain(histogram, TARGET_DISTRIBUTION_PCT, 'E', 'E', balls.length);
+  assert.ok(missing > 0, `adding A and O helps (${missing})`);
+  assert.ok(surplus < missing, 'adding more E helps less than missing letters');
+  assert.equal(calculateDistributionGain({}, TARGET_DISTRIBUTION_PCT, 'Q', 'Z', 0), 2);
+});
+
+test('bigram goodness is the base weight plus a bonus per extension on the board', () => {
+  const base = BIGRAM_WEIGHTS.th;
+  assert.equal(calculateBigramGoodness('TH', []), base);
+  assert.equal(calculateBigramGoodness('TH', board('E')), base + 0.5);
+  assert.equal(calculateBigramGoodness('TH', board('EAX')), base + 1);
+  assert.equal(calculateBigramGoodness('ZX', board('ABC')), 0);
+});
+
+test('vowel balance favours vowels when short and consonants when over', () => {
+  assert.equal(calculateVowelBalance('A', 'E', 0.2), 10);
+  assert.equal(calculateVowelBalance('T', 'S', 0.2), 0);
+  assert.equal(calculateVowelBalance('T', 'S', 0.7), 10);
+  assert.equal(calculateVowelBalance('A', 'E', 0.7), 0);
+  assert.equal(calculateVowelBalance('A', 'T', 0.45), 0);
+});
+
+test('overrepresentation penalty grows with the surplus and steers Q to U', () => {
+  const balls = board('EEEEEEST');
+  const histogram = calculateHistogram(balls);
+
+  const surplusE = calculateOverrepresentationPenalty('E', 'T', histogram, balls.length);
+  const freshPair = calculateOverrepresentationPenalty('A', 'N', histogram, balls.length);
+  assert.ok(surplusE > freshPair);
+  assert.equal(freshPair, 0);
+
+  const empty = calculateHistogram([]);
+  const qu = calculateOverrepresentationPenalty('Q', 'U', empty, 10);
+  const qa = calculateOverrepresentationPenalty('Q', 'A', empty, 10);
+  assert.ok(qa - qu >= 30, 'Q without U costs far more than QU');
+  assert.equal(calculateOverrepresentationPenalty('Q', 'A', empty, 0), 0);
+});
+
+test('scoreBigram combines the components with their weights', () => {
+  const balls = board('EEST');
+  const histogram = calculateHistogram(balls);
+  const { score, components } = scoreBigram('TH', histogram, TARGET_DISTRIBUTION_PCT, balls, calculateVowelRatio(balls));
+  const expected = components.distributionGain * 2 + components.bigramGoodness * 1.5 +
+    components.vowelBalance - components.overrepPenalty;
+  assert.ok(Math.abs(score - expected) < 1e-9);
+});
+
+test('selectBigramPair picks a known bigram and repeats for the same seed', () => {
+  const balls = board('EEEEEEEEST');
+  const first = selectBigramPair(balls, createRandom('PAIRS'));
+  const second = selectBigramPair(balls, createRandom('PAIRS'));
+  assert.deepEqual(first, second);
+  assert.ok(BIGRAM_WEIGHTS[(first.letter1 + first.letter2).toLowerCase()] !== undefined);
+});
@@ -0,0 +1,44 @@
+// blitz.test.js - Blitz rules with game.js running on a fake DOM: a full board, the clock and the table
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDom } from './helpers/fakeDom.js';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const dom = installFakeDom({ search: '?mode=blitz&minutes=2&seed=BLITZ' });
+
+// The game logs every spawn and word - only the end of the game is kept
+let endLine = null;
+console.log = (message) => {
+  if (/TIME UP|GAME OVER/.test(String(message))) endLine = String(message);
+};
+
+const { BLITZ } = await import(`../config.js?v=${v}`);
+const { engine } = await import(`../physics.js?v=${v}`);
+const { highScores } = await import(`../highScores.js?v=${v}`);
+const { getBlitzTableId } = await import(`../modePicker.js?v=${v}`);
+await import(`../game.js?v=${v}`);
+
+const FRAME_MS = 1000 / 60;
+const DURATION = 120000;
+const boardSize = () => engine.world.bodies.filter(body => body.ballData).length;
+
+test('the board is kept topped up to the target size', () => {
+  dom.advance(Math.ceil(20000 / FRAME_MS));
+  assert.equal(boardSize(), BLITZ.TARGET_BALLS);
+});
+
+test('the game ends when time runs out, not before', () => {
+  dom.advance(Math.floor((DURATION - 1000) / FRAME_MS) - Math.ceil(20000 / FRAME_MS));
+  assert.equal(endLine, null, 'a full board never ends a Blitz game');
+
+  dom.advance(Math.ceil(2000 / FRAME_MS));
+  assert.match(endLine, /TIME UP/);
+});
+
+test('the result goes in the table for its game length', () => {
+  assert.equal(highScores.getTable(getBlitzTableId(DURATION)).length, 1);
+  assert.equal(highScores.getTable(getBlitzTableId(180000)).length, 0);
+});
@@ -0,0 +1,51 @@
+// dangerZone.test.js - Which balls count as over the danger line, and game-over timing
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+console.log = () => {}; // The zone logs entering and clearing
+
+const { DANGER } = await import(`../config.js?v=${v}`);
+const { isBallInDanger, DangerZone } = await import(`../dangerZone.js?v=${v}`);
+
+const LINE_Y = 100;
+const ball = (y, vy = 0) => ({ letter: 'A', x: 50, y, radius: 20, vx: 0, vy });
+
+test('a settled ball whose top edge reaches the line is in danger', () => {
+  assert.equal(isBallInDanger(ball(LINE_Y + 20), LINE_Y), true);
+  assert.equal(isBallInDanger(ball(LINE_Y + 21), LINE_Y), false);
+});
+
+test('falling balls and balls above the screen are not', () => {
+  assert.equal(isBallInDanger(ball(LINE_Y, DANGER.VELOCITY_THRESHOLD), LINE_Y), false);
+  assert.equal(isBallInDanger(ball(-30), LINE_Y), false);
+});
+
+test('the game is over once the line stays crossed for the threshold time', () => {
+  const zone = new DangerZone(LINE_Y, 3000);
+  const board = [ball(LINE_Y), ball(400)];
+
+  assert.equal(zone.update(board, 1000), false);
+  assert.equal(zone.isActive(), true);
+  assert.equal(zone.getTimeRemaining(2500), 1500);
+  assert.equal(zone.update(board, 3999), false);
+  assert.equal(zone.update(board, 4000), true);
+});
+
+test('clearing the line restarts the countdown', () => {
+  const zone = new DangerZone(LINE_Y, 3000);
+  zone.update([ball(LINE_Y)], 0);
+  assert.equal(zone.update([ball(400)], 2000), false);
+  assert.equal(zone.isActive(), false);
+  assert.equal(zone.getTimeInDanger(2000), 0);
+
+  assert.equal(zone.update([ball(LINE_Y)], 2500), false);
+  assert.equal(zone.update([ball(LINE_Y)], 5000), false);
+  assert.equal(zone.update([ball(LINE_Y)], 5500), true);
+
+  zone.reset();
+  assert.equal(zone.getTimeRemaining(6000), 3000);
+});
@@ -0,0 +1,59 @@
+// dawg.test.js - Building, saving and querying the word graph
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const { buildDawg, Dawg } = await import(`../dawg.js?v=${v}`);
+
+const WORDS = ['CAT', 'CATS', 'CAR', 'CART', 'DOG', 'DOGS', 'AT'];
+
+test('words are found, non-words and partial words are not', () => {
+  const dawg = buildDawg(WORDS);
+  assert.equal(dawg.size, WORDS.length);
+  WORDS.forEach(word => assert.equal(dawg.has(word), true, word));
+  ['CA', 'CARTS', 'DO', 'COW', ''].forEach(word => assert.equal(dawg.has(word), false, word));
+});
+
+test('prefixes include whole words and stop at dead ends', () => {
+  const dawg = buildDawg(WORDS);
+  assert.equal(dawg.isPrefix('CA'), true);
+  assert.equal(dawg.isPrefix('CART'), true);
+  assert.equal(dawg.isPrefix('CAX'), false);
+  assert.equal(dawg.isPrefix(''), true);
+});
+
+test('wildcard patterns resolve to the first match alphabetically', () => {
+  const dawg = buildDawg(WORDS);
+  assert.equal(dawg.match('CA?'), 'CAR');
+  assert.equal(dawg.match('?OG'), 'DOG');
+  assert.equal(dawg.match('CA?S'), 'CATS');
+  assert.equal(dawg.match('C?', false), 'CA');
+  assert.equal(dawg.match('Z?'), null);
+});
+
+test('completions are alphabetical and limited', () => {
+  const dawg = buildDawg(WORDS);
+  assert.deepEqual(dawg.completions('CA'), ['CAR', 'CART', 'CAT', 'CATS']);
+  assert.deepEqual(dawg.completions('CA', 2), ['CAR', 'CART']);
+  assert.deepEqual(dawg.completions('X'), []);
+});
+
+test('the graph survives a round trip through a buffer', () => {
+  const copy = Dawg.fromBuffer(buildDawg(WORDS).toBuffer());
+  assert.equal(copy.size, WORDS.length);
+  assert.equal(copy.has('CART'), true);
+  assert.equal(copy.has('CARTS'), false);
+  assert.throws(() => Dawg.fromBuffer(new Uint32Array(4).buffer), /Not a DAWG/);
+});
+
+test('any alphabet works, and entries that are not plain words are skipped', () => {
+  const dawg = buildDawg(['coração', 'não', 'NAO', 'e-mail', 'r2d2', 'ações']);
+  assert.equal(dawg.size, 4);
+  assert.equal(dawg.has('CORAÇÃO'), true);
+  assert.equal(dawg.has('NÃO'), true);
+  assert.equal(dawg.match('N?O'), 'NAO');
+  assert.deepEqual(dawg.alphabet, [...new Set('CORAÇÃONÃONAOAÇÕES')].sort());
+});
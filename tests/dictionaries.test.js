@@ -0,0 +1,129 @@
+// dictionaries.test.js - Word list registry: bundled files, one per language, what each accepts, the text fallback and uploaded lists
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+console.log = () => {}; // Loading logs the list size
+console.warn = () => {}; // ...and the fallbacks warn
+
+const {
+  DICTIONARIES, DEFAULT_DICTIONARY_ID, CUSTOM_DICTIONARY_ID,
+  getDictionary, getDictionaries, findDictionaryForLanguage, loadDictionary, parseWordList, saveCustomDictionary
+} = await import(`../dictionaries.js?v=${v}`);
+const { getLanguages } = await import(`../languages.js?v=${v}`);
+const { WordValidator } = await import(`../wordValidator.js?v=${v}`);
+
+const repoFile = name => new URL(`../${name}`, import.meta.url);
+
+// fetch() serving repository files, except the ones listed as missing
+function serveRepo(missing = []) {
+  const requested = [];
+  globalThis.fetch = async (url) => {
+    const name = url.replace(/^\.\//, '').replace(/\?.*$/, '');
+    requested.push(name);
+    if (missing.includes(name) || !fs.existsSync(repoFile(name))) {
+      return { ok: false, status: 404 };
+    }
+    const data = fs.readFileSync(repoFile(name));
+    return {
+      ok: true,
+      status: 200,
+      text: async () => data.toString('utf8'),
+      arrayBuffer: async () => new Uint8Array(data).buffer
+    };
+  };
+  return requested;
+}
+
+afterEach(() => {
+  delete globalThis.fetch;
+});
+
+// Validator with a bundled list loaded from disk
+function loadBundled(id) {
+  const validator = new WordValidator();
+  const data = fs.readFileSync(repoFile(getDictionary(id).file));
+  validator.loadFromBuffer(new Uint8Array(data).buffer, id);
+  return validator;
+}
+
+test('bundled lists have their graph and text source on disk', () => {
+  DICTIONARIES.forEach(entry => {
+    assert.ok(fs.existsSync(repoFile(entry.file)), `${entry.file} exists`);
+    assert.ok(fs.existsSync(repoFile(entry.source)), `${entry.source} exists`);
+  });
+  assert.ok(getDictionary(DEFAULT_DICTIONARY_ID));
+  assert.equal(getDictionary('missing'), null);
+});
+
+test('a bundled list loads from its precompiled graph', async () => {
+  const requested = serveRepo();
+  const dawg = await loadDictionary(getDictionary(DEFAULT_DICTIONARY_ID));
+  assert.equal(dawg.has('QI'), true);
+  assert.deepEqual(requested, [getDictionary(DEFAULT_DICTIONARY_ID).file]);
+});
+
+test('without the graph the text list is parsed instead', async () => {
+  const entry = getDictionary(DEFAULT_DICTIONARY_ID);
+  const requested = serveRepo([entry.file]);
+  const dawg = await loadDictionary(entry);
+  assert.equal(dawg.has('ZYZZYVA'), true);
+  assert.deepEqual(requested, [entry.file, entry.source]);
+});
+
+test('word lists split on lines and skip blanks', () => {
+  assert.deepEqual(parseWordList('cat\r\n  dog \n\nbird\n'), ['cat', 'dog', 'bird']);
+});
+
+test('an uploaded list becomes the custom dictionary', async () => {
+  assert.equal(getDictionary(CUSTOM_DICTIONARY_ID), null);
+  await assert.rejects(saveCustomDictionary('Empty', '123\n\n'), /No words found/);
+
+  const dawg = await saveCustomDictionary('Pets', 'cat\ndog\nhamster', 'en');
+  assert.equal(dawg.has('HAMSTER'), true);
+  assert.deepEqual(getDictionary(CUSTOM_DICTIONARY_ID), { id: CUSTOM_DICTIONARY_ID, name: 'Pets', language: 'en', words: 3 });
+  assert.equal(getDictionaries().at(-1).id, CUSTOM_DICTIONARY_ID);
+});
+
+test('lists are offered for the language they are spelled in', async () => {
+  await saveCustomDictionary('Palavras', 'gato\ncão', 'pt');
+  assert.deepEqual(getDictionaries('pt').map(entry => entry.id), ['pt-br', CUSTOM_DICTIONARY_ID]);
+  assert.ok(getDictionaries('en').every(entry => entry.language === 'en'));
+  assert.equal(findDictionaryForLanguage('pt'), CUSTOM_DICTIONARY_ID);
+  assert.equal(findDictionaryForLanguage('en'), null);
+});
+
+test('every language pack names a bundled list spelled in it', () => {
+  getLanguages().forEach(pack => {
+    const entry = getDictionary(pack.DICTIONARY);
+    assert.ok(entry, `${pack.NAME} has a word list`);
+    assert.equal(entry.language, pack.ID);
+  });
+});
+
+test('the Portuguese list keeps its accents', () => {
+  const validator = loadBundled('pt-br');
+  assert.equal(validator.isValid('não'), true);
+  assert.equal(validator.isValid('CORAÇÃO'), true);
+  assert.equal(validator.isValid('voce'), false);
+  assert.ok(validator.alphabet.includes('Ç'));
+});
+
+test('the kid-friendly list keeps common words and drops obscure and adult ones', () => {
+  const kids = loadBundled('kids');
+  assert.equal(kids.isValid('GIRAFFE'), true);
+  assert.equal(kids.isValid('QI'), false);
+  assert.equal(kids.isValid('BITCH'), false);
+});
+
+test('the kid-friendly list leaves out mild swearing, violence, weapons and drugs', () => {
+  const kids = loadBundled('kids');
+  ['DAMN', 'HELL', 'CRAP', 'KILL', 'KILLED', 'MURDER', 'GUN', 'GUNS', 'DRUG', 'DRUGGED', 'DRUNK'].forEach(word => {
+    assert.equal(kids.isValid(word), false, word);
+  });
+  ['HELLO', 'STABLE', 'SKILL', 'DRUGSTORE'].forEach(word => assert.equal(kids.isValid(word), true, word));
+});
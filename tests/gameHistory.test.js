@@ -0,0 +1,49 @@
+// gameHistory.test.js - Records of finished games and the statistics built from them
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const { createGameRecord, calculateStats } = await import(`../gameHistory.js?v=${v}`);
+
+const game = (score, words, durationMs = 60000) => createGameRecord({
+  mode: 'survival',
+  seed: 'STATS',
+  durationMs,
+  score,
+  words: words.map(([word, points]) => ({ word, points, combo: 1 })),
+  cause: 'danger'
+});
+
+test('a record keeps the words and picks out the longest and best one', () => {
+  const record = game(1000, [['CAT', 200], ['STREAM', 1600], ['QI', 900]], 1234.6);
+  assert.equal(record.durationMs, 1235);
+  assert.deepEqual(record.words[0], { word: 'CAT', points: 200 });
+  assert.equal(record.longestWord, 'STREAM');
+  assert.deepEqual(record.bestWord, { word: 'STREAM', points: 1600 });
+  assert.equal(game(0, []).longestWord, null);
+});
+
+test('stats total and average the games', () => {
+  const stats = calculateStats([game(300, [['CAT', 200], ['AT', 100]]), game(900, [['CAT', 200]], 120000)]);
+  assert.deepEqual(stats.totals, { games: 2, score: 1200, words: 3, durationMs: 180000 });
+  assert.deepEqual(stats.averages, { score: 600, words: 1.5, durationMs: 90000 });
+  assert.equal(stats.bestScore, 900);
+  assert.deepEqual(stats.commonWords[0], { word: 'CAT', count: 2 });
+});
+
+test('every game lands in one score bucket', () => {
+  const stats = calculateStats([game(0, []), game(450, []), game(900, [])]);
+  assert.equal(stats.distribution.reduce((sum, bucket) => sum + bucket.count, 0), 3);
+  assert.equal(stats.distribution[0].count, 1);
+  assert.equal(stats.distribution[stats.distribution.length - 1].count, 1);
+});
+
+test('no games gives empty stats instead of dividing by zero', () => {
+  const stats = calculateStats([]);
+  assert.equal(stats.averages.score, 0);
+  assert.equal(stats.longestWord, null);
+  assert.deepEqual(stats.commonWords, []);
+});
@@ -0,0 +1,63 @@
+// gameOver.test.js - Danger line game over, with game.js running on a fake DOM and canvas
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Matter from 'matter-js';
+import { installFakeDom } from './helpers/fakeDom.js';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const dom = installFakeDom({ search: '?mode=survival&seed=DANGER' });
+
+// The game logs every spawn and word - only the game over line is kept
+let isGameOver = false;
+console.log = (message) => {
+  if (String(message).startsWith('💀 GAME OVER')) isGameOver = true;
+};
+
+const { DANGER, SCORE } = await import(`../config.js?v=${v}`);
+const { engine } = await import(`../physics.js?v=${v}`);
+const { wordValidator } = await import(`../wordValidator.js?v=${v}`);
+await import(`../game.js?v=${v}`);
+await wordValidator.load();
+
+const FRAME_MS = 1000 / 60;
+const LINE_Y = SCORE.PADDING + SCORE.FONT_SIZE + SCORE.FONT_SIZE_HIGH + DANGER.LINE_Y_OFFSET; // No safe area here
+
+// Frames until game over (Infinity if it doesn't happen within `limit`)
+function framesUntilGameOver(limit) {
+  for (let frame = 1; frame <= limit; frame++) {
+    dom.advance(1);
+    if (isGameOver) return frame;
+  }
+  return Infinity;
+}
+
+// Pin a ball in place (static bodies have no speed, so it counts as settled)
+function pinBall(body, y) {
+  Matter.Body.setStatic(body, true);
+  Matter.Body.setPosition(body, { x: body.position.x, y });
+}
+
+test('a ball resting over the danger line ends the game after the threshold time', () => {
+  dom.advance(60); // Let the first balls spawn
+  const body = engine.world.bodies.find(b => b.ballData);
+  assert.ok(body, 'a ball is on the board');
+  assert.equal(isGameOver, false);
+
+  // Over the line for most of the countdown, then off the screen: no game over
+  const overLine = LINE_Y + body.ballData.radius / 2;
+  pinBall(body, overLine);
+  const thresholdFrames = Math.ceil(DANGER.THRESHOLD_TIME / FRAME_MS);
+  assert.equal(framesUntilGameOver(thresholdFrames - 60), Infinity);
+
+  pinBall(body, -200); // Balls above the screen never count
+  assert.equal(framesUntilGameOver(thresholdFrames), Infinity);
+
+  // Back over the line: the countdown starts over and runs out
+  pinBall(body, overLine);
+  const frames = framesUntilGameOver(thresholdFrames * 2);
+  assert.ok(frames * FRAME_MS >= DANGER.THRESHOLD_TIME, `game over after ${frames} frames, not before the threshold`);
+  assert.ok(frames <= thresholdFrames + 5, `game over after ${frames} frames, right after the threshold`);
+});
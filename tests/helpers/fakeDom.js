@@ -0,0 +1,194 @@
+// fakeDom.js - Minimal browser stand-ins (DOM, 2D canvas, storage, animation frames) for running game.js in Node
+//
+// Only what the game touches is faked: elements remember children, attributes, text and
+// listeners, and every canvas drawing call is a no-op. Time only moves when advance() is called.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import Matter from 'matter-js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+const WIDTH = 390;
+const HEIGHT = 844;
+const FRAME_MS = 1000 / 60;
+
+// 2D context: drawing calls do nothing, properties (fillStyle, font, ...) are kept
+function createContext() {
+  return new Proxy({}, {
+    get(target, key) {
+      if (key === 'measureText') return () => ({ width: 10 });
+      if (key in target) return target[key];
+      return () => {};
+    },
+    set(target, key, value) {
+      target[key] = value;
+      return true;
+    }
+  });
+}
+
+function createElement(tagName, context) {
+  const listeners = {};
+  return {
+    tagName: tagName.toUpperCase(),
+    style: { cssText: '' },
+    dataset: {},
+    attributes: {},
+    children: [],
+    listeners,
+    textContent: '',
+    value: '',
+    files: [],
+    width: 0,
+    height: 0,
+    classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+
+    appendChild(child) {
+      this.children.push(child);
+      return child;
+    },
+    removeChild(child) {
+      this.children = this.children.filter(other => other !== child);
+      return child;
+    },
+    insertBefore(child) {
+      this.children.push(child);
+      return child;
+    },
+    remove() {},
+    set innerHTML(html) {
+      this.children = [];
+    },
+    get innerHTML() {
+      return '';
+    },
+
+    addEventListener(type, listener) {
+      (listeners[type] ||= []).push(listener);
+    },
+    removeEventListener(type, listener) {
+      listeners[type] = (listeners[type] || []).filter(other => other !== listener);
+    },
+    dispatch(type, event = {}) {
+      (listeners[type] || []).forEach(listener => listener({ preventDefault() {}, target: this, ...event }));
+    },
+    click() {
+      this.dispatch('click');
+    },
+
+    setAttribute(name, value) {
+      this.attributes[name] = String(value);
+    },
+    getAttribute(name) {
+      return this.attributes[name] ?? null;
+    },
+    removeAttribute(name) {
+      delete this.attributes[name];
+    },
+
+    getContext: () => context,
+    getBoundingClientRect: () => ({ left: 0, top: 0, width: WIDTH, height: HEIGHT }),
+    setPointerCapture() {},
+    releasePointerCapture() {},
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    focus() {},
+    blur() {}
+  };
+}
+
+// Depth-first list of an element and everything appended under it
+export function allElements(root) {
+  return [root, ...root.children.flatMap(allElements)];
+}
+
+/**
+ * Install the fake browser globals
+ * search: the page's query string (e.g. '?mode=survival&seed=TEST')
+ * storage: localStorage entries to start with ([key, value] pairs)
+ * Returns { canvas, body, storage, advance(frames), now() } - advance runs that many
+ * 60 fps animation frames
+ */
+export function installFakeDom({ search = '', storage: entries = [] } = {}) {
+  const context = createContext();
+  const make = tagName => createElement(tagName, context);
+  const canvas = make('canvas');
+  const body = make('body');
+  const storage = new Map(entries);
+  let time = 0;
+  let frames = [];
+
+  globalThis.window = globalThis;
+  Object.assign(globalThis, {
+    Matter, // The page loads vendor/matter.min.js with a <script> tag
+    innerWidth: WIDTH,
+    innerHeight: HEIGHT,
+    devicePixelRatio: 1,
+    location: { search, href: `http://localhost/${search}`, origin: 'http://localhost' },
+    history: { replaceState() {} },
+    screen: {},
+    alert: () => {},
+    getComputedStyle: () => ({ top: '0' }),
+    requestAnimationFrame: callback => frames.push(callback),
+    cancelAnimationFrame: () => {},
+    localStorage: {
+      getItem: key => storage.get(key) ?? null,
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: key => storage.delete(key)
+    },
+    document: {
+      readyState: 'complete',
+      hidden: false,
+      visibilityState: 'visible',
+      body,
+      head: make('head'),
+      documentElement: make('html'),
+      createElement: make,
+      getElementById: id => (id === 'game' ? canvas : make('div')),
+      querySelector: () => null,
+      querySelectorAll: () => [],
+      addEventListener() {},
+      removeEventListener() {}
+    }
+  });
+  globalThis.addEventListener = () => {};
+  globalThis.removeEventListener = () => {};
+  Object.defineProperty(globalThis, 'navigator', {
+    value: { userAgent: 'node', clipboard: {} },
+    configurable: true
+  });
+
+  // Game time follows the fake frames
+  const startDate = Date.now();
+  globalThis.performance = { now: () => time };
+  Date.now = () => startDate + time;
+
+  // Files are read from the repository (word lists, puzzle levels)
+  globalThis.fetch = async (url) => {
+    const file = path.join(ROOT, new URL(url, 'http://localhost/').pathname);
+    if (!fs.existsSync(file)) {
+      return { ok: false, status: 404 };
+    }
+    const data = fs.readFileSync(file);
+    return {
+      ok: true,
+      status: 200,
+      text: async () => data.toString('utf8'),
+      json: async () => JSON.parse(data.toString('utf8')),
+      arrayBuffer: async () => new Uint8Array(data).buffer
+    };
+  };
+
+  function advance(count = 1) {
+    for (let i = 0; i < count; i++) {
+      time += FRAME_MS;
+      const due = frames;
+      frames = [];
+      due.forEach(callback => callback(time));
+    }
+  }
+
+  return { canvas, body, storage, advance, now: () => time };
+}
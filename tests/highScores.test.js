@@ -0,0 +1,31 @@
+// highScores.test.js - Per-mode high score tables
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const { highScores } = await import(`../highScores.js?v=${v}`);
+
+test('scores are ranked best first in their own table', () => {
+  assert.equal(highScores.getBest('ranked'), 0);
+  assert.equal(highScores.addScore('ranked', 500, 4), 1);
+  assert.equal(highScores.addScore('ranked', 900, 6), 1);
+  assert.equal(highScores.addScore('ranked', 700, 5), 2);
+
+  assert.deepEqual(highScores.getTable('ranked').map(entry => entry.score), [900, 700, 500]);
+  assert.equal(highScores.getTable('ranked')[0].words, 6);
+  assert.equal(highScores.getBest('ranked'), 900);
+  assert.deepEqual(highScores.getTable('other'), []);
+});
+
+test('tables keep the top ten, and lower scores get no rank', () => {
+  for (let score = 100; score <= 1000; score += 100) {
+    highScores.addScore('full', score, 1);
+  }
+  assert.equal(highScores.addScore('full', 50, 1), null);
+  assert.equal(highScores.addScore('full', 1050, 1), 1);
+  assert.equal(highScores.getTable('full').length, 10);
+  assert.equal(highScores.getTable('full').at(-1).score, 200);
+});
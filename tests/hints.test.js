@@ -0,0 +1,52 @@
+// hints.test.js - Hints with game.js running on a fake DOM: free hints, then a cost per hint
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDom, allElements } from './helpers/fakeDom.js';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const dom = installFakeDom({ search: '?mode=survival&seed=HINTS' });
+
+// The game logs every spawn and word - only hint lines are kept
+const hintLines = [];
+console.log = (message) => {
+  if (String(message).startsWith('💡')) hintLines.push(String(message));
+};
+
+const { HINT } = await import(`../config.js?v=${v}`);
+const { wordValidator } = await import(`../wordValidator.js?v=${v}`);
+await import(`../game.js?v=${v}`);
+await wordValidator.load();
+
+const FRAME_MS = 1000 / 60;
+const findButton = label => allElements(dom.body).find(el => el.tagName === 'BUTTON' && el.textContent === label);
+const hintButton = findButton('💡');
+
+// Press the hint button and return what the game said about it
+function askForHint() {
+  hintLines.length = 0;
+  hintButton.click();
+  const line = hintLines.find(text => /Hint|hint|No words/.test(text));
+  dom.advance(Math.ceil(HINT.DURATION / FRAME_MS) + 1); // Let the highlight run out
+  return line;
+}
+
+dom.advance(Math.ceil(10000 / FRAME_MS)); // Let the first balls settle
+
+test('no hint is given while the game is paused', () => {
+  findButton('⏸').click();
+  assert.equal(askForHint(), undefined);
+  findButton('▶ Resume').click();
+});
+
+test('the first hints are free and highlight a word', () => {
+  for (let i = 1; i <= HINT.FREE_PER_GAME; i++) {
+    assert.match(askForHint(), new RegExp(`Hint ${i}/${HINT.MAX_PER_GAME}: [A-Z?]+ \\(free\\)`));
+  }
+});
+
+test('later hints cost points the player may not have', () => {
+  assert.match(askForHint(), new RegExp(`costs ${HINT.COST} points - score too low`));
+});
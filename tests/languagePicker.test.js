@@ -0,0 +1,48 @@
+// languagePicker.test.js - Picking a language mid-game, with game.js running on a fake DOM
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDom, allElements } from './helpers/fakeDom.js';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const dom = installFakeDom({ search: '?mode=survival&seed=IDIOMA' });
+
+console.log = () => {}; // The game logs every spawn
+
+const { ALPHABET, LETTER_BAG_DISTRIBUTION } = await import(`../config.js?v=${v}`);
+const { getLanguage } = await import(`../languages.js?v=${v}`);
+const { engine } = await import(`../physics.js?v=${v}`);
+await import(`../game.js?v=${v}`);
+
+const clickButton = label => allElements(dom.body)
+  .find(el => el.tagName === 'BUTTON' && el.textContent.includes(label))
+  .click();
+const boardLetters = () => engine.world.bodies.filter(body => body.ballData).map(body => body.ballData.letter);
+
+const english = { ...LETTER_BAG_DISTRIBUTION };
+const portuguese = getLanguage('pt');
+
+dom.advance(600);
+
+test('a language picked mid-game leaves the running game\'s letters alone, even when the picker is cancelled', () => {
+  clickButton('🎮');
+  clickButton('🌐 Language');
+  clickButton(portuguese.NAME);
+  clickButton('Cancel');
+  dom.advance(600);
+
+  assert.equal(ALPHABET.LANGUAGE, 'en');
+  assert.deepEqual({ ...LETTER_BAG_DISTRIBUTION }, english);
+});
+
+test('the next game starts with the picked language\'s letters', () => {
+  clickButton('🎮');
+  clickButton('🫧 Survival');
+  dom.advance(600);
+
+  assert.equal(ALPHABET.LANGUAGE, 'pt');
+  assert.deepEqual({ ...LETTER_BAG_DISTRIBUTION }, portuguese.LETTER_BAG_DISTRIBUTION);
+  assert.ok(boardLetters().every(letter => letter in portuguese.LETTER_BAG_DISTRIBUTION || letter === '?'));
+});
@@ -0,0 +1,46 @@
+// languages.test.js - Language packs and switching the live letter tables
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+console.log = () => {}; // Switching logs the language
+console.warn = () => {}; // ...and unknown ids warn
+
+const { ALPHABET, LETTER_BAG_DISTRIBUTION, LETTER_VALUES } = await import(`../config.js?v=${v}`);
+const { BIGRAM_WEIGHTS } = await import(`../bigramSpawnSystem.js?v=${v}`);
+const { DEFAULT_LANGUAGE_ID, getLanguages, getLanguage, applyLanguage } = await import(`../languages.js?v=${v}`);
+
+after(() => applyLanguage(DEFAULT_LANGUAGE_ID));
+
+test('every pack prices and classifies every letter in its bag', () => {
+  getLanguages().forEach(pack => {
+    const bagLetters = Object.keys(pack.LETTER_BAG_DISTRIBUTION);
+    bagLetters.forEach(letter => {
+      assert.ok(pack.LETTER_VALUES[letter] > 0, `${pack.ID}: ${letter} has a value`);
+      assert.ok(letter in pack.TARGET_DISTRIBUTION_PCT, `${pack.ID}: ${letter} has a target share`);
+    });
+    pack.VOWELS.forEach(letter => assert.ok(letter in pack.LETTER_VALUES, `${pack.ID}: vowel ${letter} is a letter`));
+  });
+});
+
+test('switching language swaps the tables other modules already hold', () => {
+  const pt = applyLanguage('pt');
+  assert.equal(pt, getLanguage('pt'));
+  assert.equal(ALPHABET.LANGUAGE, 'pt');
+  assert.deepEqual({ ...LETTER_BAG_DISTRIBUTION }, pt.LETTER_BAG_DISTRIBUTION);
+  assert.equal(LETTER_VALUES['Ç'], pt.LETTER_VALUES['Ç']);
+  assert.deepEqual({ ...BIGRAM_WEIGHTS }, pt.BIGRAM_WEIGHTS);
+
+  applyLanguage(DEFAULT_LANGUAGE_ID);
+  assert.equal(ALPHABET.LANGUAGE, DEFAULT_LANGUAGE_ID);
+  assert.equal(LETTER_VALUES['Ç'], undefined);
+  assert.deepEqual({ ...LETTER_BAG_DISTRIBUTION }, getLanguage(DEFAULT_LANGUAGE_ID).LETTER_BAG_DISTRIBUTION);
+});
+
+test('an unknown language changes nothing', () => {
+  assert.equal(applyLanguage('xx'), null);
+  assert.equal(ALPHABET.LANGUAGE, DEFAULT_LANGUAGE_ID);
+});
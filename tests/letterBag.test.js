@@ -0,0 +1,95 @@
+// letterBag.test.js - Drawing and returning letters keeps the bag whole
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+console.log = () => {}; // The bag logs every init
+console.warn = () => {}; // ...and warns on empty draws and unknown returns
+
+const { LETTER_BAG_DISTRIBUTION } = await import(`../config.js?v=${v}`);
+const { createLetterBag } = await import(`../letterBag.js?v=${v}`);
+const { createRandom } = await import(`../random.js?v=${v}`);
+
+const DISTRIBUTION = { A: 3, B: 2, C: 1 };
+
+// Letter -> count, for comparing bag contents regardless of order
+function countLetters(letters) {
+  const counts = {};
+  letters.forEach(letter => {
+    counts[letter] = (counts[letter] || 0) + 1;
+  });
+  return counts;
+}
+
+test('init fills the bag with the whole distribution', () => {
+  const bag = createLetterBag();
+  bag.init(createRandom('BAG'));
+  const total = Object.values(LETTER_BAG_DISTRIBUTION).reduce((sum, count) => sum + count, 0);
+  assert.deepEqual(bag.getState(), { available: total, inPlay: 0, total });
+  assert.deepEqual(countLetters(bag.available), LETTER_BAG_DISTRIBUTION);
+});
+
+test('the same seed shuffles the same way', () => {
+  const first = createLetterBag(DISTRIBUTION);
+  const second = createLetterBag(DISTRIBUTION);
+  first.init(createRandom('SAME'));
+  second.init(createRandom('SAME'));
+  assert.deepEqual(first.available, second.available);
+});
+
+test('draws move letters into play until the bag is empty', () => {
+  const bag = createLetterBag(DISTRIBUTION);
+  bag.init(createRandom('DRAW'));
+
+  const drawn = [];
+  for (let i = 0; i < 6; i++) {
+    drawn.push(bag.draw());
+    assert.equal(bag.getState().total, 6);
+  }
+  assert.deepEqual(countLetters(drawn), DISTRIBUTION);
+  assert.deepEqual(bag.inPlay, drawn);
+  assert.equal(bag.draw(), null);
+  assert.equal(bag.getState().inPlay, 6);
+});
+
+test('returned letters go back in the bag and can be drawn again', () => {
+  const bag = createLetterBag(DISTRIBUTION);
+  bag.init(createRandom('RETURN'));
+  const letters = [bag.draw(), bag.draw(), bag.draw()];
+
+  bag.return(letters[1]);
+  assert.deepEqual(bag.getState(), { available: 4, inPlay: 2, total: 6 });
+  assert.deepEqual(countLetters([...bag.available, ...bag.inPlay]), DISTRIBUTION);
+
+  const redrawn = [];
+  while (bag.getState().available > 0) redrawn.push(bag.draw());
+  assert.ok(redrawn.includes(letters[1]));
+});
+
+test('returning a letter that is not in play changes nothing', () => {
+  const bag = createLetterBag(DISTRIBUTION);
+  bag.init(createRandom('UNKNOWN'));
+  bag.draw();
+  const available = [...bag.available];
+  const inPlay = [...bag.inPlay];
+
+  bag.return('Z');
+  assert.deepEqual(bag.available, available);
+  assert.deepEqual(bag.inPlay, inPlay);
+});
+
+test('snapshot and restore copy the contents', () => {
+  const bag = createLetterBag(DISTRIBUTION);
+  bag.init(createRandom('SNAP'));
+  bag.draw();
+  const snapshot = bag.snapshot();
+
+  bag.draw();
+  bag.restore(snapshot);
+  assert.deepEqual(bag.snapshot(), snapshot);
+  bag.draw();
+  assert.equal(snapshot.inPlay.length, 1, 'later draws leave the snapshot alone');
+});
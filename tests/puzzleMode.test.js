@@ -0,0 +1,78 @@
+// puzzleMode.test.js - Puzzle level files, goals, stars and saved progress
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const {
+  parseLevel, evaluateGoal, describeGoal, calculateStars, formatStars, puzzleProgress
+} = await import(`../puzzleMode.js?v=${v}`);
+
+const readJson = file => JSON.parse(fs.readFileSync(new URL(`../levels/${file}`, import.meta.url), 'utf8'));
+const ball = letter => ({ letter, x: 0.5, y: 0.5 });
+const state = (overrides = {}) => ({ score: 0, moves: 0, foundWords: new Set(), ballsLeft: 3, ...overrides });
+
+test('every bundled level parses', () => {
+  readJson('index.json').levels.forEach(({ id, file }) => {
+    assert.equal(parseLevel(readJson(file)).id, id);
+  });
+});
+
+test('parsing fills in defaults and upper-cases letters and words', () => {
+  const level = parseLevel({ id: 'lower', balls: [ball('c')], goal: { type: 'words', words: ['cat'] } });
+  assert.equal(level.name, 'lower');
+  assert.equal(level.spawning, false);
+  assert.equal(level.balls[0].letter, 'C');
+  assert.deepEqual(level.goal.words, ['CAT']);
+  assert.deepEqual(parseLevel({ id: 'bare', balls: [ball('A')] }).goal.type, 'clear');
+});
+
+test('broken levels are rejected with the reason', () => {
+  assert.throws(() => parseLevel(null), /JSON object/);
+  assert.throws(() => parseLevel({ id: 'empty', balls: [] }), /at least one ball/);
+  assert.throws(() => parseLevel({ id: 'x', balls: [ball('AB')] }), /single letter/);
+  assert.throws(() => parseLevel({ id: 'x', balls: [{ letter: 'A', x: 1.5, y: 0 }] }), /between 0 and 1/);
+  assert.throws(() => parseLevel({ id: 'x', balls: [{ ...ball('A'), special: 'LASER' }] }), /unknown special/);
+  assert.throws(() => parseLevel({ id: 'x', balls: [ball('A')], goal: { type: 'time' } }), /Unknown goal/);
+  assert.throws(() => parseLevel({ id: 'x', balls: [ball('A')], goal: { type: 'score' } }), /target score/);
+});
+
+test('each goal type completes on its own condition', () => {
+  const clear = parseLevel({ id: 'c', balls: [ball('A')] });
+  assert.equal(evaluateGoal(clear, state()), 'playing');
+  assert.equal(evaluateGoal(clear, state({ ballsLeft: 0 })), 'complete');
+
+  const words = parseLevel({ id: 'w', balls: [ball('A')], goal: { type: 'words', words: ['SUN', 'MOON'] } });
+  assert.equal(evaluateGoal(words, state({ foundWords: new Set(['SUN']) })), 'playing');
+  assert.equal(evaluateGoal(words, state({ foundWords: new Set(['SUN', 'MOON']) })), 'complete');
+  assert.equal(describeGoal(words, state({ foundWords: new Set(['SUN']) })), '✓SUN MOON');
+
+  const score = parseLevel({ id: 's', balls: [ball('A')], goal: { type: 'score', score: 500 } });
+  assert.equal(evaluateGoal(score, state({ score: 500 })), 'complete');
+});
+
+test('running out of moves fails the level unless the last move completes it', () => {
+  const level = parseLevel({ id: 'm', balls: [ball('A')], goal: { type: 'clear', moves: 2 } });
+  assert.equal(evaluateGoal(level, state({ moves: 1 })), 'playing');
+  assert.equal(evaluateGoal(level, state({ moves: 2 })), 'failed');
+  assert.equal(evaluateGoal(level, state({ moves: 2, ballsLeft: 0 })), 'complete');
+  assert.equal(describeGoal(level, state({ moves: 1 })), 'Clear the board · 3 left · 1 moves');
+});
+
+test('stars: one for completing and one per threshold reached', () => {
+  const level = parseLevel({ id: 'st', balls: [ball('A')], stars: [100, 200] });
+  assert.equal(calculateStars(level, 50), 1);
+  assert.equal(calculateStars(level, 150), 2);
+  assert.equal(calculateStars(level, 200), 3);
+  assert.equal(formatStars(2), '★★☆');
+});
+
+test('progress keeps the best stars and score', () => {
+  puzzleProgress.recordCompletion('best', 3, 200);
+  puzzleProgress.recordCompletion('best', 1, 300);
+  assert.deepEqual(puzzleProgress.get('best'), { completed: true, stars: 3, bestScore: 300 });
+  assert.equal(puzzleProgress.get('unplayed'), null);
+});
@@ -0,0 +1,37 @@
+// random.test.js - Seeded random streams and saving their position
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const {
+  createRandom, createSessionRandom, getSessionRandomState, restoreSessionRandom
+} = await import(`../random.js?v=${v}`);
+
+const draw = (random, count) => Array.from({ length: count }, () => random());
+
+test('a stream picks up from a saved position', () => {
+  const random = createRandom('STATE');
+  draw(random, 5);
+  const state = random.getState();
+  const next = draw(random, 3);
+
+  const copy = createRandom('STATE');
+  copy.setState(state);
+  assert.deepEqual(draw(copy, 3), next);
+});
+
+test('a saved session restores every stream, and survives JSON', () => {
+  const session = createSessionRandom('SESSION');
+  draw(session.bag, 4);
+  draw(session.spawn, 9);
+  const state = JSON.parse(JSON.stringify(getSessionRandomState(session)));
+
+  const restored = restoreSessionRandom('SESSION', state);
+  assert.equal(restored.seed, 'SESSION');
+  ['bag', 'letters', 'spawn', 'specials'].forEach(name => {
+    assert.deepEqual(draw(restored[name], 3), draw(session[name], 3), name);
+  });
+});
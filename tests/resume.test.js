@@ -0,0 +1,65 @@
+// resume.test.js - Pausing saves the game, and a fresh page picks it up where it stopped (fake DOM)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDom, allElements } from './helpers/fakeDom.js';
+
+console.log = () => {}; // The game logs every spawn and word
+
+const STORAGE_KEY = 'letterball_saved_game';
+const CONTINUE_FRAMES = 2400;
+
+const findButton = (dom, label) => allElements(dom.body).find(el => el.tagName === 'BUTTON' && el.textContent === label);
+
+// Boot game.js (and fresh copies of every module it imports) on a new fake page
+async function bootGame(build, options) {
+  const dom = installFakeDom(options);
+  globalThis.__BUILD = build;
+  const { engine } = await import(`../physics.js?v=${build}`);
+  await import(`../game.js?v=${build}`);
+  const balls = () => engine.world.bodies.filter(body => body.ballData);
+  const board = () => balls()
+    .map(body => `${body.ballData.letter}@${Math.round(body.position.x)},${Math.round(body.position.y)}`)
+    .sort();
+  // Letters spawned since the board had `count` balls, in spawn order
+  const spawnedSince = count => balls().slice(count).map(body => body.ballData.letter).join('');
+  return { dom, board, spawnedSince };
+}
+
+// First page: play a little, pause (which saves), then keep going to see where the game leads
+const first = await bootGame('test-first', { search: '?mode=survival&seed=RESUME' });
+first.dom.advance(600);
+findButton(first.dom, '⏸').click();
+const saved = first.dom.storage.get(STORAGE_KEY);
+const boardWhenSaved = first.board();
+findButton(first.dom, '▶ Resume').click();
+first.dom.advance(CONTINUE_FRAMES);
+const spawnedAfterwards = first.spawnedSince(boardWhenSaved.length);
+
+// Second page: nothing in the URL, only the saved game
+const second = await bootGame('test-second', { storage: [[STORAGE_KEY, saved]] });
+
+test('pausing saves the game in progress', () => {
+  const state = JSON.parse(saved);
+  assert.equal(state.mode, 'survival');
+  assert.equal(state.seed, 'RESUME');
+  assert.equal(state.scoringMode, 'length');
+  assert.equal(state.balls.length, boardWhenSaved.length);
+});
+
+test('a new page resumes the saved game, paused', () => {
+  assert.equal(window.gameSeed.current, 'RESUME');
+  assert.deepEqual(second.board(), boardWhenSaved);
+  assert.ok(findButton(second.dom, '▶ Resume'), 'the pause screen is up');
+});
+
+// Spawn timers restart on resume, so new balls may arrive a little later than they did
+// originally - but they are the same letters, in the same order
+test('the resumed game carries on as the original did', () => {
+  findButton(second.dom, '▶ Resume').click();
+  second.dom.advance(CONTINUE_FRAMES);
+  const spawned = second.spawnedSince(boardWhenSaved.length);
+
+  assert.ok(spawned.length >= 4, `balls spawned after resuming (${spawned})`);
+  assert.equal(spawned, spawnedAfterwards.slice(0, spawned.length));
+});
@@ -0,0 +1,58 @@
+// savedGame.test.js - The one saved in-progress game in localStorage
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+console.warn = () => {}; // Broken saves warn
+
+const { savedGame, SAVED_GAME_VERSION } = await import(`../savedGame.js?v=${v}`);
+
+const STORAGE_KEY = 'letterball_saved_game';
+let stored;
+
+beforeEach(() => {
+  stored = new Map();
+  globalThis.localStorage = {
+    getItem: key => stored.get(key) ?? null,
+    setItem: (key, value) => stored.set(key, String(value)),
+    removeItem: key => stored.delete(key)
+  };
+});
+
+afterEach(() => {
+  delete globalThis.localStorage;
+});
+
+test('a saved game loads back with its format version and save time', () => {
+  assert.equal(savedGame.load(), null);
+  savedGame.save({ mode: 'zen', seed: 'ABC', balls: [{ letter: 'Q' }] });
+
+  const state = savedGame.load();
+  assert.equal(state.version, SAVED_GAME_VERSION);
+  assert.equal(state.mode, 'zen');
+  assert.deepEqual(state.balls, [{ letter: 'Q' }]);
+  assert.ok(!Number.isNaN(Date.parse(state.savedAt)));
+});
+
+test('clearing removes the save', () => {
+  savedGame.save({ mode: 'survival' });
+  savedGame.clear();
+  assert.equal(savedGame.load(), null);
+  assert.equal(stored.size, 0);
+});
+
+test('saves from another format version or broken JSON are ignored', () => {
+  stored.set(STORAGE_KEY, JSON.stringify({ version: SAVED_GAME_VERSION + 1, mode: 'survival' }));
+  assert.equal(savedGame.load(), null);
+  stored.set(STORAGE_KEY, '{"version":');
+  assert.equal(savedGame.load(), null);
+});
+
+test('without localStorage nothing is saved or loaded', () => {
+  delete globalThis.localStorage;
+  savedGame.save({ mode: 'survival' });
+  assert.equal(savedGame.load(), null);
+});
@@ -0,0 +1,189 @@
+// scoring.test.js - Word scores in both scoring modes, special balls, combos and the saved high score
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const { SCORING, COMBO, LETTER_VALUES } = await import(`../config.js?v=${v}`);
+const { ScoringSystem } = await import(`../scoring.js?v=${v}`);
+
+const defaultMode = SCORING.MODE;
+let scoring;
+
+beforeEach(() => {
+  SCORING.MODE = defaultMode;
+  scoring = new ScoringSystem();
+});
+
+// Stand-in localStorage for the duration of `run`
+function withStorage(entries, run) {
+  const stored = new Map(entries);
+  globalThis.localStorage = {
+    getItem: key => stored.get(key) ?? null,
+    setItem: (key, value) => stored.set(key, String(value))
+  };
+  try {
+    run(stored);
+  } finally {
+    delete globalThis.localStorage;
+  }
+}
+
+test('length mode doubles the score with every letter', () => {
+  SCORING.MODE = 'length';
+  assert.equal(scoring.calculateScore('AT'), 100);
+  assert.equal(scoring.calculateScore('CAT'), 200);
+  assert.equal(scoring.calculateScore('TEAR'), 400);
+  assert.equal(scoring.calculateScore('STREAMS'), 3200);
+});
+
+test('words shorter than two letters score nothing in either mode', () => {
+  for (const mode of ['length', 'letters']) {
+    SCORING.MODE = mode;
+    assert.equal(scoring.calculateScore(''), 0);
+    assert.equal(scoring.calculateScore('A'), 0);
+    assert.equal(scoring.calculateScore(null), 0);
+  }
+});
+
+test('letter mode sums tile values, scaled and multiplied by word length', () => {
+  SCORING.MODE = 'letters';
+  const letterTotal = word => [...word].reduce((sum, letter) => sum + LETTER_VALUES[letter], 0);
+
+  assert.equal(scoring.calculateScore('QI'), letterTotal('QI') * SCORING.LETTER_SCALE * SCORING.LENGTH_MULTIPLIERS[2]);
+  assert.equal(scoring.calculateScore('tear'), letterTotal('TEAR') * SCORING.LETTER_SCALE * SCORING.LENGTH_MULTIPLIERS[4]);
+  assert.equal(
+    scoring.calculateScore('ABSTRACTED'),
+    letterTotal('ABSTRACTED') * SCORING.LETTER_SCALE * SCORING.MAX_LENGTH_MULTIPLIER
+  );
+});
+
+test('special balls change the breakdown', () => {
+  SCORING.MODE = 'letters';
+  const plain = scoring.calculateBreakdown('CAT');
+  const doubled = scoring.calculateBreakdown('CAT', ['DOUBLE_LETTER', null, null]);
+  const tripled = scoring.calculateBreakdown('CAT', [null, 'TRIPLE_WORD', null]);
+  const wildcard = scoring.calculateBreakdown('CAT', ['WILDCARD', null, null]);
+
+  assert.equal(doubled.letterTotal, plain.letterTotal + LETTER_VALUES.C);
+  assert.equal(tripled.wordMultiplier, 3);
+  assert.equal(tripled.points, plain.points * 3);
+  assert.equal(wildcard.letters[0].value, 0);
+  assert.equal(wildcard.letterTotal, plain.letterTotal - LETTER_VALUES.C);
+
+  SCORING.MODE = 'length';
+  assert.equal(scoring.calculateBreakdown('CAT', [null, 'TRIPLE_WORD', null]).points, 600);
+});
+
+test('combos grow with quick words and decay one level per window', () => {
+  assert.equal(scoring.registerComboWord(0), 1);
+  assert.equal(scoring.registerComboWord(COMBO.WINDOW / 2), scoring.getComboMultiplier(2));
+  assert.equal(scoring.getCombo(COMBO.WINDOW / 2), 2);
+  assert.equal(scoring.getCombo(COMBO.WINDOW / 2 + COMBO.WINDOW), 1);
+  assert.equal(scoring.getCombo(COMBO.WINDOW / 2 + COMBO.WINDOW * 2), 0);
+  assert.equal(scoring.getComboMultiplier(100), COMBO.MAX_MULTIPLIER);
+});
+
+test('a new game starts without a combo', () => {
+  scoring.registerComboWord(0);
+  scoring.registerComboWord(100);
+  scoring.resetScore();
+  assert.equal(scoring.getCombo(200), 0);
+  assert.equal(scoring.getComboTimeRemaining(200), 0);
+  assert.equal(scoring.registerComboWord(300), 1);
+});
+
+test('spending points never takes the score below zero', () => {
+  scoring.addScore(150);
+  scoring.spendPoints(100);
+  assert.equal(scoring.getScore(), 50);
+  scoring.spendPoints(100);
+  assert.equal(scoring.getScore(), 0);
+});
+
+test('a new high score is saved, and a new game keeps it', () => {
+  withStorage([['letterball_highscore', '250']], (stored) => {
+    const tracked = new ScoringSystem();
+    assert.equal(tracked.getHighScore(), 250);
+
+    tracked.addScore(200);
+    assert.equal(tracked.getHighScore(), 250);
+    tracked.addScore(100);
+    assert.equal(tracked.getHighScore(), 300);
+    assert.equal(stored.get('letterball_highscore'), '300');
+
+    tracked.resetScore();
+    assert.equal(tracked.getScore(), 0);
+    assert.equal(tracked.getHighScore(), 300);
+  });
+});
+
+test('words are listed in the order they were made', () => {
+  scoring.addWord('CAT', 200);
+  scoring.addWord('TEAR', 400);
+  assert.deepEqual(scoring.getWords().map(entry => entry.word), ['CAT', 'TEAR']);
+  scoring.resetScore();
+  assert.deepEqual(scoring.getWords(), []);
+});
+
+test('restoring a snapshot continues that game and leaves the high score alone', () => {
+  scoring.addScore(300);
+  scoring.addWord('CAT', 300);
+  scoring.registerComboWord(1000);
+  const saved = JSON.parse(JSON.stringify(scoring.snapshot()));
+
+  const resumed = new ScoringSystem();
+  resumed.restore(saved);
+  assert.equal(resumed.getScore(), 300);
+  assert.deepEqual(resumed.getWords().map(entry => entry.word), ['CAT']);
+  assert.equal(resumed.getCombo(1000), 1);
+  assert.equal(resumed.getHighScore(), 0);
+});
+
+test('restoring a snapshot takes back a high score set since, stored copy included', () => {
+  withStorage([], (stored) => {
+    const tracked = new ScoringSystem();
+    tracked.addScore(300);
+    const before = tracked.snapshot();
+
+    tracked.addScore(500);
+    assert.equal(tracked.getHighScore(), 800);
+
+    tracked.restore(before);
+    assert.equal(tracked.getScore(), 300);
+    assert.equal(tracked.getHighScore(), 300);
+    assert.deepEqual([...stored.values()], ['300']);
+
+    // Snapshots from before high scores were saved with them leave it alone
+    tracked.addScore(100);
+    tracked.restore({ score: 0, words: [], combo: 0, lastWordTime: null });
+    assert.equal(tracked.getHighScore(), 400);
+  });
+});
+
+test('each scoring mode keeps its own high score', () => {
+  const stored = new Map([['letterball_highscore', '5000']]);
+  globalThis.localStorage = {
+    getItem: key => stored.get(key) ?? null,
+    setItem: (key, value) => stored.set(key, String(value))
+  };
+  try {
+    SCORING.MODE = 'length';
+    const tracked = new ScoringSystem();
+    assert.equal(tracked.getHighScore(), 5000);
+
+    SCORING.MODE = 'letters';
+    assert.equal(tracked.getHighScore(), 0);
+    tracked.addScore(120);
+    assert.equal(tracked.getHighScore(), 120);
+    assert.equal(stored.get('letterball_highscore'), '5000');
+
+    SCORING.MODE = 'length';
+    assert.equal(tracked.getHighScore(), 5000);
+    assert.equal(new ScoringSystem().getHighScore(), 5000);
+  } finally {
+    delete globalThis.localStorage;
+  }
+});
@@ -0,0 +1,45 @@
+// scoringSetting.test.js - The letter scoring setting, with game.js running on a fake DOM
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDom, allElements } from './helpers/fakeDom.js';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const dom = installFakeDom({
+  search: '?mode=survival&seed=LETTERS',
+  storage: [
+    ['letterball_settings', JSON.stringify({ letterScoring: true })],
+    ['letterball_highscore', '5000']
+  ]
+});
+
+console.log = () => {}; // The game logs every spawn
+
+const { SCORING } = await import(`../config.js?v=${v}`);
+const { scoring } = await import(`../scoring.js?v=${v}`);
+await import(`../game.js?v=${v}`);
+
+const clickButton = label => allElements(dom.body)
+  .find(el => el.tagName === 'BUTTON' && el.textContent.includes(label))
+  .click();
+
+dom.advance(60);
+
+test('games start with the scoring the settings ask for, and its high score', () => {
+  assert.equal(SCORING.MODE, 'letters');
+  assert.equal(scoring.getHighScore(), 0);
+});
+
+test('changing the setting mid-game waits for the next game', () => {
+  clickButton('🎮');
+  clickButton('⚙ Settings');
+  clickButton('Letter-value scoring');
+  assert.equal(SCORING.MODE, 'letters');
+
+  clickButton('Close');
+  clickButton('🫧 Survival');
+  assert.equal(SCORING.MODE, 'length');
+  assert.equal(scoring.getHighScore(), 5000);
+});
@@ -0,0 +1,81 @@
+// seedEntry.test.js - Entering a shared seed in the mode picker, with game.js running on a fake DOM
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDom, allElements } from './helpers/fakeDom.js';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const dom = installFakeDom({ search: '?seed=abc12' });
+console.log = () => {}; // The game logs every spawn and word
+
+const { seedFromInput } = await import(`../random.js?v=${v}`);
+await import(`../game.js?v=${v}`);
+
+const seedField = () => allElements(dom.body).find(el => el.getAttribute('aria-label') === 'Board seed');
+const findButton = label => allElements(dom.body).find(el => el.tagName === 'BUTTON' && el.textContent.startsWith(label));
+
+// Type into the seed field and pick a mode
+function pickMode(label, seedText = null) {
+  if (seedText !== null) {
+    seedField().value = seedText;
+    seedField().dispatch('input');
+  }
+  findButton(label).click();
+  dom.advance(1);
+}
+
+test('seeds are read from a bare seed or a shared link', () => {
+  assert.equal(seedFromInput('  abc12 '), 'ABC12');
+  assert.equal(seedFromInput('https://example.com/letterball/?mode=zen&seed=xyz9'), 'XYZ9');
+  assert.equal(seedFromInput(''), null);
+  assert.equal(seedFromInput(null), null);
+});
+
+test('a link without a seed has no seed in it', () => {
+  assert.equal(seedFromInput('https://example.com/letterball/?mode=zen'), null);
+  assert.equal(seedFromInput('https://example.com/'), null);
+});
+
+test('a seed link fills in the seed field, and picking a mode plays that board', () => {
+  assert.equal(seedField().value, 'ABC12');
+  pickMode('🫧 Survival');
+  assert.equal(window.gameSeed.current, 'ABC12');
+});
+
+test('a pasted seed or link replays that board in the chosen mode', () => {
+  findButton('🎮').click();
+  assert.equal(seedField().value, '', 'the field is cleared after a pick');
+
+  pickMode('🧘 Zen', 'https://example.com/?seed=xyz9');
+  assert.equal(window.gameSeed.current, 'XYZ9');
+
+  findButton('🎮').click();
+  pickMode('🫧 Survival', 'shared ');
+  assert.equal(window.gameSeed.current, 'SHARED');
+});
+
+test('a link without a seed is pointed out in the seed field, and no game starts', () => {
+  findButton('🎮').click();
+  const seedBefore = window.gameSeed.current;
+  pickMode('🫧 Survival', 'https://example.com/?mode=zen');
+  assert.equal(window.gameSeed.current, seedBefore);
+
+  const error = allElements(dom.body).find(el => el.getAttribute('role') === 'alert');
+  assert.match(error.textContent, /no seed/);
+  assert.equal(error.style.display, 'block');
+  assert.equal(seedField().getAttribute('aria-invalid'), 'true');
+
+  seedField().value = '';
+  seedField().dispatch('input');
+  assert.equal(error.style.display, 'none');
+  pickMode('🫧 Survival');
+});
+
+test('a blank seed field deals a new board', () => {
+  findButton('🎮').click();
+  pickMode('🫧 Survival');
+  assert.notEqual(window.gameSeed.current, 'SHARED');
+  assert.equal(window.gameSeed.current.length, 6);
+});
@@ -0,0 +1,119 @@
+// selection.test.js - Line of sight between balls and dragging out a word
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const { SELECTION } = await import(`../config.js?v=${v}`);
+const {
+  initSelection, lineIntersectsCircle, hasLineOfSight, canConnect, handleTouchStart, handleTouchMove, handleTouchEnd
+} = await import(`../selection.js?v=${v}`);
+
+const ball = (x, y, radius = 20) => ({ letter: 'A', x, y, radius });
+
+test('a segment through a circle intersects it', () => {
+  assert.equal(lineIntersectsCircle(0, 0, 100, 0, 50, 5, 10), true);
+  assert.equal(lineIntersectsCircle(0, 0, 100, 100, 50, 50, 1), true);
+});
+
+test('a segment passing beside a circle does not', () => {
+  assert.equal(lineIntersectsCircle(0, 0, 100, 0, 50, 30, 10), false);
+  assert.equal(lineIntersectsCircle(0, 0, 100, 0, 50, 10, 10), false); // Grazing the edge
+});
+
+test('only the segment counts, not the line beyond its ends', () => {
+  assert.equal(lineIntersectsCircle(0, 0, 100, 0, 150, 0, 10), false);
+  assert.equal(lineIntersectsCircle(0, 0, 100, 0, -30, 0, 10), false);
+  assert.equal(lineIntersectsCircle(0, 0, 100, 0, 105, 0, 10), true); // Overlapping the end point
+});
+
+test('line of sight is blocked by a ball in between', () => {
+  const a = ball(0, 0);
+  const b = ball(200, 0);
+  assert.equal(hasLineOfSight(a, b, [a, b]), true);
+  assert.equal(hasLineOfSight(a, b, [a, b, ball(100, 10)]), false);
+  assert.equal(hasLineOfSight(a, b, [a, b, ball(100, 60)]), true);
+  assert.equal(hasLineOfSight(a, b, [a, b, ball(300, 0)]), true); // Behind the second ball
+});
+
+test('balls connect when in range with nothing in between', () => {
+  const a = ball(0, 0);
+  const near = ball(SELECTION.MAX_DISTANCE, 0);
+  const far = ball(SELECTION.MAX_DISTANCE + 1, 0);
+  assert.equal(canConnect(a, near, [a, near]), true);
+  assert.equal(canConnect(a, far, [a, far]), false);
+  assert.equal(canConnect(a, near, [a, near, ball(SELECTION.MAX_DISTANCE / 2, 0)]), false);
+});
+
+test('dragging adds balls in range and in sight, skipping one out of range', () => {
+  const c = { ...ball(0, 0), letter: 'C' };
+  const a = { ...ball(SELECTION.MAX_DISTANCE, 0), letter: 'A' };
+  const t = { ...ball(SELECTION.MAX_DISTANCE, SELECTION.MAX_DISTANCE), letter: 'T' };
+  const far = { ...ball(SELECTION.MAX_DISTANCE * 3, 0), letter: 'S' };
+  initSelection([c, a, t, far]);
+
+  assert.equal(handleTouchStart(c.x, c.y), true);
+  assert.equal(handleTouchMove(a.x, a.y), true);
+  assert.equal(handleTouchMove(t.x, t.y), true);
+  assert.deepEqual(handleTouchEnd(), { balls: [c, a, t], word: 'CAT' });
+
+  handleTouchStart(c.x, c.y);
+  handleTouchMove(far.x, far.y);
+  assert.equal(handleTouchEnd().word, 'CA');
+});
+
+test('touch-downs count a few px beyond the edge', () => {
+  const c = ball(0, 0);
+  initSelection([c]);
+  assert.equal(handleTouchStart(0, c.radius + SELECTION.HIT_SLOP - 1), true);
+  handleTouchEnd();
+  assert.equal(handleTouchStart(0, c.radius + SELECTION.HIT_SLOP + 1), false);
+});
+
+test('a fast swipe picks up every ball it crosses', () => {
+  const c = { ...ball(0, 0), letter: 'C' };
+  const a = { ...ball(100, 0), letter: 'A' };
+  const t = { ...ball(200, 0), letter: 'T' };
+  initSelection([c, a, t]);
+
+  handleTouchStart(c.x, c.y);
+  handleTouchMove(t.x, t.y); // One move event for the whole swipe
+  assert.equal(handleTouchEnd().word, 'CAT');
+});
+
+test('a swipe stopping just short of a ball it heads for picks it, one passing beside does not', () => {
+  const c = { ...ball(0, 0), letter: 'C' };
+  const a = { ...ball(200, 0), letter: 'A' };
+  initSelection([c, a]);
+
+  handleTouchStart(c.x, c.y);
+  handleTouchMove(a.x - a.radius - SELECTION.NEAR_MISS_SLOP + 2, 0);
+  assert.equal(handleTouchEnd().word, 'CA');
+
+  const beside = a.radius + SELECTION.NEAR_MISS_SLOP - 2;
+  handleTouchStart(c.x, c.y);
+  handleTouchMove(150, beside);
+  handleTouchMove(a.x + 20, beside);
+  assert.equal(handleTouchEnd().word, 'C');
+});
+
+test('going back onto the previous ball takes off the last one, brushing an older ball does not', () => {
+  const c = { ...ball(0, 0), letter: 'C' };
+  const a = { ...ball(250, 0), letter: 'A' };
+  const t = { ...ball(250, 250), letter: 'T' };
+  initSelection([c, a, t]);
+
+  handleTouchStart(c.x, c.y);
+  handleTouchMove(a.x, a.y);
+  handleTouchMove(t.x, t.y);
+  handleTouchMove(c.x, c.y);
+  assert.equal(handleTouchEnd().word, 'CAT');
+
+  handleTouchStart(c.x, c.y);
+  handleTouchMove(a.x, a.y);
+  handleTouchMove(t.x, t.y);
+  handleTouchMove(a.x, a.y);
+  assert.equal(handleTouchEnd().word, 'CA');
+});
@@ -0,0 +1,113 @@
+// serviceWorker.test.js - What sw.js precaches for offline play, run against a fake Cache Storage
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const BUILD = 'test-build';
+
+// Modules the browser never loads
+const NODE_ONLY = ['buildDictionary.js', 'simulate.js', 'sw.js'];
+
+// Run sw.js in a worker-like context and return its listeners and caches
+function loadWorker() {
+  const listeners = {};
+  const caches = new Map();
+  const cacheStorage = {
+    open: async name => {
+      if (!caches.has(name)) {
+        const entries = new Map();
+        caches.set(name, {
+          entries,
+          addAll: async requests => requests.forEach(request => entries.set(request.url, true)),
+          put: async (request, response) => entries.set(request.url || request, response),
+          match: async request => entries.get(request.url || request)
+        });
+      }
+      return caches.get(name);
+    },
+    keys: async () => [...caches.keys()],
+    delete: async name => caches.delete(name)
+  };
+  const fetchFile = async (url) => {
+    const file = path.join(ROOT, new URL(url, 'http://localhost/').pathname);
+    const ok = fs.existsSync(file);
+    return { ok, status: ok ? 200 : 404, json: async () => JSON.parse(fs.readFileSync(file, 'utf8')) };
+  };
+
+  const context = {
+    self: {
+      location: `http://localhost/sw.js?v=${BUILD}`,
+      addEventListener: (type, listener) => {
+        listeners[type] = listener;
+      },
+      clients: { claim: async () => {} },
+      skipWaiting() {}
+    },
+    caches: cacheStorage,
+    fetch: fetchFile,
+    Request: class {
+      constructor(url) {
+        this.url = url;
+      }
+    },
+    URL
+  };
+  vm.runInNewContext(fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8'), context);
+  return { listeners, caches };
+}
+
+// Precached URLs after the install event
+async function install() {
+  const { listeners, caches } = loadWorker();
+  let done;
+  listeners.install({ waitUntil: promise => { done = promise; } });
+  await done;
+  return [...caches.get(`letterball-app-${BUILD}`).entries.keys()];
+}
+
+// Repository path of a precached URL
+const toFile = url => new URL(url, 'http://localhost/').pathname.replace(/^\//, '') || 'index.html';
+
+test('every precached file exists', async () => {
+  for (const url of await install()) {
+    assert.ok(fs.existsSync(path.join(ROOT, toFile(url))), `${url} exists`);
+  }
+});
+
+test('every browser module is precached under this build', async () => {
+  const urls = await install();
+  const modules = [
+    ...fs.readdirSync(ROOT).filter(name => name.endsWith('.js') && !NODE_ONLY.includes(name)),
+    ...fs.readdirSync(path.join(ROOT, 'languages')).map(name => `languages/${name}`)
+  ];
+  modules.forEach(name => assert.ok(urls.includes(`./${name}?v=${BUILD}`), `${name} is precached`));
+});
+
+test('puzzle levels and the default word list are precached for offline play', async () => {
+  const urls = await install();
+  const { levels } = JSON.parse(fs.readFileSync(path.join(ROOT, 'levels/index.json'), 'utf8'));
+  levels.forEach(level => assert.ok(urls.includes(`./levels/${level.file}`), `${level.file} is precached`));
+  assert.ok(urls.includes(`./sowpods.dawg?v=${BUILD}`));
+});
+
+test('other word lists are left for the game to cache when they are picked', async () => {
+  const urls = await install();
+  assert.deepEqual(urls.filter(url => url.includes('.dawg')), [`./sowpods.dawg?v=${BUILD}`]);
+});
+
+test('activating drops older builds but keeps word list caches', async () => {
+  const { listeners, caches } = loadWorker();
+  caches.set('letterball-app-old', {});
+  caches.set(`letterball-app-${BUILD}`, {});
+  caches.set('letterball-dictionary-sowpods', {});
+
+  let done;
+  listeners.activate({ waitUntil: promise => { done = promise; } });
+  await done;
+  assert.deepEqual([...caches.keys()], [`letterball-app-${BUILD}`, 'letterball-dictionary-sowpods']);
+});
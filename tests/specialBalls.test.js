@@ -0,0 +1,46 @@
+// specialBalls.test.js - Rolling modifier balls, wildcards and bomb blasts
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const { SPECIAL_BALLS } = await import(`../config.js?v=${v}`);
+const { WILDCARD, rollSpecial, assignSpecial, getBagLetter, getBombVictims } = await import(`../specialBalls.js?v=${v}`);
+
+const ball = (letter, x, y, special = null) => ({ letter, x, y, radius: 20, special });
+
+// A roll landing in the middle of `type`'s share
+function rollFor(type) {
+  let total = 0;
+  for (const [other, { RATE }] of Object.entries(SPECIAL_BALLS.TYPES)) {
+    if (other === type) return () => total + RATE / 2;
+    total += RATE;
+  }
+  throw new Error(`unknown type ${type}`);
+}
+
+test('rolls land on each type in order of their rates, and past them on a plain ball', () => {
+  Object.keys(SPECIAL_BALLS.TYPES).forEach(type => assert.equal(rollSpecial(rollFor(type)), type));
+  const total = Object.values(SPECIAL_BALLS.TYPES).reduce((sum, { RATE }) => sum + RATE, 0);
+  assert.equal(rollSpecial(() => total), null);
+});
+
+test('a wildcard hides its letter but still returns it to the bag', () => {
+  const wildcard = assignSpecial(ball('K', 0, 0), rollFor('WILDCARD'));
+  assert.equal(wildcard.special, 'WILDCARD');
+  assert.equal(wildcard.letter, WILDCARD);
+  assert.equal(getBagLetter(wildcard), 'K');
+  assert.equal(getBagLetter(ball('E', 0, 0)), 'E');
+});
+
+test('bombs catch nearby balls outside the word', () => {
+  const bomb = ball('A', 0, 0, 'BOMB');
+  const partner = ball('T', 40, 0);
+  const near = ball('S', SPECIAL_BALLS.BOMB_RADIUS, 0);
+  const far = ball('E', SPECIAL_BALLS.BOMB_RADIUS + 21, 0);
+
+  assert.deepEqual(getBombVictims([bomb, partner], [bomb, partner, near, far]), [near]);
+  assert.deepEqual(getBombVictims([partner], [bomb, partner, near, far]), []);
+});
@@ -0,0 +1,61 @@
+// tapToBuild.test.js - Tapping balls into a word and double-tapping to delete, with game.js on a fake DOM
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDom } from './helpers/fakeDom.js';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const dom = installFakeDom({
+  search: '?mode=survival&seed=TAPS',
+  storage: [['letterball_settings', JSON.stringify({ tapToBuild: true })]]
+});
+
+// The game logs every spawn and tap - only deletes and tap-to-build steps are kept
+const lines = [];
+console.log = (message) => {
+  if (/\[DELETE\] 🗑️|Tap-to-build/.test(String(message))) lines.push(String(message));
+};
+
+const { DOUBLE_TAP } = await import(`../config.js?v=${v}`);
+const { engine } = await import(`../physics.js?v=${v}`);
+const { getSelection, BUILD_POINTER } = await import(`../selection.js?v=${v}`);
+await import(`../game.js?v=${v}`);
+
+const FRAME_MS = 1000 / 60;
+
+const balls = () => engine.world.bodies.filter(body => body.ballData).map(body => body.ballData);
+const onBoard = ball => balls().includes(ball);
+
+// A ball well inside the board (away from the walls and the top)
+const pickBall = () => balls().find(ball => ball.y > 200 && !getSelection(BUILD_POINTER).includes(ball));
+
+function tap(ball) {
+  const event = { pointerId: 1, pointerType: 'touch', clientX: ball.x, clientY: ball.y };
+  dom.canvas.dispatch('pointerdown', event);
+  dom.canvas.dispatch('pointerup', event);
+}
+
+dom.advance(600); // Let the first balls settle
+
+test('a tap adds a ball to the word', () => {
+  const ball = pickBall();
+  tap(ball);
+  assert.deepEqual(getSelection(BUILD_POINTER), [ball]);
+  dom.advance(Math.ceil(DOUBLE_TAP.DELAY / FRAME_MS) + 1);
+  tap(ball); // Too slow for a double-tap: plays the one-letter word, which does nothing
+  assert.ok(onBoard(ball));
+  assert.deepEqual(getSelection(BUILD_POINTER), []);
+});
+
+test('a double-tap deletes the ball instead of playing the word', () => {
+  const ball = pickBall();
+  lines.length = 0;
+  tap(ball);
+  dom.advance(1);
+  tap(ball);
+  assert.equal(onBoard(ball), false);
+  assert.match(lines.at(-1), /\[DELETE\] 🗑️ Deleting ball/);
+  assert.deepEqual(getSelection(BUILD_POINTER), [], 'the deleted ball left the word');
+});
@@ -0,0 +1,72 @@
+// undo.test.js - Undoing a word with game.js running on a fake DOM
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { installFakeDom, allElements } from './helpers/fakeDom.js';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const dom = installFakeDom({ search: '?mode=survival&seed=UNDO' });
+
+// The game logs every spawn and word - only word and undo lines are kept
+const lines = [];
+console.log = (message) => {
+  if (/^(\+|↩)/.test(String(message))) lines.push(String(message));
+};
+
+const { engine } = await import(`../physics.js?v=${v}`);
+const { findWords } = await import(`../wordFinder.js?v=${v}`);
+const { wordValidator } = await import(`../wordValidator.js?v=${v}`);
+await import(`../game.js?v=${v}`);
+await wordValidator.load();
+
+const HIGH_SCORE_KEY = 'letterball_highscore';
+const undoButton = allElements(dom.body).find(el => el.tagName === 'BUTTON' && el.textContent === '↩');
+
+const balls = () => engine.world.bodies.filter(body => body.ballData).map(body => body.ballData);
+const board = () => balls().map(ball => `${ball.letter}@${Math.round(ball.x)},${Math.round(ball.y)}`).sort();
+const pointer = ball => ({ pointerId: 1, pointerType: 'touch', clientX: ball?.x, clientY: ball?.y });
+
+// Drag through a word's balls, trying longer words first until one scores
+function playAWord() {
+  const words = findWords(balls(), wordValidator, { isPlayable: ball => ball.y > 0 && ball.letter !== '?' })
+    .sort((a, b) => b.word.length - a.word.length);
+
+  for (const { word, balls: chain } of words) {
+    lines.length = 0;
+    dom.canvas.dispatch('pointerdown', pointer(chain[0]));
+    chain.slice(1).forEach(ball => dom.canvas.dispatch('pointermove', pointer(ball)));
+    dom.canvas.dispatch('pointerup', pointer());
+    if (lines.some(line => line.startsWith('+'))) return word;
+  }
+  return null;
+}
+
+dom.advance(600); // Let the first balls settle
+const boardBefore = board();
+const playedWord = playAWord();
+const boardAfterWord = board();
+const highScoreAfterWord = dom.storage.get(HIGH_SCORE_KEY);
+undoButton.click();
+const undoLine = lines.at(-1);
+
+test('a word can be played on the board', () => {
+  assert.ok(playedWord, 'some word on the board scored');
+  assert.notDeepEqual(boardAfterWord, boardBefore);
+  assert.ok(Number(highScoreAfterWord) > 0, 'the word set a high score');
+});
+
+test('undo puts its balls back where they were and takes back its points', () => {
+  assert.match(undoLine, new RegExp(`Undid "${playedWord}" .* Score: 0$`));
+  assert.deepEqual(board(), boardBefore);
+});
+
+test('undoing a record-breaking word takes back the saved high score too', () => {
+  assert.equal(dom.storage.get(HIGH_SCORE_KEY), '0');
+});
+
+test('the same word can only be undone once', () => {
+  undoButton.click();
+  assert.equal(lines.at(-1), '↩ Nothing to undo');
+});
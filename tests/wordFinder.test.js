@@ -0,0 +1,70 @@
+// wordFinder.test.js - Searching the board for playable word chains (hints, no-words detection)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+console.log = () => {}; // Loading logs the list size
+
+const { SELECTION } = await import(`../config.js?v=${v}`);
+const { WordValidator } = await import(`../wordValidator.js?v=${v}`);
+const { buildAdjacency, findWords, hasPlayableWord, findBestWord } = await import(`../wordFinder.js?v=${v}`);
+
+const STEP = SELECTION.MAX_DISTANCE * 0.8; // Close enough to connect, far enough not to overlap
+
+// Balls in a row, one letter each, in connecting distance of their neighbours only
+const row = letters => [...letters].map((letter, i) => ({ letter, x: i * STEP, y: 0, radius: 20 }));
+
+const validator = new WordValidator();
+validator.loadFromText('at\ncat\ncats\nact\ntac\nscat');
+
+test('balls connect to neighbours in range and in sight', () => {
+  const [c, a, t] = row('CAT');
+  assert.deepEqual(buildAdjacency([c, a, t]), [[1], [0, 2], [1]]);
+
+  const far = { ...t, x: SELECTION.MAX_DISTANCE * 3 };
+  assert.deepEqual(buildAdjacency([c, far]), [[], []]);
+});
+
+test('words are found along chains of connected balls in either direction', () => {
+  const balls = row('CATS');
+  const words = findWords(balls, validator).map(({ word }) => word).sort();
+  assert.deepEqual(words, ['AT', 'CAT', 'CATS', 'TAC']);
+
+  const cats = findWords(balls, validator).find(({ word }) => word === 'CATS');
+  assert.deepEqual(cats.balls, balls);
+});
+
+test('letters that are not connected do not make a word', () => {
+  const [c, a, t] = row('CAT');
+  const apart = [c, a, { ...t, x: SELECTION.MAX_DISTANCE * 4 }];
+  assert.deepEqual(findWords(apart, validator).map(({ word }) => word), []);
+});
+
+test('wildcards stand for any letter and are reported resolved', () => {
+  const words = findWords(row('C?T'), validator).map(({ word }) => word);
+  assert.ok(words.includes('CAT'));
+  assert.ok(words.includes('AT'));
+});
+
+test('unplayable balls are skipped and the limit stops the search', () => {
+  const balls = row('CATS');
+  const words = findWords(balls, validator, { isPlayable: ball => ball !== balls[0] }).map(({ word }) => word);
+  assert.deepEqual(words.sort(), ['AT']);
+  assert.equal(findWords(balls, validator, { limit: 1 }).length, 1);
+});
+
+test('the best word is the longest one', () => {
+  assert.equal(findBestWord(row('SCAT'), validator).word, 'SCAT');
+  assert.equal(findBestWord(row('SCATS'), validator).word, 'CATS', 'ties go alphabetically');
+  assert.equal(findBestWord(row('QQ'), validator), null);
+  assert.equal(hasPlayableWord(row('QQ'), validator), false);
+  assert.equal(hasPlayableWord(row('QAT'), validator), true);
+});
+
+test('nothing is found before a list is loaded', () => {
+  console.warn = () => {};
+  assert.deepEqual(findWords(row('CAT'), new WordValidator()), []);
+});
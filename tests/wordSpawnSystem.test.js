@@ -0,0 +1,60 @@
+// wordSpawnSystem.test.js - Periodic vowel balance correction
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const {
+  SPAWN_CONFIG, checkVowelBalance, calculateVowelPercentage, getSpawnState, resetSpawnSystem
+} = await import(`../wordSpawnSystem.js?v=${v}`);
+
+console.log = () => {}; // Balance checks log every result
+
+const board = letters => [...letters].map(letter => ({ letter }));
+
+// Run checks up to and including the next periodic one
+function checkUntilInterval(balls) {
+  for (let i = 0; i < SPAWN_CONFIG.VOWEL_CHECK_INTERVAL; i++) {
+    checkVowelBalance(balls);
+  }
+}
+
+beforeEach(() => resetSpawnSystem());
+
+test('vowel percentage of the board (half when empty)', () => {
+  assert.equal(calculateVowelPercentage([]), 0.5);
+  assert.equal(calculateVowelPercentage(board('AEST')), 0.5);
+  assert.equal(calculateVowelPercentage(board('TSRN')), 0);
+});
+
+test('the balance is only checked every VOWEL_CHECK_INTERVAL spawns', () => {
+  const consonants = board('TSRNLDTS');
+  for (let i = 1; i < SPAWN_CONFIG.VOWEL_CHECK_INTERVAL; i++) {
+    checkVowelBalance(consonants);
+  }
+  assert.equal(getSpawnState().vowelCorrectionRemaining, 0);
+
+  checkVowelBalance(consonants);
+  assert.equal(getSpawnState().spawnCount, SPAWN_CONFIG.VOWEL_CHECK_INTERVAL);
+  assert.equal(getSpawnState().vowelCorrectionRemaining, SPAWN_CONFIG.VOWEL_CORRECTION_COUNT);
+});
+
+test('too few vowels raises the vowel weight, too many lowers it', () => {
+  checkUntilInterval(board('TSRNLDTSAE'));
+  assert.equal(getSpawnState().vowelCorrectionMultiplier, 1 + SPAWN_CONFIG.VOWEL_ADJUSTMENT);
+
+  resetSpawnSystem();
+  checkUntilInterval(board('AEIOUAEIST'));
+  assert.equal(getSpawnState().vowelCorrectionMultiplier, 1 - SPAWN_CONFIG.VOWEL_ADJUSTMENT);
+});
+
+test('a balanced board leaves the weights alone', () => {
+  checkUntilInterval(board('AEIRSTLN'));
+  assert.deepEqual(getSpawnState(), {
+    spawnCount: SPAWN_CONFIG.VOWEL_CHECK_INTERVAL,
+    vowelCorrectionRemaining: 0,
+    vowelCorrectionMultiplier: 1
+  });
+});
@@ -0,0 +1,63 @@
+// wordValidator.test.js - Word checks before and after a list is loaded
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+console.log = () => {}; // Loading logs the list size
+console.warn = () => {}; // ...and checks before loading warn
+
+const { WordValidator } = await import(`../wordValidator.js?v=${v}`);
+
+test('isValid is unknown (null) until a list is loaded', () => {
+  const validator = new WordValidator();
+  assert.equal(validator.isValid('CAT'), null);
+  assert.equal(validator.isPrefix('CA'), null);
+  assert.equal(validator.resolveWildcards('C?T'), null);
+});
+
+test('a loaded text list validates words in any case', () => {
+  const validator = new WordValidator();
+  validator.loadFromText('cat\nCATS\n  dog \n\n');
+
+  assert.equal(validator.isValid('CAT'), true);
+  assert.equal(validator.isValid('cats'), true);
+  assert.equal(validator.isValid('Dog'), true);
+  assert.equal(validator.isValid('CA'), false);
+  assert.equal(validator.isValid('COW'), false);
+});
+
+test('non-words are invalid, not unknown', () => {
+  const validator = new WordValidator();
+  validator.loadFromText('cat');
+  assert.equal(validator.isValid(''), false);
+  assert.equal(validator.isValid(null), false);
+  assert.equal(validator.isValid(42), false);
+  assert.equal(validator.isValidWord('CAT', 4), false);
+});
+
+test('prefixes and wildcards use the loaded list', () => {
+  const validator = new WordValidator();
+  validator.loadFromText('cat\ncot\ncut');
+  assert.equal(validator.isPrefix('CU'), true);
+  assert.equal(validator.isPrefix('c?'), true);
+  assert.equal(validator.isPrefix('CX'), false);
+  assert.equal(validator.resolveWildcards('C?T'), 'CAT');
+  assert.equal(validator.resolveWildcards('??T'), 'CAT');
+  assert.equal(validator.resolveWildcards('D?G'), null);
+  assert.deepEqual(validator.completions('c'), ['CAT', 'COT', 'CUT']);
+});
+
+test('the bundled SOWPODS graph loads from its buffer', () => {
+  const validator = new WordValidator();
+  const data = fs.readFileSync(new URL('../sowpods.dawg', import.meta.url));
+  validator.loadFromBuffer(new Uint8Array(data).buffer);
+
+  assert.equal(validator.isLoaded, true);
+  assert.equal(validator.isValid('QI'), true);
+  assert.equal(validator.isValid('ZYZZYVA'), true);
+  assert.equal(validator.isValid('QIZ'), false);
+});
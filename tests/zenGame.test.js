@@ -0,0 +1,41 @@
+// zenGame.test.js - Zen rules with game.js running on a fake DOM: no game over, balls dissolve instead
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Matter from 'matter-js';
+import { installFakeDom } from './helpers/fakeDom.js';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const dom = installFakeDom({ search: '?mode=zen&seed=ZEN' });
+
+// The game logs every spawn and word - only game over and dissolves are kept
+let isGameOver = false;
+let dissolved = 0;
+console.log = (message) => {
+  if (String(message).startsWith('💀 GAME OVER')) isGameOver = true;
+  if (String(message).startsWith('🧘 Dissolving')) dissolved++;
+};
+
+const { DANGER, SCORE } = await import(`../config.js?v=${v}`);
+const { engine } = await import(`../physics.js?v=${v}`);
+await import(`../game.js?v=${v}`);
+
+const FRAME_MS = 1000 / 60;
+const LINE_Y = SCORE.PADDING + SCORE.FONT_SIZE + SCORE.FONT_SIZE_HIGH + DANGER.LINE_Y_OFFSET; // No safe area here
+
+test('a ball stuck over the danger line dissolves instead of ending the game', () => {
+  dom.advance(60); // Let the first balls spawn
+  const body = engine.world.bodies.find(b => b.ballData);
+  Matter.Body.setStatic(body, true);
+  Matter.Body.setPosition(body, { x: body.position.x, y: LINE_Y + body.ballData.radius / 2 });
+
+  const limit = Math.ceil((DANGER.THRESHOLD_TIME * 4) / FRAME_MS);
+  for (let frame = 0; frame < limit && engine.world.bodies.includes(body); frame++) {
+    dom.advance(1);
+  }
+  assert.equal(engine.world.bodies.includes(body), false, 'the stuck ball is gone');
+  assert.ok(dissolved > 0);
+  assert.equal(isGameOver, false);
+});
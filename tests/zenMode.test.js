@@ -0,0 +1,36 @@
+// zenMode.test.js - Zen spawn pacing and which ball dissolves first
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.__BUILD = 'test';
+const v = globalThis.__BUILD;
+
+const { ZEN } = await import(`../config.js?v=${v}`);
+const { getZenSpawnInterval, selectBallToDissolve } = await import(`../zenMode.js?v=${v}`);
+
+const board = letters => [...letters].map(letter => ({ letter }));
+
+test('spawns slow down as the board fills', () => {
+  assert.equal(getZenSpawnInterval(0), ZEN.MIN_INTERVAL);
+  assert.equal(getZenSpawnInterval(ZEN.FULL_BALLS), ZEN.MAX_INTERVAL);
+  assert.equal(getZenSpawnInterval(ZEN.FULL_BALLS * 2), ZEN.MAX_INTERVAL);
+  assert.ok(getZenSpawnInterval(ZEN.FULL_BALLS / 2) < getZenSpawnInterval(ZEN.FULL_BALLS * 0.75));
+});
+
+test('the most over-represented letter dissolves first', () => {
+  const balls = board('EAXTXXNX');
+  assert.equal(selectBallToDissolve(balls).letter, 'X');
+});
+
+test('among equals the oldest ball goes first', () => {
+  const balls = board('QQ');
+  assert.equal(selectBallToDissolve(balls), balls[0]);
+});
+
+test('special balls and excluded (selected) balls are kept', () => {
+  const balls = board('XXE');
+  balls[0].special = 'BOMB';
+  assert.equal(selectBallToDissolve(balls, [balls[1]]), balls[2]);
+  assert.equal(selectBallToDissolve(balls, [balls[1], balls[2]]), null);
+});
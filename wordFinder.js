@@ -0,0 +1,93 @@
+// wordFinder.js - Search the board for playable words (hints, bot player, balancing tools)
+
+const v = globalThis.__BUILD || Date.now();
+const { SELECTION } = await import(`./config.js?v=${v}`);
+const { hasLineOfSight } = await import(`./selection.js?v=${v}`);
+
+/**
+ * Build the board adjacency graph using the same rules as handleTouchMove:
+ * within SELECTION.MAX_DISTANCE and with a clear line of sight
+ */
+export function buildAdjacency(balls, maxDistance = SELECTION.MAX_DISTANCE) {
+  const neighbors = balls.map(() => []);
+  const maxDistanceSq = maxDistance * maxDistance;
+
+  for (let i = 0; i < balls.length; i++) {
+    for (let j = i + 1; j < balls.length; j++) {
+      const dx = balls[j].x - balls[i].x;
+      const dy = balls[j].y - balls[i].y;
+      if (dx * dx + dy * dy > maxDistanceSq) continue;
+      if (!hasLineOfSight(balls[i], balls[j], balls)) continue;
+
+      neighbors[i].push(j);
+      neighbors[j].push(i);
+    }
+  }
+
+  return neighbors;
+}
+
+/**
+ * Find every valid word chain on the board
+ * Wildcard ("?") balls are tried as every letter of the word list; words are reported resolved
+ * Returns [{ word, balls }] with each word reported once (first chain found)
+ * limit: stop after this many words (e.g. 1 to just check whether any word exists)
+ */
+export function findWords(balls, validator, { minLength = 2, maxLength = 8, isPlayable = null, limit = Infinity } = {}) {
+  if (!validator.isLoaded) return [];
+
+  const neighbors = buildAdjacency(balls);
+  const found = new Map();
+  const playable = balls.map(ball => !isPlayable || isPlayable(ball));
+  const letterOptions = balls.map(ball => (ball.letter === '?' ? validator.alphabet : [ball.letter]));
+
+  const path = [];
+  const visited = new Array(balls.length).fill(false);
+
+  function visit(index, word) {
+    visited[index] = true;
+    path.push(index);
+
+    if (word.length >= minLength && !found.has(word) && validator.isValid(word)) {
+      found.set(word, path.map(i => balls[i]));
+    }
+
+    if (word.length < maxLength && validator.isPrefix(word)) {
+      for (const next of neighbors[index]) {
+        if (found.size >= limit) break;
+        if (!visited[next] && playable[next]) {
+          letterOptions[next].forEach(letter => visit(next, word + letter));
+        }
+      }
+    }
+
+    path.pop();
+    visited[index] = false;
+  }
+
+  balls.forEach((ball, index) => {
+    if (playable[index] && found.size < limit) {
+      letterOptions[index].forEach(letter => visit(index, letter));
+    }
+  });
+
+  return [...found.entries()].map(([word, chain]) => ({ word, balls: chain }));
+}
+
+/**
+ * Check whether at least one word can be played (stops at the first one found)
+ */
+export function hasPlayableWord(balls, validator, options = {}) {
+  return findWords(balls, validator, { ...options, limit: 1 }).length > 0;
+}
+
+/**
+ * Find the best word on the board (longest, then alphabetical for stable results)
+ */
+export function findBestWord(balls, validator, options = {}) {
+  const words = findWords(balls, validator, options);
+  if (words.length === 0) return null;
+
+  words.sort((a, b) => b.word.length - a.word.length || a.word.localeCompare(b.word));
+  return words[0];
+}
@@ -1,21 +1,17 @@
 // wordSpawnSystem.js - Advanced word-forming letter spawn system with positional bias
 
+const v = globalThis.__BUILD || Date.now();
+const { ALPHABET } = await import(`./config.js?v=${v}`);
+const { default: ENGLISH } = await import(`./languages/en.js?v=${v}`);
+
 // ========== Configuration ==========
+// Letter tables come from the active language pack (English until languages.js applies another)
 export const SPAWN_CONFIG = {
-  // Base letter distribution (infinite weighted bag, ~130 total weight)
-  LETTER_WEIGHTS: {
-    'E': 16, 'A': 11, 'R': 10, 'N': 10, 'T': 9, 'S': 9, 'L': 8, 'I': 8, 'O': 7,
-    'D': 5, 'C': 4, 'U': 4, 'M': 4, 'P': 4, 'G': 3, 'H': 3,
-    'B': 2, 'Y': 2, 'F': 2, 'V': 2,
-    'K': 1, 'W': 1, 'X': 1, 'Q': 1, 'Z': 1
-  },
+  // Base letter distribution (infinite weighted bag)
+  LETTER_WEIGHTS: { ...ENGLISH.LETTER_WEIGHTS },
 
   // Cluster pool with weights
-  CLUSTER_WEIGHTS: {
-    'TH': 3, 'SH': 3, 'CH': 3, 'ING': 3, 'ER': 3,
-    'ED': 2, 'EST': 2, 'RE': 2, 'UN': 2, 'LY': 2, 'AND': 2, 'ENT': 2,
-    'ION': 1, 'STR': 1
-  },
+  CLUSTER_WEIGHTS: { ...ENGLISH.CLUSTER_WEIGHTS },
 
   // Cluster spawn chance (15% = 0.15)
   CLUSTER_CHANCE: 0.15,
@@ -35,17 +31,13 @@ export const SPAWN_CONFIG = {
 
   // Letter role sets
   LETTER_ROLES: {
-    STARTERS: new Set(['T', 'S', 'C', 'P', 'B', 'D', 'M', 'F', 'W']),
-    MIDDLES: new Set(['A', 'E', 'I', 'O', 'N', 'R', 'L', 'T']),
-    ENDERS: new Set(['E', 'D', 'S', 'R', 'N', 'T', 'Y'])
+    STARTERS: new Set(ENGLISH.LETTER_ROLES.STARTERS),
+    MIDDLES: new Set(ENGLISH.LETTER_ROLES.MIDDLES),
+    ENDERS: new Set(ENGLISH.LETTER_ROLES.ENDERS)
   },
 
   // Cluster region preferences
-  CLUSTER_REGIONS: {
-    LEFT: ['UN', 'RE'],
-    MIDDLE: ['ING', 'AND', 'ENT', 'EST', 'CH', 'SH', 'TH', 'STR'],
-    RIGHT: ['ED', 'ER', 'LY', 'ION']
-  },
+  CLUSTER_REGIONS: { ...ENGLISH.CLUSTER_REGIONS },
 
   // Cluster placement radius (letters spawn close together)
   CLUSTER_RADIUS: 50, // pixels - letters almost touching
@@ -58,9 +50,6 @@ export const SPAWN_CONFIG = {
   VOWEL_ADJUSTMENT: 0.10 // 10% weight adjustment
 };
 
-// Vowels for balancing
-const VOWELS = new Set(['A', 'E', 'I', 'O', 'U']);
-
 // ========== State Tracking ==========
 let spawnCount = 0;
 let vowelCorrectionRemaining = 0;
@@ -68,16 +57,17 @@ let vowelCorrectionMultiplier = 1.0;
 
 /**
  * Weighted random selection from a distribution object
+ * @param random - Random source returning [0, 1) (seeded per game session)
  */
-function weightedRandom(weights) {
+function weightedRandom(weights, random = Math.random) {
   const entries = Object.entries(weights);
   const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
 
-  let random = Math.random() * totalWeight;
+  let remaining = random() * totalWeight;
 
   for (const [item, weight] of entries) {
-    random -= weight;
-    if (random <= 0) {
+    remaining -= weight;
+    if (remaining <= 0) {
       return item;
     }
   }
@@ -140,7 +130,7 @@ function applyRegionBias(baseWeights, region) {
     }
 
     // Apply vowel correction if active
-    if (vowelCorrectionRemaining > 0 && VOWELS.has(letter)) {
+    if (vowelCorrectionRemaining > 0 && ALPHABET.VOWELS.includes(letter)) {
       multiplier *= vowelCorrectionMultiplier;
     }
 
@@ -153,9 +143,9 @@ function applyRegionBias(baseWeights, region) {
 /**
  * Draw a single letter from the infinite weighted bag
  */
-export function drawLetterFromBag(region = 'MIDDLE') {
+export function drawLetterFromBag(region = 'MIDDLE', random = Math.random) {
   const biasedWeights = applyRegionBias(SPAWN_CONFIG.LETTER_WEIGHTS, region);
-  const letter = weightedRandom(biasedWeights);
+  const letter = weightedRandom(biasedWeights, random);
 
   // Decrement vowel correction counter
   if (vowelCorrectionRemaining > 0) {
@@ -171,16 +161,16 @@ export function drawLetterFromBag(region = 'MIDDLE') {
 /**
  * Draw a cluster from the cluster pool
  */
-export function drawClusterFromPool() {
-  const cluster = weightedRandom(SPAWN_CONFIG.CLUSTER_WEIGHTS);
+export function drawClusterFromPool(random = Math.random) {
+  const cluster = weightedRandom(SPAWN_CONFIG.CLUSTER_WEIGHTS, random);
   return cluster.split(''); // Return as array of characters
 }
 
 /**
  * Check if we should spawn a cluster (15% chance)
  */
-export function shouldSpawnCluster() {
-  return Math.random() < SPAWN_CONFIG.CLUSTER_CHANCE;
+export function shouldSpawnCluster(random = Math.random) {
+  return random() < SPAWN_CONFIG.CLUSTER_CHANCE;
 }
 
 /**
@@ -189,7 +179,7 @@ export function shouldSpawnCluster() {
 export function calculateVowelPercentage(balls) {
   if (balls.length === 0) return 0.5; // Default if no balls
 
-  const vowelCount = balls.filter(ball => VOWELS.has(ball.letter)).length;
+  const vowelCount = balls.filter(ball => ALPHABET.VOWELS.includes(ball.letter)).length;
   return vowelCount / balls.length;
 }
 
@@ -224,7 +214,7 @@ export function checkVowelBalance(balls) {
 /**
  * Get spawn position for a region with some randomness
  */
-export function getSpawnPositionForRegion(region, boardWidth, radius) {
+export function getSpawnPositionForRegion(region, boardWidth, radius, random = Math.random) {
   const thresholds = SPAWN_CONFIG.REGION_THRESHOLDS;
   let minX, maxX;
 
@@ -239,7 +229,7 @@ export function getSpawnPositionForRegion(region, boardWidth, radius) {
     maxX = boardWidth - radius;
   }
 
-  return minX + Math.random() * (maxX - minX);
+  return minX + random() * (maxX - minX);
 }
 
 /**
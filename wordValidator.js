@@ -1,46 +1,81 @@
-// wordValidator.js - SOWPODS Scrabble word list validation
+// wordValidator.js - Word list validation (exact, prefix and wildcard queries) for the chosen dictionary
 
-class WordValidator {
+const v = globalThis.__BUILD || Date.now();
+const { buildDawg, Dawg } = await import(`./dawg.js?v=${v}`);
+const {
+  dictionarySettings, getDictionary, loadDictionary, parseWordList, DEFAULT_DICTIONARY_ID
+} = await import(`./dictionaries.js?v=${v}`);
+
+export class WordValidator {
   constructor() {
-    this.validWords = new Set();
+    this.dawg = null;
+    this.dictionaryId = null;
+    this.dawgs = new Map(); // Lists loaded this session, by dictionary id
     this.isLoaded = false;
     this.isLoading = false;
+    this.loadingId = null;
     this.loadPromise = null;
   }
 
-  async load() {
-    if (this.isLoaded) return;
-    if (this.isLoading) return this.loadPromise;
+  // Load a registered dictionary (the player's choice by default)
+  // The current list stays active until the new one is ready
+  async load(id = dictionarySettings.selectedId) {
+    if (this.isLoaded && this.dictionaryId === id) return;
+    if (this.isLoading && this.loadingId === id) return this.loadPromise;
 
     this.isLoading = true;
+    this.loadingId = id;
     this.loadPromise = (async () => {
       try {
-        console.log('Loading SOWPODS word list...');
-        const response = await fetch('./sowpods.txt');
-
-        if (!response.ok) {
-          throw new Error(`Failed to load word list: ${response.status}`);
+        const entry = getDictionary(id);
+        if (!entry) {
+          throw new Error(`Unknown dictionary "${id}"`);
         }
 
-        const text = await response.text();
-        const words = text.split('\n').map(word => word.trim()).filter(word => word.length > 0);
-
-        // Store all words in uppercase in a Set for O(1) lookup
-        words.forEach(word => this.validWords.add(word.toUpperCase()));
+        console.log(`Loading ${entry.name} word list...`);
+        const dawg = this.dawgs.get(id) || await loadDictionary(entry);
 
-        this.isLoaded = true;
-        console.log(`Loaded ${this.validWords.size} words from SOWPODS dictionary`);
+        // A later load() call wins
+        if (this.loadingId === id) {
+          this.use(id, dawg);
+        }
       } catch (error) {
         console.error('Failed to load word list:', error);
-        this.isLoading = false;
         throw error;
+      } finally {
+        if (this.loadingId === id) {
+          this.isLoading = false;
+        }
       }
     })();
 
-    await this.loadPromise;
     return this.loadPromise;
   }
 
+  // Switch to an already built list
+  use(id, dawg) {
+    this.dawgs.set(id, dawg);
+    this.dawg = dawg;
+    this.dictionaryId = id;
+    this.isLoaded = true;
+    console.log(`Loaded ${dawg.size} words from ${getDictionary(id)?.name || id}`);
+  }
+
+  // Load a precompiled word graph directly (headless tools read the .dawg from disk)
+  loadFromBuffer(buffer, id = DEFAULT_DICTIONARY_ID) {
+    this.use(id, Dawg.fromBuffer(buffer));
+  }
+
+  // Load a newline-separated word list directly (headless tools)
+  loadFromText(text, id = DEFAULT_DICTIONARY_ID) {
+    this.use(id, buildDawg(parseWordList(text)));
+  }
+
+  // Letters the current list is spelled with (what a wildcard can stand for)
+  get alphabet() {
+    return this.dawg ? this.dawg.alphabet : [];
+  }
+
   isValid(word) {
     if (!this.isLoaded) {
       console.warn('Word validator not loaded yet');
@@ -52,7 +87,30 @@ class WordValidator {
     }
 
     // Convert to uppercase and check
-    return this.validWords.has(word.toUpperCase());
+    return this.dawg.has(word.toUpperCase());
+  }
+
+  // True if some word starts with this prefix ("?" matches any letter)
+  // Returns null while the list is loading, like isValid
+  isPrefix(prefix) {
+    if (!this.isLoaded) return null;
+    if (!prefix || typeof prefix !== 'string') return false;
+
+    const upper = prefix.toUpperCase();
+    return upper.includes('?') ? this.dawg.match(upper, false) !== null : this.dawg.isPrefix(upper);
+  }
+
+  // Up to limit words starting with a prefix, alphabetical
+  completions(prefix, limit = 10) {
+    if (!this.isLoaded || typeof prefix !== 'string') return [];
+    return this.dawg.completions(prefix.toUpperCase(), limit);
+  }
+
+  // Resolve "?" wildcards to the first valid word matching the pattern
+  // Returns the uppercase word, or null if nothing matches (or the list isn't loaded)
+  resolveWildcards(pattern) {
+    if (!this.isLoaded || !pattern) return null;
+    return this.dawg.match(pattern.toUpperCase());
   }
 
   // Check if a word meets minimum length requirement (optional)
@@ -67,7 +125,19 @@ class WordValidator {
 // Create singleton instance
 export const wordValidator = new WordValidator();
 
-// Auto-load on module import (async, non-blocking)
-wordValidator.load().catch(err => {
-  console.error('Failed to initialize word validator:', err);
-});
+// Auto-load on module import in the browser (async, non-blocking)
+// Falls back to the default list if the chosen one can't be loaded (e.g. an upload was cleared)
+// Headless tools call loadFromBuffer() with the word list read from disk
+if (typeof window !== 'undefined') {
+  wordValidator.load().catch(err => {
+    if (dictionarySettings.selectedId === DEFAULT_DICTIONARY_ID) {
+      console.error('Failed to initialize word validator:', err);
+      return;
+    }
+    console.warn('Falling back to the default word list');
+    dictionarySettings.select(DEFAULT_DICTIONARY_ID);
+    wordValidator.load().catch(error => {
+      console.error('Failed to initialize word validator:', error);
+    });
+  });
+}
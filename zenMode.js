@@ -0,0 +1,41 @@
+// zenMode.js - Endless Zen mode: spawn pacing and choosing balls to dissolve
+
+const v = globalThis.__BUILD || Date.now();
+const { ZEN } = await import(`./config.js?v=${v}`);
+const { calculateHistogram, TARGET_DISTRIBUTION_PCT } = await import(`./bigramSpawnSystem.js?v=${v}`);
+
+/**
+ * Delay before the next Zen spawn - slows down as the board fills
+ * ZEN.MIN_INTERVAL on an empty board, ZEN.MAX_INTERVAL at ZEN.FULL_BALLS or more
+ */
+export function getZenSpawnInterval(ballCount) {
+  const fullness = Math.min(1, ballCount / ZEN.FULL_BALLS);
+  return ZEN.MIN_INTERVAL + (ZEN.MAX_INTERVAL - ZEN.MIN_INTERVAL) * fullness * fullness;
+}
+
+/**
+ * Pick the least useful ball to dissolve when the board is full
+ * Usefulness drops when its letter is over-represented versus the target distribution,
+ * and older balls (earlier in the spawn-ordered array) go first. Special balls are kept.
+ */
+export function selectBallToDissolve(balls, excluded = []) {
+  const histogram = calculateHistogram(balls);
+  let selected = null;
+  let selectedScore = -Infinity;
+
+  balls.forEach((ball, index) => {
+    if (ball.special || excluded.includes(ball)) return;
+
+    const targetCount = ((TARGET_DISTRIBUTION_PCT[ball.letter] || 0) / 100) * balls.length;
+    const excess = (histogram[ball.letter] || 0) - targetCount;
+    const age = 1 - index / balls.length; // 1 = oldest, 0 = newest
+    const score = excess + age * ZEN.AGE_WEIGHT;
+
+    if (score > selectedScore) {
+      selected = ball;
+      selectedScore = score;
+    }
+  });
+
+  return selected;
+}